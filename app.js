@@ -0,0 +1,1928 @@
+// The Express app. createApp() builds it around whatever it's given, so the
+// routes can run against a throwaway database and a fixed clock in tests;
+// server.js opens the real storage and listens.
+//
+//   storage     - from db openStorage()
+//   notifier    - from lib/notifications createNotifier(storage)
+//   clock       - { now() } returning the current Date (default the one
+//                 storage was opened with - see lib/clock)
+//   liveEvents  - a lib/liveEvents hub (default a new one on clock)
+
+const express = require('express');
+const cors = require('cors');
+const multer = require('multer');
+const auth = require('./auth');
+const postHelpers = require('./lib/posts');
+const media = require('./lib/media');
+const moderation = require('./lib/moderation');
+const commentHelpers = require('./lib/comments');
+const searchHelpers = require('./lib/search');
+const testimonialHelpers = require('./lib/testimonials');
+const prayerHelpers = require('./lib/prayers');
+const notificationHelpers = require('./lib/notifications');
+const newsletterHelpers = require('./lib/newsletter');
+const csvHelpers = require('./lib/csv');
+const feedHelpers = require('./lib/feeds');
+const pageHelpers = require('./lib/pages');
+const analyticsHelpers = require('./lib/analytics');
+const archiveHelpers = require('./lib/archive');
+const backups = require('./lib/backups');
+const liveEventHelpers = require('./lib/liveEvents');
+const { LIMITS, plainText } = require('./lib/sanitize');
+const configHelpers = require('./lib/config');
+const rateLimitHelpers = require('./lib/rateLimit');
+const { logger, requestLogger } = require('./lib/logger');
+const errors = require('./lib/errors');
+const { systemClock } = require('./lib/clock');
+
+const { config } = configHelpers;
+
+function createApp({ storage, notifier, clock = storage.clock, liveEvents = liveEventHelpers.createEventHub({ clock }) }) {
+    const app = errors.catchAsyncErrors(express());
+    // Rate limit windows and visitor IDs go by the app's clock too
+    const rateLimit = name => rateLimitHelpers.rateLimit(name, { clock });
+    const visitorHash = req => rateLimitHelpers.visitorHash(req, { clock });
+    // auth reads the session store from here
+    app.locals.storage = storage;
+    app.locals.notifier = notifier;
+
+    // Behind a reverse proxy req.ip is the proxy unless we trust X-Forwarded-For
+    if (config.trustProxy !== undefined) {
+        app.set('trust proxy', config.trustProxy);
+    }
+
+    app.use(requestLogger());
+    app.use(errors.errorCodes);
+
+    // Request body size caps; post content is HTML and imports are whole-site exports, so they get larger ones
+    app.use('/api/posts', express.json({ limit: config.postBodyLimit }));
+    app.use('/api/admin/import', express.json({ limit: config.importBodyLimit }));
+    app.use(express.json({ limit: config.jsonBodyLimit }));
+    app.use(cors({
+        origin: function (origin, callback) {
+            // Allow requests with no origin (mobile apps, etc.)
+            if (!origin) return callback(null, true);
+
+            // Exact scheme://host[:port] match against ALLOWED_ORIGINS (see lib/config)
+            if (configHelpers.isAllowedOrigin(origin)) {
+                callback(null, true);
+            } else {
+                callback(new errors.HttpError(403, 'Origin not allowed', 'origin_not_allowed'));
+            }
+        },
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', rateLimitHelpers.VISITOR_HEADER],
+        credentials: true
+    }));
+    const pagePolicy = configHelpers.contentSecurityPolicy();
+    app.use(express.static('public', {
+        setHeaders: (res, filePath) => {
+            if (filePath.endsWith('.html')) res.set('Content-Security-Policy', pagePolicy);
+        }
+    }));
+
+    // Uploaded images are named by content hash, so they can be cached forever
+    app.use('/media', express.static(media.UPLOAD_DIR, { maxAge: '1y', immutable: true, index: false }));
+
+    // Who may receive live events about a prayer - archived ones are the prayer team's only
+    function prayerAudience(prayer) {
+        return prayer.archived_at ? 'prayer_team' : prayer.visibility;
+    }
+
+    app.get('/api/health', (req, res) => {
+      res.json({ status: 'OK', message: 'AWC Blog API is running!' });
+    });
+
+    // GET the settings the pages need (API base URL, feature toggles)
+    app.get('/api/config', (req, res) => {
+        res.json({ success: true, config: configHelpers.publicConfig() });
+    });
+
+    // GET the same as a script, so pages can load it before their own code:
+    // <script src="/config.js"></script> sets window.AWC_CONFIG
+    app.get('/config.js', (req, res) => {
+        res.set('Cache-Control', 'no-cache');
+        res.type('application/javascript').send(`window.AWC_CONFIG = ${JSON.stringify(configHelpers.publicConfig())};\n`);
+    });
+
+    // 404 for routes behind a FEATURE_<NAME>=false toggle
+    function requireFeature(feature) {
+        return (req, res, next) => {
+            if (config.features[feature]) return next();
+            res.status(404).json({ success: false, error: 'Not found' });
+        };
+    }
+
+    // ===== AUTHENTICATION =====
+    logger.debug('🔐 Setting up Auth endpoints...');
+
+    // Compared against when the email is unknown, so both paths cost a hash
+    const DUMMY_PASSWORD_HASH = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(128);
+
+    // POST login - exchanges email/password for a bearer token
+    app.post('/api/auth/login', rateLimit('login'), async (req, res) => {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ success: false, error: 'Email and password required' });
+        }
+
+        const account = await storage.users.findCredentialsByEmail(String(email).trim());
+        const valid = await auth.verifyPassword(String(password), account ? account.password_hash : DUMMY_PASSWORD_HASH);
+        if (!account || !valid) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        }
+
+        await storage.users.recordLogin(account.id);
+        const user = await storage.users.findById(account.id);
+        const { token, expiresAt } = await auth.createSession(storage, user);
+
+        req.log.info(`✅ User ${user.id} logged in as ${user.role}`);
+
+        res.json({ success: true, token, expires_at: expiresAt, user });
+    });
+
+    // POST logout - revokes the token used for this request
+    app.post('/api/auth/logout', auth.requireAuth, async (req, res) => {
+        await storage.users.removeSession(req.sessionTokenHash);
+        req.log.info(`✅ User ${req.user.id} logged out`);
+        res.json({ success: true, message: 'Logged out' });
+    });
+
+    // GET the signed-in user
+    app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+        res.json({ success: true, user: req.user });
+    });
+
+    // GET staff accounts (pastor only)
+    app.get('/api/admin/users', auth.requireRole('pastor'), async (req, res) => {
+        const users = await storage.users.list();
+        res.json({ success: true, users, total: users.length, roles: auth.ROLES });
+    });
+
+    // POST create a staff account (pastor only)
+    app.post('/api/admin/users', auth.requireRole('pastor'), async (req, res) => {
+        const validationError = auth.validateNewUser(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const email = req.body.email.trim();
+        if (await storage.users.findCredentialsByEmail(email)) {
+            return res.status(409).json({ success: false, error: 'A user with that email already exists' });
+        }
+
+        const user = await storage.users.create({
+            email,
+            name: plainText(req.body.name),
+            passwordHash: await auth.hashPassword(req.body.password),
+            role: req.body.role
+        });
+
+        req.log.info(`✅ User ${user.id} created as ${user.role}`);
+
+        res.status(201).json({ success: true, user });
+    });
+
+    // DELETE a staff account (pastor only)
+    app.delete('/api/admin/users/:id', auth.requireRole('pastor'), async (req, res) => {
+        const id = auth.parseUserId(req.params.id);
+        if (id === null) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (id === Number(req.user.id)) {
+            return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+        }
+
+        const deleted = await storage.users.remove(id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        req.log.info(`✅ User ${id} deleted`);
+
+        res.json({ success: true, message: 'User deleted successfully' });
+    });
+
+    logger.debug('✅ Auth endpoints ready!');
+    // ===== END AUTHENTICATION =====
+
+    // ===== BLOG POSTS =====
+    logger.debug('📰 Setting up Blog Post endpoints...');
+
+    const POST_EDITORS = ['pastor', 'editor'];
+    const POST_VISIBILITIES = ['published', 'draft', 'scheduled', 'all'];
+
+    // Published posts whose publish date has arrived are public; everything else is staff-only
+    function isPostVisible(post) {
+        return post.status === 'published' && post.published_at && post.published_at <= clock.now().toISOString();
+    }
+
+    // Real like, view and (approved) comment counts onto each post
+    async function withEngagement(posts) {
+        const ids = posts.map(post => post.id);
+        const stats = await storage.engagement.statsFor(ids);
+        const comments = await storage.comments.countApprovedFor('post', ids);
+        return posts.map(post => ({ ...post, ...stats[post.id], comments: comments[post.id] }));
+    }
+
+    // The ID likes and views are recorded under - a visible post's (found by id
+    // or slug) or a hand-built article page's - or null
+    async function engagementPostId(idOrSlug) {
+        if (postHelpers.STANDALONE_POSTS.includes(idOrSlug)) return idOrSlug;
+        const post = await storage.posts.findByIdOrSlug(idOrSlug);
+        return post && isPostVisible(post) ? post.id : null;
+    }
+
+    // Derive a free slug from the title (or requested slug) by appending -2, -3...
+    async function uniqueSlug(base, exceptId = null) {
+        let slug = base;
+        for (let n = 2; await storage.posts.slugTaken(slug, exceptId); n++) {
+            slug = `${base}-${n}`;
+        }
+        return slug;
+    }
+
+    // GET posts - ?category=&page=&limit= (staff may also pass ?status=draft|scheduled|all)
+    app.get('/api/posts', auth.optionalAuth, async (req, res) => {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+        const { category } = req.query;
+        const status = req.query.status || 'published';
+
+        if (category && !postHelpers.CATEGORIES[category]) {
+            return res.status(400).json({ success: false, error: 'Unknown category' });
+        }
+        if (!POST_VISIBILITIES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${POST_VISIBILITIES.join(', ')}` });
+        }
+        if (status !== 'published' && !req.user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (status !== 'published' && !auth.hasRole(req.user, ...POST_EDITORS)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        const { posts, total } = await storage.posts.list({
+            category,
+            visibility: status === 'published' ? 'public' : status,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            posts: await withEngagement(posts),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+
+        req.log.debug(`✅ Sent ${posts.length} of ${total} posts`);
+    });
+
+    // GET a single post by id or slug
+    app.get('/api/posts/:idOrSlug', auth.optionalAuth, async (req, res) => {
+        const post = await storage.posts.findByIdOrSlug(req.params.idOrSlug);
+
+        if (!post || (!isPostVisible(post) && !auth.hasRole(req.user, ...POST_EDITORS))) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        const [withCounts] = await withEngagement([post]);
+        res.json({ success: true, post: withCounts });
+    });
+
+    // Likes, views and comments for a post, and whether this visitor liked it
+    async function engagementSummary(postId, req) {
+        const stats = await storage.engagement.statsFor([postId]);
+        const comments = await storage.comments.countApprovedFor('post', [postId]);
+        return {
+            ...stats[postId],
+            comments: comments[postId],
+            liked: await storage.engagement.hasLiked(postId, visitorHash(req))
+        };
+    }
+
+    // GET a post's like/view/comment counts (also for the hand-built article pages)
+    app.get('/api/posts/:id/engagement', async (req, res) => {
+        const postId = await engagementPostId(req.params.id);
+        if (!postId) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        res.json({ success: true, ...await engagementSummary(postId, req) });
+    });
+
+    // POST like a post - once per visitor
+    app.post('/api/posts/:id/like', rateLimit('like'), async (req, res) => {
+        const postId = await engagementPostId(req.params.id);
+        if (!postId) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        const counted = await storage.engagement.like(postId, visitorHash(req));
+        const summary = await engagementSummary(postId, req);
+
+        req.log.info(counted ? `✅ Post ${postId} liked! New count: ${summary.likes}` : `↩️ Post ${postId} already liked by this visitor`);
+
+        res.json({ success: true, ...summary, alreadyLiked: !counted });
+    });
+
+    // DELETE take back this visitor's like
+    app.delete('/api/posts/:id/like', rateLimit('like'), async (req, res) => {
+        const postId = await engagementPostId(req.params.id);
+        if (!postId) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        await storage.engagement.unlike(postId, visitorHash(req));
+
+        res.json({ success: true, ...await engagementSummary(postId, req) });
+    });
+
+    // POST record a view - counted once per visitor per day
+    app.post('/api/posts/:id/view', rateLimit('view'), async (req, res) => {
+        const postId = await engagementPostId(req.params.id);
+        if (!postId) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        const counted = await storage.engagement.recordView(postId, visitorHash(req));
+        const { views } = (await storage.engagement.statsFor([postId]))[postId];
+
+        res.json({ success: true, counted, views });
+    });
+
+    // POST create a post (pastor/editor)
+    app.post('/api/posts', auth.requireRole(...POST_EDITORS), async (req, res) => {
+        const validationError = postHelpers.validatePost(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        let slug;
+        if (req.body.slug) {
+            slug = postHelpers.slugify(req.body.slug);
+            if (await storage.posts.slugTaken(slug)) {
+                return res.status(409).json({ success: false, error: 'A post with that slug already exists' });
+            }
+        } else {
+            slug = await uniqueSlug(postHelpers.slugify(req.body.title) || 'post');
+        }
+
+        const status = req.body.status || 'draft';
+        let publishedAt = req.body.published_at ? new Date(req.body.published_at).toISOString() : null;
+        if (status === 'published' && !publishedAt) publishedAt = clock.now().toISOString();
+
+        const clean = postHelpers.cleanPostFields(req.body);
+        const post = await storage.posts.create({
+            id: slug,
+            slug,
+            title: clean.title,
+            author: clean.author,
+            content: clean.content,
+            excerpt: clean.excerpt || null,
+            category: req.body.category || null,
+            categoryLabel: postHelpers.CATEGORIES[req.body.category] || null,
+            image: clean.image || null,
+            readTime: clean.readTime || postHelpers.estimateReadTime(clean.content),
+            status,
+            published_at: publishedAt
+        });
+        await storage.search.reindex('post', post.id);
+
+        req.log.info(`✅ Post ${post.id} created as ${post.status} by user ${req.user.id}`);
+
+        res.status(201).json({ success: true, post });
+    });
+
+    // PUT update a post (pastor/editor) - only the fields sent are changed
+    app.put('/api/posts/:id', auth.requireRole(...POST_EDITORS), async (req, res) => {
+        const existing = await storage.posts.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+
+        const validationError = postHelpers.validatePost(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const fields = postHelpers.cleanPostFields(req.body);
+        if (req.body.status !== undefined) fields.status = req.body.status;
+        if (req.body.category !== undefined) {
+            fields.category = req.body.category || null;
+            fields.categoryLabel = postHelpers.CATEGORIES[req.body.category] || null;
+        }
+        if (req.body.slug !== undefined) {
+            fields.slug = postHelpers.slugify(req.body.slug);
+            if (await storage.posts.slugTaken(fields.slug, existing.id)) {
+                return res.status(409).json({ success: false, error: 'A post with that slug already exists' });
+            }
+        }
+        if (req.body.published_at !== undefined) {
+            fields.published_at = req.body.published_at ? new Date(req.body.published_at).toISOString() : null;
+        }
+        if (fields.content !== undefined && req.body.readTime === undefined) {
+            fields.readTime = postHelpers.estimateReadTime(fields.content);
+        }
+
+        // Publishing without a date means "now"
+        const status = fields.status || existing.status;
+        const publishedAt = fields.published_at !== undefined ? fields.published_at : existing.published_at;
+        if (status === 'published' && !publishedAt) {
+            fields.published_at = clock.now().toISOString();
+        }
+
+        const post = await storage.posts.update(existing.id, fields);
+        await storage.search.reindex('post', post.id);
+
+        req.log.info(`✅ Post ${post.id} updated by user ${req.user.id}`);
+
+        res.json({ success: true, post });
+    });
+
+    // DELETE a post (pastor/editor)
+    app.delete('/api/posts/:id', auth.requireRole(...POST_EDITORS), async (req, res) => {
+        const deleted = await storage.posts.remove(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        await storage.comments.removeForTarget('post', req.params.id);
+        await storage.engagement.removeForPost(req.params.id);
+        await storage.search.remove('post', req.params.id);
+
+        req.log.info(`✅ Post ${req.params.id} deleted by user ${req.user.id}`);
+
+        res.json({ success: true, message: 'Post deleted successfully' });
+    });
+
+    logger.debug('✅ Blog Post endpoints ready!');
+    // ===== END BLOG POSTS =====
+
+    // ===== MEDIA UPLOADS =====
+    logger.debug('🖼️ Setting up Media endpoints...');
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: media.MAX_UPLOAD_BYTES, files: 1 }
+    }).single('file');
+
+    // Run multer, turning its errors into JSON responses
+    function receiveUpload(req, res, next) {
+        upload(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                const error = err.code === 'LIMIT_FILE_SIZE'
+                    ? `Image must be smaller than ${media.MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+                    : 'Upload a single image in the "file" field';
+                return res.status(status).json({ success: false, error });
+            }
+            next(err);
+        });
+    }
+
+    // POST upload an image (pastor/editor) - multipart/form-data with a "file" field
+    app.post('/api/media', auth.requireRole(...POST_EDITORS), receiveUpload, async (req, res) => {
+        const validationError = media.validateImage(req.file && req.file.buffer);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { media: stored, created } = await media.storeImage(storage.media, req.file.buffer, {
+            originalName: plainText(req.file.originalname).slice(0, LIMITS.fileName),
+            uploadedBy: req.user.id
+        });
+
+        req.log.info(`✅ Image ${stored.file_name} ${created ? 'stored' : 'already stored'}`);
+
+        res.status(created ? 201 : 200).json({ success: true, media: stored });
+    });
+
+    // GET uploaded images (pastor/editor)
+    app.get('/api/media', auth.requireRole(...POST_EDITORS), async (req, res) => {
+        const items = await storage.media.list();
+        res.json({ success: true, media: items, total: items.length });
+    });
+
+    // DELETE an uploaded image and its thumbnails (pastor/editor)
+    app.delete('/api/media/:id', auth.requireRole(...POST_EDITORS), async (req, res) => {
+        const item = await storage.media.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ success: false, error: 'Image not found' });
+        }
+
+        await storage.media.remove(item.id);
+        await media.removeImageFiles(item);
+
+        req.log.info(`✅ Image ${item.file_name} deleted`);
+
+        res.json({ success: true, message: 'Image deleted successfully' });
+    });
+
+    logger.debug('✅ Media endpoints ready!');
+    // ===== END MEDIA UPLOADS =====
+
+    // ===== PRAYER WALL ENDPOINTS =====
+    logger.debug('🙏 Setting up Prayer Wall endpoints...');
+
+    // GET prayers the viewer may see - the prayer team can pass ?archived=true
+    app.get('/api/prayers', auth.optionalAuth, async (req, res) => {
+        const archived = req.query.archived === 'true';
+        if (archived && !auth.hasRole(req.user, ...prayerHelpers.PRAYER_TEAM)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        const sortedPrayers = await storage.prayers.list({
+            visibilities: prayerHelpers.visibleTo(req.user),
+            archived
+        });
+        res.json({
+            success: true,
+            prayers: sortedPrayers,
+            total: sortedPrayers.length
+        });
+        req.log.debug(`✅ Sent ${sortedPrayers.length} prayers`);
+    });
+
+    // POST new prayer - optional visibility (public|members|prayer_team) and email
+    app.post('/api/prayers', rateLimit('prayer'), async (req, res) => {
+        const validationError = prayerHelpers.validatePrayer(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        // The manage token is the submitter's only way back to this prayer
+        const { token, hash } = commentHelpers.createEditToken();
+        const prayer = await storage.prayers.create({
+            name: req.body.anonymous ? 'Anonymous' : (plainText(req.body.name) || 'Anonymous'),
+            request: plainText(req.body.request),
+            anonymous: Boolean(req.body.anonymous),
+            visibility: req.body.visibility || 'public',
+            email: req.body.email ? req.body.email.trim() : null,
+            manageTokenHash: hash
+        });
+        await storage.search.reindex('prayer', prayer.id);
+        liveEvents.publish('prayer.created', { prayer }, { visibility: prayer.visibility });
+
+        req.log.info(`✅ Prayer ${prayer.id} added (${prayer.visibility})`);
+
+        res.status(201).json({
+            success: true,
+            prayer: prayer,
+            manage_token: token,
+            manage_url: prayerHelpers.manageUrl(prayer.id, token)
+        });
+    });
+
+    // POST heart prayer (once per visitor - repeats return the prayer unchanged)
+    app.post('/api/prayers/:id/heart', rateLimit('heart'), auth.optionalAuth, async (req, res) => {
+        const existing = await storage.prayers.findById(req.params.id);
+        if (!existing || !prayerHelpers.canView(req.user, existing)) {
+            return res.status(404).json({ success: false, error: 'Prayer not found' });
+        }
+
+        const { prayer, counted } = await storage.prayers.heart(existing.id, visitorHash(req));
+        if (!counted) {
+            req.log.info(`↩️ Prayer ${prayer.id} already hearted by this visitor`);
+            return res.json({ success: true, prayer: prayer, alreadyHearted: true });
+        }
+
+        liveEvents.publish('prayer.hearted', { id: prayer.id, hearts: prayer.hearts }, { visibility: prayerAudience(prayer) });
+
+        req.log.info(`✅ Prayer hearted! New count: ${prayer.hearts}`);
+
+        res.json({ success: true, prayer: prayer, alreadyHearted: false });
+    });
+
+    // The submitter's manage link: ?token= (or token in the body) from when the prayer was posted
+    async function findManagedPrayer(req, res) {
+        const row = await storage.prayers.findForManage(req.params.id);
+        const token = req.query.token || req.body.token;
+        if (!row || !commentHelpers.editTokenMatches(token, row.manage_token_hash)) {
+            res.status(404).json({ success: false, error: 'Prayer not found' });
+            return null;
+        }
+        return row;
+    }
+
+    // GET a prayer through its manage link - includes the email it was posted with
+    app.get('/api/prayers/:id/manage', async (req, res) => {
+        const row = await findManagedPrayer(req, res);
+        if (!row) return;
+
+        res.json({ success: true, prayer: await storage.prayers.findManaged(row.id) });
+    });
+
+    // PUT change a prayer's visibility or notify_comments, or { archived: true } to take it off the wall now
+    app.put('/api/prayers/:id/manage', async (req, res) => {
+        const row = await findManagedPrayer(req, res);
+        if (!row) return;
+
+        const { visibility, archived, notify_comments: notifyComments } = req.body;
+        if (visibility !== undefined && !prayerHelpers.VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ success: false, error: `Visibility must be one of: ${prayerHelpers.VISIBILITIES.join(', ')}` });
+        }
+        if (archived !== undefined && archived !== true) {
+            return res.status(400).json({ success: false, error: 'Archived prayers can\'t be restored' });
+        }
+        if (notifyComments !== undefined && typeof notifyComments !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'notify_comments must be true or false' });
+        }
+
+        const prayer = await storage.prayers.update(row.id, { visibility, archived, notifyComments });
+        await storage.search.reindex('prayer', row.id);
+        if (archived && !row.archived_at) {
+            liveEvents.publish('prayer.archived', { id: prayer.id }, { visibility: prayerAudience(row) });
+        } else if (prayerAudience(prayer) !== prayerAudience(row)) {
+            // Walls that could see it under the old visibility but not the new one take it down
+            liveEvents.publish('prayer.deleted', { id: prayer.id }, { visibility: prayerAudience(row), except: prayerAudience(prayer) });
+        }
+
+        req.log.info(`✅ Prayer ${prayer.id} updated by its submitter (${prayer.visibility}${prayer.archived_at ? ', archived' : ''})`);
+
+        res.json({ success: true, prayer });
+    });
+
+    // DELETE a prayer through its manage link
+    app.delete('/api/prayers/:id/manage', async (req, res) => {
+        const row = await findManagedPrayer(req, res);
+        if (!row) return;
+
+        await storage.prayers.remove(row.id);
+        await storage.comments.removeForTarget('prayer', row.id);
+        await storage.search.remove('prayer', row.id);
+        liveEvents.publish('prayer.deleted', { id: String(row.id) }, { visibility: prayerAudience(row) });
+
+        req.log.info(`✅ Prayer ${row.id} deleted by its submitter`);
+
+        res.json({ success: true, message: 'Prayer deleted successfully' });
+    });
+
+    logger.debug('✅ Prayer Wall endpoints ready!');
+    // ===== END PRAYER WALL ENDPOINTS =====
+
+    // ===== COMMENTS SYSTEM =====
+    logger.debug('💬 Setting up Comments endpoints...');
+
+    // Where a comment can attach, resolved from the URL; null if it can't take
+    // comments or the viewer isn't allowed to see it. Posts must be published
+    // (or be one of the hand-built article pages).
+    async function findCommentTarget(type, id, user) {
+        if (type === 'prayer') {
+            const prayer = await storage.prayers.findById(id);
+            return prayer && prayerHelpers.canView(user, prayer) ? prayer : null;
+        }
+        if (type === 'testimonial') return storage.testimonials.findApproved(id);
+        const postId = await engagementPostId(id);
+        return postId ? { id: postId } : null;
+    }
+
+    const TARGET_NOT_FOUND = {
+        post: 'Post not found',
+        prayer: 'Prayer not found',
+        testimonial: 'Testimonial not found'
+    };
+
+    // A comment just became visible: push it to live viewers and email the
+    // prayer's submitter, if they left an address and haven't turned these off
+    async function announceComment(comment) {
+        if (comment.status !== 'approved') return;
+        if (comment.target_type !== 'prayer') {
+            liveEvents.publish('comment.added', { comment });
+            return;
+        }
+
+        const prayer = await storage.prayers.findManaged(comment.target_id);
+        if (!prayer) return;
+        liveEvents.publish('comment.added', { comment }, { visibility: prayerAudience(prayer) });
+        if (!prayer.email || !prayer.notify_comments) return;
+
+        await notifier.notify('prayer.comment', {
+            author: comment.author_name,
+            comment: comment.content,
+            request: prayer.request
+        }, { to: prayer.email });
+    }
+
+    // Approved comments for a post/prayer/testimonial, nested into threads
+    async function listComments(req, res, type, targetId) {
+        const target = await findCommentTarget(type, targetId, req.user);
+        if (!target) {
+            return res.status(404).json({ success: false, error: TARGET_NOT_FOUND[type] });
+        }
+
+        // A post may be asked for by slug; its comments are kept under its id
+        const comments = await storage.comments.listForTarget(type, String(target.id));
+
+        res.json({
+            success: true,
+            comments: commentHelpers.buildThread(comments),
+            total: comments.length
+        });
+
+        req.log.debug(`✅ Sent ${comments.length} comments for ${type} ${targetId}`);
+    }
+
+    // Add a comment (or a reply, with parent_id) to a post/prayer/testimonial
+    async function addComment(req, res, type, idOrSlug) {
+        // Validate input
+        const validationError = commentHelpers.validateContent(req.body.content) ||
+            commentHelpers.validateAuthorName(req.body.author_name);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        // Email is optional, kept for moderators and never shown publicly
+        if (req.body.author_email && !auth.isValidEmail(req.body.author_email)) {
+            return res.status(400).json({ success: false, error: 'Email address is not valid' });
+        }
+
+        // Check the post/prayer/testimonial exists
+        const target = await findCommentTarget(type, idOrSlug, req.user);
+        if (!target) {
+            return res.status(404).json({ success: false, error: TARGET_NOT_FOUND[type] });
+        }
+        const targetId = String(target.id);
+
+        // Replies must be to an approved comment on the same thing
+        const parentId = req.body.parent_id ? String(req.body.parent_id) : null;
+        if (parentId) {
+            const parent = await storage.comments.findById(parentId);
+            if (!parent || parent.target_type !== type || parent.target_id !== targetId || parent.status !== 'approved') {
+                return res.status(400).json({ success: false, error: 'Parent comment not found' });
+            }
+        }
+
+        const anonymous = Boolean(req.body.anonymous);
+        const author_name = anonymous ? 'Anonymous' : (plainText(req.body.author_name) || 'Anonymous');
+        const content = plainText(req.body.content);
+
+        // Run the moderation rules - flagged comments may be held for review
+        const flags = await moderation.flagComment({ content, author_name, body: req.body }, {
+            isDuplicate: (fingerprint, since) => storage.comments.isDuplicate(fingerprint, since),
+            now: clock.now()
+        });
+        const status = moderation.initialStatus(flags);
+        const editToken = commentHelpers.createEditToken();
+
+        // Create new comment
+        const comment = await storage.comments.create({
+            target_type: type,
+            target_id: targetId,
+            parent_id: parentId,
+            author_name,
+            author_email: req.body.author_email ? req.body.author_email.trim() : null,
+            content,
+            anonymous,
+            status,
+            flags,
+            editTokenHash: editToken.hash
+        });
+
+        // The edit token is only ever shown here
+        const response = {
+            success: true,
+            comment: comment,
+            edit_token: editToken.token,
+            edit_window_minutes: commentHelpers.EDIT_WINDOW_MINUTES
+        };
+
+        await announceComment(comment);
+
+        if (status === 'pending') {
+            req.log.info(`⏳ Comment ${comment.id} on ${type} ${targetId} held for review`, { flags });
+            return res.status(201).json({ ...response, message: 'Comment submitted for review' });
+        }
+
+        req.log.info(`✅ Comment ${comment.id} added to ${type} ${targetId}`);
+
+        res.status(201).json(response);
+    }
+
+    const COMMENT_COLLECTIONS = Object.keys(commentHelpers.TARGET_COLLECTIONS).join('|');
+
+    // GET comments for a post, prayer or testimonial
+    app.get(`/api/:collection(${COMMENT_COLLECTIONS})/:id/comments`, auth.optionalAuth, (req, res) =>
+        listComments(req, res, commentHelpers.TARGET_COLLECTIONS[req.params.collection], req.params.id));
+
+    // POST new comment for a post, prayer or testimonial
+    app.post(`/api/:collection(${COMMENT_COLLECTIONS})/:id/comments`, rateLimit('comment'), auth.optionalAuth, (req, res) =>
+        addComment(req, res, commentHelpers.TARGET_COLLECTIONS[req.params.collection], req.params.id));
+
+    // Older paths for blog post comments
+    app.get('/api/comments/:postId', (req, res) => listComments(req, res, 'post', req.params.postId));
+    app.post('/api/comments/:postId', rateLimit('comment'), (req, res) => addComment(req, res, 'post', req.params.postId));
+
+    // PUT edit a comment - needs the edit_token from when it was posted, within the edit window
+    app.put('/api/comments/:id', rateLimit('comment'), async (req, res) => {
+        const existing = await storage.comments.findForEdit(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+
+        if (!commentHelpers.editTokenMatches(req.body.edit_token, existing.edit_token_hash)) {
+            return res.status(403).json({ success: false, error: 'Invalid edit token' });
+        }
+        if (existing.status === 'rejected') {
+            return res.status(403).json({ success: false, error: 'This comment can no longer be edited' });
+        }
+        if (!commentHelpers.isWithinEditWindow(existing, clock.now())) {
+            return res.status(403).json({
+                success: false,
+                error: `Comments can only be edited within ${commentHelpers.EDIT_WINDOW_MINUTES} minutes of posting`
+            });
+        }
+
+        const validationError = commentHelpers.validateContent(req.body.content);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        // Edited content goes back through moderation
+        const content = plainText(req.body.content);
+        const flags = await moderation.flagComment({ content, author_name: existing.author_name, body: req.body }, {
+            isDuplicate: (fingerprint, since) => storage.comments.isDuplicate(fingerprint, since, existing.id),
+            now: clock.now()
+        });
+        const status = moderation.initialStatus(flags);
+
+        const comment = await storage.comments.updateContent(existing.id, { content, status, flags });
+
+        req.log.info(`✅ Comment ${comment.id} edited${status === 'pending' ? ' and held for review' : ''}`);
+
+        res.json({ success: true, comment });
+    });
+
+    // DELETE a specific comment, wherever it lives (pastor/moderator) - replies go with it
+    app.delete('/api/comments/:id', auth.requireRole('pastor', 'moderator'), async (req, res) => {
+        const comment = await storage.comments.findById(req.params.id);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+
+        await storage.comments.remove(comment.id);
+
+        req.log.info(`✅ Comment ${comment.id} deleted from ${comment.target_type} ${comment.target_id}`);
+
+        res.json({ success: true, message: 'Comment deleted successfully' });
+    });
+
+    // DELETE a specific prayer (pastor/moderator)
+    app.delete('/api/prayers/:id', auth.requireRole('pastor', 'moderator'), async (req, res) => {
+        const prayerId = req.params.id;
+        const prayer = await storage.prayers.findById(prayerId);
+
+        // Remove the prayer and its comments
+        const deleted = prayer && await storage.prayers.remove(prayerId);
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Prayer not found' });
+        }
+        await storage.comments.removeForTarget('prayer', prayerId);
+        await storage.search.remove('prayer', prayerId);
+        liveEvents.publish('prayer.deleted', { id: prayer.id }, { visibility: prayerAudience(prayer) });
+
+        req.log.info(`✅ Prayer ${prayerId} and its comments deleted`);
+
+        res.json({ success: true, message: 'Prayer deleted successfully' });
+    });
+
+    // GET all comments on posts, prayers and testimonials - optional ?type= (pastor/moderator)
+    app.get('/api/admin/comments', auth.requireRole('pastor', 'moderator'), async (req, res) => {
+        const { type } = req.query;
+        if (type && !commentHelpers.TARGET_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Type must be one of: ${commentHelpers.TARGET_TYPES.join(', ')}` });
+        }
+
+        // Sorted most recent first
+        const sortedComments = await storage.comments.listForModeration({ type });
+
+        res.json({
+            success: true,
+            comments: sortedComments,
+            total: sortedComments.length
+        });
+
+        req.log.debug(`✅ Sent ${sortedComments.length} total comments to admin`);
+    });
+
+    // GET statistics (prayers, comments, hearts)
+    app.get('/api/stats', async (req, res) => {
+        const { prayers: totalPrayers, hearts: totalHearts } = await storage.prayers.totals();
+        const totalComments = await storage.comments.countApproved('prayer');
+
+        res.json({
+            success: true,
+            stats: {
+                totalPrayers,
+                totalHearts,
+                totalComments
+            }
+        });
+
+        req.log.debug(`✅ Stats: ${totalPrayers} prayers, ${totalHearts} hearts, ${totalComments} comments`);
+    });
+
+    logger.debug('✅ Comments and Admin endpoints ready!');
+    // ===== END COMMENTS & ADMIN ENDPOINTS =====
+
+    // ===== COMMENT MODERATION =====
+    logger.debug('🛡️ Setting up Moderation endpoints...');
+
+    const MODERATORS = ['pastor', 'moderator'];
+    const MODERATION_ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+    // GET moderation queue - ?status=pending|approved|rejected&type=post|prayer|testimonial
+    app.get('/api/admin/moderation', auth.requireRole(...MODERATORS), async (req, res) => {
+        const status = req.query.status || 'pending';
+        const { type } = req.query;
+
+        if (!moderation.STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${moderation.STATUSES.join(', ')}` });
+        }
+        if (type && !commentHelpers.TARGET_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Type must be one of: ${commentHelpers.TARGET_TYPES.join(', ')}` });
+        }
+
+        const comments = await storage.comments.listForModeration({ status, type });
+
+        res.json({
+            success: true,
+            comments,
+            total: comments.length,
+            mode: moderation.settings.mode
+        });
+
+        req.log.debug(`✅ Sent ${comments.length} ${status} comments`);
+    });
+
+    // GET moderation counts (same shape as the testimonial counts)
+    app.get('/api/admin/moderation/counts', auth.requireRole(...MODERATORS), async (req, res) => {
+        const { pending, approved, rejected, total } = await storage.comments.moderationCounts();
+        res.json({ success: true, pending, approved, rejected, total });
+    });
+
+    // POST bulk approve/reject/delete - { action, ids: [...] }
+    app.post('/api/admin/moderation/bulk', auth.requireRole(...MODERATORS), async (req, res) => {
+        const { action, ids } = req.body;
+
+        if (!MODERATION_ACTIONS[action] && action !== 'delete') {
+            return res.status(400).json({ success: false, error: 'Action must be one of: approve, reject, delete' });
+        }
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'Comment ids required' });
+        }
+        if (!ids.every(commentHelpers.isCommentId)) {
+            return res.status(400).json({ success: false, error: 'Comment ids must be non-empty text or positive whole numbers' });
+        }
+
+        const results = [];
+        for (const id of ids) {
+            let done;
+            if (action === 'delete') {
+                done = await storage.comments.remove(id);
+            } else {
+                const before = await storage.comments.findById(id);
+                const comment = await storage.comments.setStatus(id, MODERATION_ACTIONS[action], req.user.id);
+                if (comment && before.status !== 'approved') await announceComment(comment);
+                done = Boolean(comment);
+            }
+            results.push({ id: String(id), success: done, error: done ? undefined : 'Comment not found' });
+        }
+
+        const updated = results.filter(result => result.success).length;
+        req.log.info(`✅ Bulk ${action}: ${updated} of ${ids.length} comments by user ${req.user.id}`);
+
+        res.json({ success: true, action, updated, results });
+    });
+
+    // POST approve or reject a single comment
+    app.post('/api/admin/moderation/:id/:action(approve|reject)', auth.requireRole(...MODERATORS), async (req, res) => {
+        const { id, action } = req.params;
+        req.log.info(`🛡️ Moderating comment ${id}: ${action}`);
+        const before = await storage.comments.findById(id);
+        if (!before) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+
+        const comment = await storage.comments.setStatus(id, MODERATION_ACTIONS[action], req.user.id);
+        if (before.status !== 'approved') await announceComment(comment);
+
+        req.log.info(`✅ Comment ${id} on ${comment.target_type} ${comment.target_id} ${comment.status} by user ${req.user.id}`);
+
+        res.json({ success: true, comment });
+    });
+
+    logger.debug('✅ Moderation endpoints ready!');
+    // ===== END COMMENT MODERATION =====
+
+    // ===== TESTIMONIAL SYSTEM =====
+    logger.debug('🙌 Setting up Testimonial endpoints...');
+
+    const TESTIMONIAL_REVIEWERS = ['pastor', 'moderator'];
+
+    // GET approved testimonials - optional ?service_date=YYYY-MM-DD for one Sunday's
+    app.get('/api/testimonials', async (req, res) => {
+        const serviceDate = req.query.service_date;
+        if (serviceDate) {
+            const dateError = testimonialHelpers.validateServiceDate(serviceDate);
+            if (dateError) {
+                return res.status(400).json({ success: false, error: dateError });
+            }
+        }
+
+        const sortedTestimonials = await storage.testimonials.listApproved({ serviceDate });
+
+        res.json({
+            success: true,
+            testimonials: sortedTestimonials,
+            total: sortedTestimonials.length,
+            submissionWindowOpen: testimonialHelpers.isSubmissionOpen(clock.now())
+        });
+
+        req.log.debug(`✅ Sent ${sortedTestimonials.length} testimonials`);
+    });
+
+    // POST new testimonial (only during submission window)
+    app.post('/api/testimonials', rateLimit('testimonial'), async (req, res) => {
+        // Check if submission window is open
+        const submission = testimonialHelpers.submissionWindow(clock.now());
+        if (!submission.open) {
+            return res.status(403).json({
+                success: false,
+                error: testimonialHelpers.statusMessage(submission),
+                opensAt: submission.opensAt,
+                closesAt: submission.closesAt
+            });
+        }
+
+        const validationError = testimonialHelpers.validateTestimony(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        // Stored as pending - requires pastoral approval. The edit token lets
+        // the submitter check on it and make any changes the pastor asks for.
+        const { token, hash } = commentHelpers.createEditToken();
+        const testimonial = await storage.testimonials.create({
+            name: req.body.anonymous ? 'Anonymous' : plainText(req.body.name),
+            testimony: plainText(req.body.testimony),
+            anonymous: Boolean(req.body.anonymous),
+            editTokenHash: hash
+        });
+
+        await notifier.notify('testimonial.submitted', {
+            name: testimonial.name,
+            testimony: testimonial.testimony
+        });
+
+        req.log.info(`✅ Testimonial ${testimonial.id} submitted for review`);
+
+        res.status(201).json({ 
+            success: true, 
+            testimonial: testimonial,
+            edit_token: token,
+            message: 'Testimony submitted for pastoral review' 
+        });
+    });
+
+    // GET testimonial submission status - when the current (or next) window opens and closes
+    app.get('/api/testimonials/status', (req, res) => {
+        const now = clock.now();
+        const submission = testimonialHelpers.submissionWindow(now);
+
+        res.json({
+            success: true,
+            submissionOpen: submission.open,
+            opensAt: submission.opensAt,
+            closesAt: submission.closesAt,
+            // Kept for older clients: now while open, otherwise the next opening
+            nextSubmissionWindow: submission.open ? now.toISOString() : submission.opensAt,
+            timezone: testimonialHelpers.settings.timezone,
+            windows: testimonialHelpers.describeWindows(),
+            message: testimonialHelpers.statusMessage(submission),
+            currentTime: now.toISOString()
+        });
+
+        req.log.debug(`✅ Submission window ${submission.open ? 'OPEN' : 'CLOSED'}`);
+    });
+
+    // GET one testimonial - approved ones for everyone; the submitter can pass
+    // ?edit_token= to see its review status and any note from the pastor
+    app.get('/api/testimonials/:id', async (req, res) => {
+        if (req.query.edit_token) {
+            const row = await storage.testimonials.findForEdit(req.params.id);
+            if (!row || !commentHelpers.editTokenMatches(req.query.edit_token, row.edit_token_hash)) {
+                return res.status(403).json({ success: false, error: 'Invalid edit token' });
+            }
+            return res.json({ success: true, testimonial: await storage.testimonials.findById(req.params.id) });
+        }
+
+        const testimonial = await storage.testimonials.findApproved(req.params.id);
+        if (!testimonial) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+        res.json({ success: true, testimonial });
+    });
+
+    // PUT revise a testimonial the pastor asked changes for - needs the edit_token from submission
+    app.put('/api/testimonials/:id', rateLimit('testimonial'), async (req, res) => {
+        const row = await storage.testimonials.findForEdit(req.params.id);
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+        if (!commentHelpers.editTokenMatches(req.body.edit_token, row.edit_token_hash)) {
+            return res.status(403).json({ success: false, error: 'Invalid edit token' });
+        }
+        if (!['pending', 'changes_requested'].includes(row.status)) {
+            return res.status(409).json({ success: false, error: `Testimonial can't be edited once ${row.status.replace('_', ' ')}` });
+        }
+
+        const validationError = testimonialHelpers.validateTestimony(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const testimonial = await storage.testimonials.resubmit(row.id, {
+            name: req.body.anonymous ? 'Anonymous' : plainText(req.body.name),
+            testimony: plainText(req.body.testimony),
+            anonymous: Boolean(req.body.anonymous)
+        });
+
+        req.log.info(`✅ Testimonial ${testimonial.id} revised and back in review`);
+
+        res.json({ success: true, testimonial, message: 'Testimony resubmitted for pastoral review' });
+    });
+
+    // POST review a testimonial (pastor only):
+    //   approve          - optional { service_date } to schedule it for a Sunday
+    //   reject           - { reason } shown to the submitter
+    //   request-changes  - { note } telling the submitter what to change
+    //   unapprove        - optional { reason }; back to pending
+    app.post('/api/testimonials/:id/:action(approve|reject|request-changes|unapprove)', auth.requireRole('pastor'), async (req, res) => {
+        const { id: testimonialId, action } = req.params;
+        req.log.info(`📝 Reviewing testimonial ${testimonialId}: ${action}`);
+        const testimonial = await storage.testimonials.findById(testimonialId);
+        if (!testimonial) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+
+        const rule = testimonialHelpers.REVIEW_ACTIONS[action];
+        if (!rule.from.includes(testimonial.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Can't ${action.replace('-', ' ')} a testimonial that is ${testimonial.status.replace('_', ' ')}`
+            });
+        }
+
+        const noteError = testimonialHelpers.validateReviewNote(req.body.reason || req.body.note);
+        if (noteError) {
+            return res.status(400).json({ success: false, error: noteError });
+        }
+        const note = plainText(req.body.reason || req.body.note) || null;
+        if (rule.noteRequired && !note) {
+            return res.status(400).json({ success: false, error: action === 'reject' ? 'A reason is required' : 'A note for the submitter is required' });
+        }
+
+        const serviceDate = action === 'approve' ? req.body.service_date : undefined;
+        if (serviceDate) {
+            const dateError = testimonialHelpers.validateServiceDate(serviceDate);
+            if (dateError) {
+                return res.status(400).json({ success: false, error: dateError });
+            }
+        }
+
+        const reviewed = await storage.testimonials.review(testimonialId, {
+            action,
+            status: rule.to,
+            note,
+            serviceDate,
+            userId: req.user.id
+        });
+        await storage.search.reindex('testimonial', testimonialId);
+        if (action === 'approve') {
+            liveEvents.publish('testimonial.approved', { testimonial: await storage.testimonials.findApproved(testimonialId) });
+        }
+
+        req.log.info(`✅ Testimonial ${testimonialId} is now ${reviewed.status} (user ${req.user.id})`);
+
+        res.json({ success: true, testimonial: reviewed });
+    });
+
+    // PUT assign an approved testimonial to a Sunday service - { service_date: 'YYYY-MM-DD' | null } (pastor only)
+    app.put('/api/testimonials/:id/service-date', auth.requireRole('pastor'), async (req, res) => {
+        const testimonial = await storage.testimonials.findById(req.params.id);
+        if (!testimonial) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+        if (testimonial.status !== 'approved') {
+            return res.status(400).json({ success: false, error: 'Only approved testimonials can be scheduled' });
+        }
+
+        const serviceDate = req.body.service_date || null;
+        if (serviceDate) {
+            const dateError = testimonialHelpers.validateServiceDate(serviceDate);
+            if (dateError) {
+                return res.status(400).json({ success: false, error: dateError });
+            }
+        }
+
+        const scheduled = await storage.testimonials.setServiceDate(testimonial.id, serviceDate, req.user.id);
+
+        req.log.info(`✅ Testimonial ${scheduled.id} scheduled for ${serviceDate || 'no service'}`);
+
+        res.json({ success: true, testimonial: scheduled });
+    });
+
+    // DELETE testimonial (pastor only)
+    app.delete('/api/testimonials/:id', auth.requireRole('pastor'), async (req, res) => {
+        const testimonialId = req.params.id;
+
+        // Remove the testimonial and its comments
+        const deleted = await storage.testimonials.remove(testimonialId);
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+        await storage.comments.removeForTarget('testimonial', testimonialId);
+        await storage.search.remove('testimonial', testimonialId);
+
+        req.log.info(`✅ Testimonial ${testimonialId} deleted`);
+
+        res.json({ success: true, message: 'Testimonial deleted successfully' });
+    });
+
+    // GET every testimonial with review details - ?status=&service_date= (pastor/moderator)
+    app.get('/api/admin/testimonials', auth.requireRole(...TESTIMONIAL_REVIEWERS), async (req, res) => {
+        const { status, service_date: serviceDate } = req.query;
+        if (status && !testimonialHelpers.REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${testimonialHelpers.REVIEW_STATUSES.join(', ')}` });
+        }
+        if (serviceDate) {
+            const dateError = testimonialHelpers.validateServiceDate(serviceDate);
+            if (dateError) {
+                return res.status(400).json({ success: false, error: dateError });
+            }
+        }
+
+        const testimonials = await storage.testimonials.list({ status, serviceDate });
+
+        res.json({ success: true, testimonials, total: testimonials.length });
+
+        req.log.debug(`✅ Sent ${testimonials.length} testimonials for review`);
+    });
+
+    // GET pending testimonials count (admin dashboard helper, pastor/moderator)
+    app.get('/api/admin/testimonials/pending', auth.requireRole(...TESTIMONIAL_REVIEWERS), async (req, res) => {
+        const counts = await storage.testimonials.counts();
+
+        res.json({
+            success: true,
+            ...counts
+        });
+
+        req.log.debug(`✅ Pending: ${counts.pending}, Approved: ${counts.approved}`);
+    });
+
+    // GET a testimonial's review history - who did what, and when (pastor/moderator)
+    app.get('/api/admin/testimonials/:id/history', auth.requireRole(...TESTIMONIAL_REVIEWERS), async (req, res) => {
+        const testimonial = await storage.testimonials.findById(req.params.id);
+        if (!testimonial) {
+            return res.status(404).json({ success: false, error: 'Testimonial not found' });
+        }
+
+        const history = await storage.testimonials.history(testimonial.id);
+
+        res.json({ success: true, testimonial, history });
+    });
+
+    logger.debug('✅ Testimonial endpoints ready!');
+    // ===== END TESTIMONIAL SYSTEM =====
+
+    // ===== FEEDS =====
+    logger.debug('📡 Setting up feed endpoints...');
+
+    const FEED_FILES = Object.keys(feedHelpers.FORMATS).map(file => file.replace('.', '\\.')).join('|');
+
+    // Conditional GETs get a 304 from res.send once ETag/Last-Modified are set
+    function sendFeed(res, file, feed) {
+        const format = feedHelpers.FORMATS[file];
+        const body = format.render(feed);
+        res.set({
+            'Content-Type': `${format.type}; charset=utf-8`,
+            'Cache-Control': 'public, max-age=300',
+            ETag: feedHelpers.etag(body)
+        });
+        if (feed.items.length) res.set('Last-Modified', feed.updated.toUTCString());
+        res.send(body);
+    }
+
+    // GET /feed.xml (RSS), /atom.xml, /feed.json - the latest posts; ?category=teaching for one category
+    app.get(`/:file(${FEED_FILES})`, requireFeature('feeds'), async (req, res) => {
+        const { category } = req.query;
+        if (category !== undefined && !Object.prototype.hasOwnProperty.call(postHelpers.CATEGORIES, category)) {
+            return res.status(404).json({
+                success: false,
+                error: `No feed for that category - expected one of: ${Object.keys(postHelpers.CATEGORIES).join(', ')}`
+            });
+        }
+
+        const posts = await storage.posts.listRecent({ category, limit: feedHelpers.FEED_LIMIT });
+        sendFeed(res, req.params.file, feedHelpers.postsFeed(posts, { category }));
+    });
+
+    // GET /testimonials/feed.xml, /testimonials/atom.xml, /testimonials/feed.json - approved testimonies
+    app.get(`/testimonials/:file(${FEED_FILES})`, requireFeature('feeds'), async (req, res) => {
+        const testimonials = await storage.testimonials.listApproved();
+        sendFeed(res, req.params.file, feedHelpers.testimonialsFeed(testimonials));
+    });
+
+    logger.debug('✅ Feed endpoints ready!');
+    // ===== END FEEDS =====
+
+    // ===== POST PAGES =====
+    logger.debug('📄 Setting up post page endpoints...');
+
+    // GET a published post as a full HTML page, with its share and search metadata
+    app.get('/posts/:slug', async (req, res) => {
+        const { slug } = req.params;
+        if (postHelpers.STANDALONE_POSTS.includes(slug)) {
+            return res.redirect(301, `/${slug}.html`);
+        }
+
+        const post = await storage.posts.findByIdOrSlug(slug);
+        if (!post || !isPostVisible(post)) {
+            return res.status(404).type('html').send(pageHelpers.renderNotFound());
+        }
+        // Found by id - send readers to the slug address, the canonical one
+        if (post.slug && post.slug !== slug) {
+            return res.redirect(301, postHelpers.postPath(post));
+        }
+
+        res.set({
+            'Content-Security-Policy': pagePolicy,
+            'Cache-Control': 'no-cache'
+        });
+        res.type('html').send(pageHelpers.renderPost(post));
+    });
+
+    // GET the sitemap - the blog, the hand-built articles and every published post
+    app.get('/sitemap.xml', async (req, res) => {
+        const posts = await storage.posts.listPublished();
+        res.set({
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Cache-Control': 'public, max-age=300'
+        });
+        res.send(pageHelpers.renderSitemap(posts));
+    });
+
+    // GET robots.txt - keeps crawlers out of the API and points them at the sitemap
+    app.get('/robots.txt', (req, res) => {
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.type('text/plain').send(pageHelpers.renderRobots());
+    });
+
+    logger.debug('✅ Post page endpoints ready!');
+    // ===== END POST PAGES =====
+
+    // ===== SEARCH =====
+    logger.debug('🔎 Setting up Search endpoints...');
+
+    // GET search posts, testimonials and prayers - ?q=&type=&category=&page=&limit=
+    // Titles, snippets and authors come back HTML-escaped with matches wrapped in <mark>
+    app.get('/api/search', requireFeature('search'), async (req, res) => {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+        const { type, category } = req.query;
+
+        const match = searchHelpers.toMatchQuery(req.query.q);
+        if (!match) {
+            return res.status(400).json({ success: false, error: 'Search query required' });
+        }
+        if (type && !searchHelpers.DOC_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Type must be one of: ${searchHelpers.DOC_TYPES.join(', ')}` });
+        }
+        if (category && !postHelpers.CATEGORIES[category]) {
+            return res.status(400).json({ success: false, error: 'Unknown category' });
+        }
+
+        const { results, total } = await storage.search.search(match, {
+            type,
+            category,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            query: req.query.q,
+            results,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
+
+        req.log.debug(`✅ Sent ${results.length} of ${total} search results`);
+    });
+
+    // POST rebuild the search index from scratch (pastor only)
+    app.post('/api/admin/search/reindex', auth.requireRole('pastor'), async (req, res) => {
+        const indexed = await storage.search.rebuild();
+
+        req.log.info(`✅ Search index rebuilt with ${indexed} documents by user ${req.user.id}`);
+
+        res.json({ success: true, indexed });
+    });
+
+    logger.debug('✅ Search endpoints ready!');
+    // ===== END SEARCH =====
+
+    // ===== NOTIFICATIONS =====
+    logger.debug('📧 Setting up notification endpoints...');
+
+    // The events this user's role can subscribe to, with whether they currently get each
+    async function preferencesView(user) {
+        const overrides = await storage.notifications.preferencesFor(user.id);
+        return notificationHelpers.eventsForRole(user.role).map(event => ({
+            event,
+            description: notificationHelpers.EVENTS[event].description,
+            enabled: event in overrides
+                ? overrides[event]
+                : notificationHelpers.EVENTS[event].defaultRoles.includes(user.role)
+        }));
+    }
+
+    // GET the signed-in user's notification preferences
+    app.get('/api/notifications/preferences', auth.requireAuth, async (req, res) => {
+        res.json({ success: true, preferences: await preferencesView(req.user) });
+    });
+
+    // PUT { "testimonial.submitted": false, ... } - turn events on or off
+    app.put('/api/notifications/preferences', auth.requireAuth, async (req, res) => {
+        const allowed = notificationHelpers.eventsForRole(req.user.role);
+        const changes = Object.entries(req.body || {});
+
+        for (const [event, enabled] of changes) {
+            if (!allowed.includes(event)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown event "${event}" - expected one of: ${allowed.join(', ') || 'none for your role'}`
+                });
+            }
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).json({ success: false, error: `"${event}" must be true or false` });
+            }
+        }
+
+        for (const [event, enabled] of changes) {
+            await storage.notifications.setPreference(req.user.id, event, enabled);
+        }
+
+        req.log.info(`✅ Notification preferences updated for user ${req.user.id}`);
+
+        res.json({ success: true, preferences: await preferencesView(req.user) });
+    });
+
+    // GET the outbox, newest first; ?status=pending|sent|failed (pastor only)
+    app.get('/api/admin/notifications', auth.requireRole('pastor'), async (req, res) => {
+        const { status } = req.query;
+        if (status && !['pending', 'sent', 'failed'].includes(status)) {
+            return res.status(400).json({ success: false, error: 'status must be pending, sent or failed' });
+        }
+
+        const notifications = await storage.notifications.list({ status });
+        const counts = await storage.notifications.counts();
+
+        res.json({ success: true, transport: notifier.transport.name, notifications, counts });
+    });
+
+    // POST put a failed notification back in the queue (pastor only)
+    app.post('/api/admin/notifications/:id/retry', auth.requireRole('pastor'), async (req, res) => {
+        const requeued = await storage.notifications.retry(req.params.id);
+        if (!requeued) {
+            return res.status(404).json({ success: false, error: 'No failed notification with that ID' });
+        }
+
+        await notifier.processQueue();
+
+        req.log.info(`🔁 Notification ${req.params.id} retried by user ${req.user.id}`);
+
+        res.json({ success: true });
+    });
+
+    logger.debug('✅ Notification endpoints ready!');
+    // ===== END NOTIFICATIONS =====
+
+    // ===== NEWSLETTER =====
+    logger.debug('📰 Setting up newsletter endpoints...');
+
+    const NEWSLETTER_ADMINS = ['pastor', 'editor'];
+
+    app.use(['/api/newsletter', '/api/admin/newsletter'], requireFeature('newsletter'));
+    const NEWSLETTER_CSV_COLUMNS = ['id', 'email', 'status', 'created_at', 'confirmed_at', 'unsubscribed_at'];
+
+    // Confirm/unsubscribe links are opened from email, so they land back on the blog
+    function newsletterRedirect(res, result) {
+        res.redirect(303, `/awc-blog.html?newsletter=${result}`);
+    }
+
+    // POST subscribe an email address - sends a confirmation link. The reply is the
+    // same whether or not the address is already on the list.
+    app.post('/api/newsletter/subscribe', rateLimit('newsletter'), async (req, res) => {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        if (!auth.isValidEmail(email)) {
+            return res.status(400).json({ success: false, error: 'A valid email address is required' });
+        }
+
+        const { token, hash } = commentHelpers.createEditToken();
+        const { confirm } = await storage.newsletter.subscribe(email, hash);
+        if (confirm) {
+            await notifier.notify('newsletter.confirm', {
+                confirmUrl: newsletterHelpers.confirmUrl(token),
+                hours: newsletterHelpers.settings.confirmHours
+            }, { to: email });
+        }
+
+        req.log.info(`✅ Newsletter signup ${confirm ? 'awaiting confirmation' : 'for an address already confirmed'}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'Check your inbox for a link to confirm your subscription.'
+        });
+    });
+
+    // GET confirm a subscription from the emailed link
+    app.get('/api/newsletter/confirm', async (req, res) => {
+        const subscriber = typeof req.query.token === 'string'
+            ? await storage.newsletter.confirm(
+                commentHelpers.hashEditToken(req.query.token),
+                newsletterHelpers.createUnsubscribeToken(),
+                newsletterHelpers.confirmCutoff(clock.now())
+            )
+            : null;
+        if (!subscriber) {
+            req.log.info('⚠️ Invalid or expired newsletter confirmation link');
+            return newsletterRedirect(res, 'invalid');
+        }
+
+        const { confirmed } = await storage.newsletter.counts();
+        await notifier.notify('newsletter.signup', { email: subscriber.email, total: confirmed });
+
+        req.log.info(`✅ Newsletter subscription ${subscriber.id} confirmed`);
+
+        newsletterRedirect(res, 'confirmed');
+    });
+
+    // GET (link in each digest) or POST { token } - unsubscribe
+    app.get('/api/newsletter/unsubscribe', async (req, res) => {
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        const subscriber = token && await storage.newsletter.unsubscribe(token);
+
+        req.log.info(subscriber
+            ? `✅ Newsletter subscription ${subscriber.id} cancelled`
+            : '⚠️ Invalid newsletter unsubscribe link');
+
+        newsletterRedirect(res, subscriber ? 'unsubscribed' : 'invalid');
+    });
+
+    app.post('/api/newsletter/unsubscribe', async (req, res) => {
+        const token = typeof req.body.token === 'string' ? req.body.token : '';
+        const subscriber = token && await storage.newsletter.unsubscribe(token);
+        if (!subscriber) {
+            return res.status(404).json({ success: false, error: 'Invalid unsubscribe link' });
+        }
+
+        req.log.info(`✅ Newsletter subscription ${subscriber.id} cancelled`);
+
+        res.json({ success: true, message: 'You have been unsubscribed.' });
+    });
+
+    // GET subscribers, oldest first; ?status=pending|confirmed|unsubscribed, ?format=csv to download
+    app.get('/api/admin/newsletter/subscribers', auth.requireRole(...NEWSLETTER_ADMINS), async (req, res) => {
+        const { status, format } = req.query;
+        if (status && !newsletterHelpers.SUBSCRIBER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${newsletterHelpers.SUBSCRIBER_STATUSES.join(', ')}`
+            });
+        }
+
+        const subscribers = await storage.newsletter.list({ status });
+
+        if (format === 'csv') {
+            req.log.info(`📰 Exporting ${subscribers.length} newsletter subscribers for user ${req.user.id}`);
+            res.set('Content-Disposition', `attachment; filename="newsletter-subscribers${status ? `-${status}` : ''}.csv"`);
+            return res.type('text/csv').send(csvHelpers.toCsv(NEWSLETTER_CSV_COLUMNS, subscribers));
+        }
+
+        res.json({ success: true, subscribers, counts: await storage.newsletter.counts() });
+    });
+
+    // The digest for ?week_of (or body.week_of), or sends a 400 and resolves with null
+    async function buildWeeklyDigest(weekOf, res) {
+        const week = newsletterHelpers.weekRange(weekOf || undefined, clock.now());
+        if (!week) {
+            res.status(400).json({ success: false, error: 'week_of must be a date (YYYY-MM-DD)' });
+            return null;
+        }
+
+        const posts = await storage.posts.publishedBetween(week.start, week.end);
+        const testimonials = await storage.testimonials.approvedBetween(week.start, week.end);
+        return {
+            week,
+            posts,
+            testimonials,
+            ...newsletterHelpers.buildDigest({ posts, testimonials, week })
+        };
+    }
+
+    // GET preview the weekly digest of posts and approved testimonies; ?week_of=YYYY-MM-DD (default this week)
+    app.get('/api/admin/newsletter/digest', auth.requireRole(...NEWSLETTER_ADMINS), async (req, res) => {
+        const digest = await buildWeeklyDigest(req.query.week_of, res);
+        if (!digest) return;
+
+        res.json({
+            success: true,
+            week_start: digest.week.weekStart,
+            posts: digest.posts.length,
+            testimonials: digest.testimonials.length,
+            subject: digest.subject,
+            text: digest.text,
+            html: digest.html,
+            sent: await storage.newsletter.findDigest(digest.week.weekStart)
+        });
+    });
+
+    // POST { week_of } - email the week's digest to every confirmed subscriber, once per week
+    app.post('/api/admin/newsletter/digest/send', auth.requireRole(...NEWSLETTER_ADMINS), async (req, res) => {
+        const digest = await buildWeeklyDigest(req.body.week_of, res);
+        if (!digest) return;
+
+        const { weekStart } = digest.week;
+        if (await storage.newsletter.findDigest(weekStart)) {
+            return res.status(409).json({ success: false, error: `The digest for the week of ${weekStart} was already sent` });
+        }
+        if (!digest.posts.length && !digest.testimonials.length) {
+            return res.status(400).json({ success: false, error: 'Nothing was published that week' });
+        }
+
+        const recipients = await storage.newsletter.recipients();
+        await notifier.queue('newsletter.digest', recipients.map(subscriber => ({
+            recipient: subscriber.email,
+            ...newsletterHelpers.personalize(digest, subscriber.unsubscribe_token)
+        })));
+        const sent = await storage.newsletter.recordDigest({
+            weekStart,
+            subject: digest.subject,
+            posts: digest.posts.length,
+            testimonials: digest.testimonials.length,
+            recipients: recipients.length,
+            userId: req.user.id
+        });
+
+        req.log.info(`📰 Digest for the week of ${weekStart} queued for ${recipients.length} subscribers by user ${req.user.id}`);
+
+        res.status(202).json({ success: true, digest: sent });
+    });
+
+    logger.debug('✅ Newsletter endpoints ready!');
+    // ===== END NEWSLETTER =====
+
+    // ===== ANALYTICS =====
+    logger.debug('📈 Setting up analytics endpoints...');
+
+    const ANALYTICS_VIEWERS = ['pastor', 'moderator'];
+
+    // metric -> (range) => rows, with the CSV columns from analyticsHelpers.METRICS
+    const ANALYTICS_BUILDERS = {
+        async prayers(range) {
+            const rows = await storage.analytics.prayersPerWeek(range.start, range.end);
+            return analyticsHelpers.fillWeeks(rows, range.weeks, ['prayers']);
+        },
+
+        async testimonials(range) {
+            const { submitted, approved } = await storage.analytics.testimonialsPerWeek(range.start, range.end);
+            const approvedByWeek = new Map(approved.map(row => [row.week, row.approved]));
+            return analyticsHelpers.fillWeeks(submitted, range.weeks, ['submitted'])
+                .map(row => ({ ...row, approved: approvedByWeek.get(row.week) || 0 }));
+        },
+
+        async hearts(range) {
+            const { rows, before } = await storage.analytics.heartsPerWeek(range.start, range.end);
+            let cumulative = before;
+            return analyticsHelpers.fillWeeks(rows, range.weeks, ['hearts'])
+                .map(row => ({ ...row, cumulative: (cumulative += row.hearts) }));
+        },
+
+        async posts(range) {
+            return storage.analytics.topPosts(range.start, range.end);
+        },
+
+        async turnaround(range) {
+            const approvals = await storage.analytics.approvalTimes(range.start, range.end);
+            return analyticsHelpers.summarizeTurnaround(approvals, range.weeks).rows;
+        },
+
+        async comments(range) {
+            return storage.analytics.commentsByCategory(range.start, range.end);
+        }
+    };
+
+    // The range from ?from=&to=, or sends a 400 and resolves with null
+    function analyticsRange(req, res) {
+        const range = analyticsHelpers.parseRange(req.query, clock.now());
+        if (range.error) {
+            res.status(400).json({ success: false, error: range.error });
+            return null;
+        }
+        return range;
+    }
+
+    // GET every metric for ?from=YYYY-MM-DD&to=YYYY-MM-DD (default the last 12 weeks)
+    app.get('/api/admin/analytics', auth.requireRole(...ANALYTICS_VIEWERS), async (req, res) => {
+        const range = analyticsRange(req, res);
+        if (!range) return;
+
+        const metrics = {};
+        for (const [metric, build] of Object.entries(ANALYTICS_BUILDERS)) {
+            metrics[metric] = await build(range);
+        }
+        const approvals = await storage.analytics.approvalTimes(range.start, range.end);
+        const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+        res.json({
+            success: true,
+            range: { from: range.from, to: range.to },
+            summary: {
+                prayers: sum(metrics.prayers, 'prayers'),
+                testimonials_submitted: sum(metrics.testimonials, 'submitted'),
+                testimonials_approved: sum(metrics.testimonials, 'approved'),
+                hearts: sum(metrics.hearts, 'hearts'),
+                comments: sum(metrics.comments, 'comments'),
+                turnaround: analyticsHelpers.summarizeTurnaround(approvals, range.weeks).summary
+            },
+            ...metrics
+        });
+    });
+
+    // GET one metric (prayers, testimonials, hearts, posts, turnaround, comments); ?format=csv to download
+    app.get('/api/admin/analytics/:metric', auth.requireRole(...ANALYTICS_VIEWERS), async (req, res) => {
+        const { metric } = req.params;
+        if (!ANALYTICS_BUILDERS[metric]) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown metric - expected one of: ${Object.keys(ANALYTICS_BUILDERS).join(', ')}`
+            });
+        }
+        const range = analyticsRange(req, res);
+        if (!range) return;
+
+        const rows = await ANALYTICS_BUILDERS[metric](range);
+
+        if (req.query.format === 'csv') {
+            req.log.info(`📈 Exporting ${metric} analytics (${range.from} to ${range.to}) for user ${req.user.id}`);
+            res.set('Content-Disposition', `attachment; filename="${metric}-${range.from}-to-${range.to}.csv"`);
+            return res.type('text/csv').send(csvHelpers.toCsv(analyticsHelpers.METRICS[metric], rows));
+        }
+
+        res.json({ success: true, range: { from: range.from, to: range.to }, metric, rows });
+    });
+
+    logger.debug('✅ Analytics endpoints ready!');
+    // ===== END ANALYTICS =====
+
+    // ===== DATA EXPORT & BACKUPS =====
+    logger.debug('📦 Setting up data export endpoints...');
+
+    const DATA_ADMINS = ['pastor'];
+
+    // GET everything as one JSON file, or one collection (?type=posts|prayers|comments|testimonials);
+    // ?format=csv (needs a type) for spreadsheets, ?from=&to= (YYYY-MM-DD) to limit by creation date
+    app.get('/api/admin/export', auth.requireRole(...DATA_ADMINS), async (req, res) => {
+        const query = archiveHelpers.parseExportQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
+
+        const now = clock.now();
+        const rows = await storage.archive.dump(query.collections, query);
+        const name = `awc-${req.query.type || 'export'}-${now.toISOString().slice(0, 10)}`;
+        req.log.info(`📦 Exporting ${query.collections.join(', ')} as ${query.format} for user ${req.user.id}`);
+
+        if (query.format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+            return res.type('text/csv').send(archiveHelpers.toCsv(req.query.type, rows[req.query.type]));
+        }
+        res.set('Content-Disposition', `attachment; filename="${name}.json"`);
+        res.type('application/json').send(JSON.stringify(archiveHelpers.buildExport(rows, now), null, 2));
+    });
+
+    // POST an export file to add its content as new records; ?dry_run=true
+    // checks it and shows the post ids it would use without writing anything
+    app.post('/api/admin/import', auth.requireRole(...DATA_ADMINS), async (req, res) => {
+        const dryRun = ['true', '1'].includes(req.query.dry_run);
+        const { valid, counts, idMap, errors } = await archiveHelpers.importDocument(storage, req.body, {
+            dryRun,
+            now: clock.now()
+        });
+
+        if (dryRun) {
+            return res.json({ success: true, dry_run: true, valid, counts, id_map: idMap, errors });
+        }
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'The import has errors - nothing was imported', errors });
+        }
+
+        req.log.info(`📦 Imported ${Object.entries(counts).map(([collection, count]) => `${count} ${collection}`).join(', ')} for user ${req.user.id}`);
+        res.status(201).json({ success: true, dry_run: false, counts, id_map: idMap });
+    });
+
+    // GET the backups on disk, newest first
+    app.get('/api/admin/backups', auth.requireRole(...DATA_ADMINS), (req, res) => {
+        res.json({ success: true, backups: backups.listBackups(), keep: backups.settings.keep });
+    });
+
+    // POST take a backup now (older ones past BACKUP_KEEP are deleted)
+    app.post('/api/admin/backups', auth.requireRole(...DATA_ADMINS), async (req, res) => {
+        const { backup, removed } = await backups.createBackup(storage.db, clock.now());
+        req.log.info(`💾 Backup ${backup.file} taken for user ${req.user.id} (${removed.length} rotated out)`);
+        res.status(201).json({ success: true, backup, removed });
+    });
+
+    logger.debug('✅ Data export endpoints ready!');
+    // ===== END DATA EXPORT & BACKUPS =====
+
+    // ===== LIVE EVENTS =====
+    logger.debug('📡 Setting up Live event endpoints...');
+
+    // GET a text/event-stream of prayer wall and testimony events the viewer may see.
+    // Optional ?types=prayer.created,comment.added; reconnecting clients send
+    // Last-Event-ID (or ?lastEventId=) and get what they missed, or a `reset`
+    // event when that's no longer possible
+    app.get('/api/events', requireFeature('live_events'), auth.optionalAuth, (req, res) => {
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+        const unknown = (types || []).filter(type => !liveEventHelpers.EVENT_TYPES.includes(type));
+        if (unknown.length) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown event type ${unknown.join(', ')} - expected some of: ${liveEventHelpers.EVENT_TYPES.join(', ')}`
+            });
+        }
+
+        const visibilities = prayerHelpers.visibleTo(req.user);
+        const wanted = (event) => visibilities.includes(event.visibility)
+            && !(event.except && visibilities.includes(event.except))
+            && (!types || types.includes(event.type));
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop nginx buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${liveEventHelpers.settings.retryMs}\n\n`);
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = liveEvents.since(lastEventId);
+            if (missed) {
+                for (const event of missed.filter(wanted)) res.write(liveEventHelpers.format(event));
+            } else {
+                res.write(liveEventHelpers.format({ id: liveEvents.lastId(), type: 'reset', data: {} }));
+            }
+        }
+
+        const unsubscribe = liveEvents.subscribe(event => {
+            if (wanted(event)) res.write(liveEventHelpers.format(event));
+        });
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), liveEventHelpers.settings.heartbeatMs);
+
+        req.log.info(`📡 Live events client connected (${liveEvents.connections()} open)`);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            req.log.info(`📡 Live events client left (${liveEvents.connections()} open)`);
+        });
+    });
+
+    logger.debug('✅ Live event endpoints ready!');
+    // ===== END LIVE EVENTS =====
+
+    // Unknown API routes get JSON like everything else under /api
+    app.use('/api', (req, res) => {
+        res.status(404).json({ success: false, error: 'Not found' });
+    });
+
+    app.use(errors.errorHandler(logger));
+
+    return app;
+}
+
+module.exports = { createApp, systemClock };
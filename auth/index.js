@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { config } = require('../lib/config');
+const { LIMITS, plainText } = require('../lib/sanitize');
+
+const scrypt = promisify(crypto.scrypt);
+
+// pastor       - everything, including staff accounts and testimonial approval
+// moderator    - prayer wall and comment moderation
+// editor       - blog content
+// prayer_team  - sees prayers shared with the prayer team only
+// member       - sees members-only prayers
+const ROLES = ['pastor', 'moderator', 'editor', 'prayer_team', 'member'];
+
+const SESSION_TTL_HOURS = config.sessionTtlHours;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt hex>$<key hex>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new bearer token for the user; only its hash is persisted
+async function createSession(storage, user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(storage.clock.now().getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    await storage.users.createSession(user.id, hashToken(token), expiresAt);
+    return { token, expiresAt };
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Set req.user (and req.sessionTokenHash) if the request carries a live token
+async function loadUser(req) {
+    const token = bearerToken(req);
+    if (!token) return;
+
+    const tokenHash = hashToken(token);
+    const user = await req.app.locals.storage.users.findBySession(tokenHash);
+    if (user) {
+        req.user = user;
+        req.sessionTokenHash = tokenHash;
+    }
+}
+
+// Attach req.user from the Authorization header, or respond 401
+async function requireAuth(req, res, next) {
+    await loadUser(req);
+
+    if (!req.user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    next();
+}
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+async function optionalAuth(req, res, next) {
+    await loadUser(req);
+    next();
+}
+
+function hasRole(user, ...roles) {
+    return Boolean(user && roles.includes(user.role));
+}
+
+// requireAuth, then 403 unless the user holds one of the given roles
+function requireRole(...roles) {
+    return [
+        requireAuth,
+        (req, res, next) => {
+            if (!hasRole(req.user, ...roles)) {
+                req.log.info(`🚫 User ${req.user.id} (${req.user.role}) denied ${req.method} ${req.originalUrl.split('?')[0]}`);
+                return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+            }
+            next();
+        }
+    ];
+}
+
+// No markup characters either, as addresses are shown in the admin pages
+function isValidEmail(email) {
+    return typeof email === 'string' &&
+        email.trim().length <= LIMITS.email &&
+        /^[^\s@<>"'`]+@[^\s@<>"'`]+$/.test(email.trim());
+}
+
+// An account id from a URL as a number, or null. SQLite would match '01' or
+// '1.0' against id 1, so anything but plain digits is refused outright.
+function parseUserId(value) {
+    return /^[1-9]\d*$/.test(String(value)) ? Number(value) : null;
+}
+
+// Validate a new account payload; returns an error message or null
+function validateNewUser({ email, name, password, role }) {
+    if (!isValidEmail(email)) return 'Valid email required';
+    if (typeof name !== 'string' || plainText(name) === '') return 'Name required';
+    if (name.length > LIMITS.name) return `Name must be less than ${LIMITS.name} characters`;
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (!ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}`;
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    createSession,
+    requireAuth,
+    optionalAuth,
+    requireRole,
+    hasRole,
+    isValidEmail,
+    parseUserId,
+    validateNewUser
+};
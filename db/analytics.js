@@ -0,0 +1,100 @@
+// Read-only analytics queries over the other tables. Every method takes the
+// ISO bounds of a range (end exclusive); weekly rows are labelled by Monday.
+
+// Monday (UTC) of the week an ISO timestamp column falls in
+const week = (column) => `date(${column}, 'weekday 0', '-6 days')`;
+
+function createAnalyticsStore(db) {
+    return {
+        async prayersPerWeek(start, end) {
+            return db.all(`
+                SELECT ${week('created_at')} AS week, COUNT(*) AS prayers FROM prayers
+                WHERE created_at >= ? AND created_at < ?
+                GROUP BY week
+            `, [start, end]);
+        },
+
+        // Submitted by when they came in, approved by when they were first approved
+        async testimonialsPerWeek(start, end) {
+            const submitted = await db.all(`
+                SELECT ${week('created_at')} AS week, COUNT(*) AS submitted FROM testimonials
+                WHERE created_at >= ? AND created_at < ?
+                GROUP BY week
+            `, [start, end]);
+            const approved = await db.all(`
+                SELECT ${week('approved_at')} AS week, COUNT(*) AS approved FROM (
+                    SELECT MIN(created_at) AS approved_at FROM testimonial_reviews
+                    WHERE action = 'approve' GROUP BY testimonial_id
+                )
+                WHERE approved_at >= ? AND approved_at < ?
+                GROUP BY week
+            `, [start, end]);
+            return { submitted, approved };
+        },
+
+        // Hearts given before start, so a running total can start from there
+        async heartsPerWeek(start, end) {
+            const rows = await db.all(`
+                SELECT ${week('created_at')} AS week, COUNT(*) AS hearts FROM prayer_hearts
+                WHERE created_at >= ? AND created_at < ?
+                GROUP BY week
+            `, [start, end]);
+            const { earlier } = await db.get('SELECT COUNT(*) AS earlier FROM prayer_hearts WHERE created_at < ?', [start]);
+            return { rows, before: earlier };
+        },
+
+        // Posts by likes + comments in the range, then views; hand-built
+        // article pages have no posts row, so their title is null
+        async topPosts(start, end, limit = 10) {
+            return db.all(`
+                SELECT e.post_id, p.title, p.category,
+                       SUM(e.kind = 'view') AS views, SUM(e.kind = 'like') AS likes, SUM(e.kind = 'comment') AS comments
+                FROM (
+                    SELECT post_id, 'view' AS kind FROM post_views WHERE created_at >= ? AND created_at < ?
+                    UNION ALL
+                    SELECT post_id, 'like' FROM post_likes WHERE created_at >= ? AND created_at < ?
+                    UNION ALL
+                    SELECT target_id, 'comment' FROM comments
+                    WHERE target_type = 'post' AND status = 'approved' AND created_at >= ? AND created_at < ?
+                ) e
+                LEFT JOIN posts p ON p.id = e.post_id
+                GROUP BY e.post_id
+                ORDER BY likes + comments DESC, views DESC, e.post_id
+                LIMIT ?
+            `, [start, end, start, end, start, end, limit]);
+        },
+
+        // [{ week, hours }] from submission to first approval, for testimonies first approved in the range
+        async approvalTimes(start, end) {
+            const rows = await db.all(`
+                SELECT t.created_at AS submitted_at, MIN(r.created_at) AS approved_at,
+                       ${week('MIN(r.created_at)')} AS week
+                FROM testimonials t
+                JOIN testimonial_reviews r ON r.testimonial_id = t.id AND r.action = 'approve'
+                GROUP BY t.id
+                HAVING approved_at >= ? AND approved_at < ?
+            `, [start, end]);
+            return rows.map(row => ({
+                week: row.week,
+                hours: Math.max(0, Date.parse(row.approved_at) - Date.parse(row.submitted_at)) / (60 * 60 * 1000)
+            }));
+        },
+
+        // Approved comments per week by the post's category, or by target type
+        // for prayers and testimonials ('other' for the hand-built article pages)
+        async commentsByCategory(start, end) {
+            return db.all(`
+                SELECT ${week('c.created_at')} AS week,
+                       CASE WHEN c.target_type = 'post' THEN COALESCE(p.category, 'other') ELSE c.target_type END AS category,
+                       COUNT(*) AS comments
+                FROM comments c
+                LEFT JOIN posts p ON c.target_type = 'post' AND p.id = c.target_id
+                WHERE c.status = 'approved' AND c.created_at >= ? AND c.created_at < ?
+                GROUP BY week, category
+                ORDER BY week, category
+            `, [start, end]);
+        }
+    };
+}
+
+module.exports = createAnalyticsStore;
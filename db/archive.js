@@ -0,0 +1,147 @@
+// Export and import storage for lib/archive
+
+const { COLUMNS, COLLECTIONS, TARGET_TABLES } = require('../lib/archive');
+const { STANDALONE_POSTS } = require('../lib/posts');
+const { contentFingerprint } = require('../lib/moderation');
+
+function createArchiveStore(db) {
+    // Whether any post uses value as its id or slug
+    async function postTaken(value) {
+        return Boolean(await db.get('SELECT 1 FROM posts WHERE id = ? OR slug = ?', [value, value]));
+    }
+
+    // A post keeps its id and slug when both are free; otherwise it gets a new
+    // slug (with -2, -3, ... as the API does) used as its id too
+    async function choosePostIds(posts) {
+        const planned = new Set();
+        const taken = async value => planned.has(value) || STANDALONE_POSTS.includes(value) || postTaken(value);
+        const ids = new Map();
+        for (const post of posts) {
+            let id = post.id;
+            let slug = post.slug;
+            if (await taken(id) || await taken(slug)) {
+                for (let n = 2; await taken(slug); n++) slug = `${post.slug}-${n}`;
+                id = slug;
+            }
+            planned.add(id).add(slug);
+            ids.set(post.id, { id, slug });
+        }
+        return ids;
+    }
+
+    async function insertPost(post, { id, slug }) {
+        await db.run(`
+            INSERT INTO posts
+                (id, slug, title, author, content, excerpt, category, category_label,
+                 image_url, read_time, status, published_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, slug, post.title, post.author, post.content, post.excerpt, post.category, post.categoryLabel,
+            post.image, post.readTime, post.status, post.published_at, post.created_at, post.updated_at
+        ]);
+        return id;
+    }
+
+    async function insertPrayer(prayer) {
+        const { lastID } = await db.run(`
+            INSERT INTO prayers (name, request, hearts, anonymous, visibility, author_email, notify_comments, archived_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            prayer.name, prayer.request, prayer.hearts, prayer.anonymous ? 1 : 0, prayer.visibility,
+            prayer.author_email, prayer.notify_comments ? 1 : 0, prayer.archived_at, prayer.created_at
+        ]);
+        return lastID;
+    }
+
+    // The review history is seeded the way the review workflow migration did
+    // it: a submission, and an approval for approved testimonies
+    async function insertTestimonial(testimonial) {
+        const { lastID } = await db.run(`
+            INSERT INTO testimonials (name, testimony, anonymous, status, review_note, reviewed_at, approved_at, service_date, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            testimonial.name, testimonial.testimony, testimonial.anonymous ? 1 : 0, testimonial.status,
+            testimonial.review_note, testimonial.reviewed_at, testimonial.approved_at, testimonial.service_date,
+            testimonial.created_at
+        ]);
+        await db.run(
+            'INSERT INTO testimonial_reviews (testimonial_id, action, status, created_at) VALUES (?, \'submit\', \'pending\', ?)',
+            [lastID, testimonial.created_at]
+        );
+        if (testimonial.status === 'approved') {
+            await db.run(
+                'INSERT INTO testimonial_reviews (testimonial_id, action, status, service_date, created_at) VALUES (?, \'approve\', \'approved\', ?, ?)',
+                [lastID, testimonial.service_date, testimonial.approved_at]
+            );
+        }
+        return lastID;
+    }
+
+    async function insertComment(comment, targetId, parentId) {
+        const { lastID } = await db.run(`
+            INSERT INTO comments
+                (target_type, target_id, parent_id, author_name, author_email, content, anonymous,
+                 status, flags, fingerprint, created_at, edited_at, moderated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            comment.target_type, String(targetId), parentId, comment.author_name, comment.author_email, comment.content,
+            comment.anonymous ? 1 : 0, comment.status, JSON.stringify(comment.flags), contentFingerprint(comment.content),
+            comment.created_at, comment.edited_at, comment.moderated_at
+        ]);
+        return lastID;
+    }
+
+    return {
+        // { collection: rows } for each of collections, oldest first, limited
+        // to rows created in [start, end) when those are given
+        async dump(collections = COLLECTIONS, { start = null, end = null } = {}) {
+            const rows = {};
+            for (const collection of collections) {
+                rows[collection] = await db.all(`
+                    SELECT ${COLUMNS[collection].join(', ')} FROM ${collection}
+                    WHERE (? IS NULL OR created_at >= ?) AND (? IS NULL OR created_at < ?)
+                    ORDER BY created_at, id
+                `, [start, start, end, end]);
+            }
+            return rows;
+        },
+
+        // Add cleaned records (from lib/archive validateExport, so every
+        // comment's target and parent are among them) as new rows. Resolves
+        // with { counts, idMap }: idMap is old id -> new id for each
+        // collection. A dry run only reads - its idMap has the posts, whose ids
+        // are chosen up front, while the other collections get theirs from the
+        // database.
+        async restore(records, { dryRun = false } = {}) {
+            const postIds = await choosePostIds(records.posts);
+            const counts = Object.fromEntries(COLLECTIONS.map(collection => [collection, records[collection].length]));
+            const idMap = Object.fromEntries(COLLECTIONS.map(collection => [collection, {}]));
+            for (const [oldId, { id }] of postIds) idMap.posts[oldId] = id;
+
+            if (dryRun) return { counts, idMap };
+
+            await db.transaction(async () => {
+                for (const post of records.posts) await insertPost(post, postIds.get(post.id));
+                for (const prayer of records.prayers) idMap.prayers[prayer.id] = await insertPrayer(prayer);
+                for (const testimonial of records.testimonials) {
+                    idMap.testimonials[testimonial.id] = await insertTestimonial(testimonial);
+                }
+                // validateExport() put replies after their parents
+                for (const comment of records.comments) {
+                    const targets = idMap[TARGET_TABLES[comment.target_type]];
+                    // Only a standalone article page isn't in the import itself
+                    const targetId = targets[comment.target_id]
+                        ?? (comment.target_type === 'post' && STANDALONE_POSTS.includes(comment.target_id) ? comment.target_id : null);
+                    if (targetId === null) {
+                        throw new Error(`Comment ${comment.id} is on ${comment.target_type} ${comment.target_id}, which isn't in the import`);
+                    }
+                    const parentId = comment.parent_id === null ? null : idMap.comments[comment.parent_id];
+                    idMap.comments[comment.id] = await insertComment(comment, targetId, parentId);
+                }
+            });
+            return { counts, idMap };
+        }
+    };
+}
+
+module.exports = createArchiveStore;
@@ -0,0 +1,164 @@
+// Comments on posts, prayers and testimonials (one table, threaded via parent_id)
+
+const { contentFingerprint } = require('../lib/moderation');
+
+// Public shape - the same wherever the comment lives
+function toComment(row) {
+    return {
+        id: String(row.id),
+        target_type: row.target_type,
+        target_id: row.target_id,
+        parent_id: row.parent_id === null ? null : String(row.parent_id),
+        author_name: row.author_name,
+        content: row.content,
+        anonymous: Boolean(row.anonymous),
+        status: row.status,
+        created_at: row.created_at,
+        edited_at: row.edited_at
+    };
+}
+
+// Moderator view: adds the email, rule flags and who moderated it
+function toModerationItem(row) {
+    return {
+        ...toComment(row),
+        author_email: row.author_email,
+        flags: JSON.parse(row.flags || '[]'),
+        moderated_by: row.moderated_by === null ? null : String(row.moderated_by),
+        moderated_at: row.moderated_at
+    };
+}
+
+function createCommentStore(db, clock) {
+    return {
+        // Flat list for one post/prayer/testimonial, approved only unless a status is given
+        async listForTarget(targetType, targetId, { status = 'approved' } = {}) {
+            const rows = await db.all(
+                'SELECT * FROM comments WHERE target_type = ? AND target_id = ? AND status = ? ORDER BY created_at DESC, id DESC',
+                [targetType, String(targetId), status]
+            );
+            return rows.map(toComment);
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM comments WHERE id = ?', [id]);
+            return row ? toComment(row) : null;
+        },
+
+        // Includes edit_token_hash - only for checking an edit
+        async findForEdit(id) {
+            return db.get('SELECT * FROM comments WHERE id = ?', [id]);
+        },
+
+        async create({ target_type, target_id, parent_id, author_name, author_email, content, anonymous, status, flags, editTokenHash }) {
+            const { lastID } = await db.run(`
+                INSERT INTO comments
+                    (target_type, target_id, parent_id, author_name, author_email, content, anonymous,
+                     status, flags, fingerprint, edit_token_hash, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                target_type, String(target_id), parent_id || null, author_name, author_email || null, content,
+                anonymous ? 1 : 0, status, JSON.stringify(flags), contentFingerprint(content), editTokenHash,
+                clock.now().toISOString()
+            ]);
+            return this.findById(lastID);
+        },
+
+        // Author edit: new content re-runs moderation, so status and flags change too
+        async updateContent(id, { content, status, flags }) {
+            await db.run(
+                'UPDATE comments SET content = ?, status = ?, flags = ?, fingerprint = ?, edited_at = ? WHERE id = ?',
+                [content, status, JSON.stringify(flags), contentFingerprint(content), clock.now().toISOString(), id]
+            );
+            return this.findById(id);
+        },
+
+        // Replies go with it (ON DELETE CASCADE)
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM comments WHERE id = ?', [id]);
+            return changes > 0;
+        },
+
+        async removeForTarget(targetType, targetId) {
+            const { changes } = await db.run(
+                'DELETE FROM comments WHERE target_type = ? AND target_id = ?',
+                [targetType, String(targetId)]
+            );
+            return changes;
+        },
+
+        // True if the same content was posted since sinceIso (by any comment but excludeId)
+        async isDuplicate(fingerprint, sinceIso, excludeId = null) {
+            const row = await db.get(
+                'SELECT 1 FROM comments WHERE fingerprint = ? AND created_at >= ? AND id IS NOT ? LIMIT 1',
+                [fingerprint, sinceIso, excludeId]
+            );
+            return Boolean(row);
+        },
+
+        async countApproved(targetType) {
+            const row = await db.get(
+                'SELECT COUNT(*) AS total FROM comments WHERE target_type = ? AND status = \'approved\'',
+                [targetType]
+            );
+            return row.total;
+        },
+
+        // targetId -> approved comment count, for the given targets (0 when none)
+        async countApprovedFor(targetType, targetIds) {
+            const counts = Object.fromEntries(targetIds.map(id => [String(id), 0]));
+            if (!targetIds.length) return counts;
+
+            const rows = await db.all(`
+                SELECT target_id, COUNT(*) AS total FROM comments
+                WHERE target_type = ? AND status = 'approved' AND target_id IN (${targetIds.map(() => '?').join(', ')})
+                GROUP BY target_id
+            `, [targetType, ...targetIds.map(String)]);
+            for (const row of rows) counts[row.target_id] = row.total;
+            return counts;
+        },
+
+        // Every comment for moderators, newest first; status and type are optional filters
+        async listForModeration({ status, type } = {}) {
+            const where = [];
+            const params = [];
+            if (status) {
+                where.push('status = ?');
+                params.push(status);
+            }
+            if (type) {
+                where.push('target_type = ?');
+                params.push(type);
+            }
+
+            const rows = await db.all(
+                `SELECT * FROM comments ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC`,
+                params
+            );
+            return rows.map(toModerationItem);
+        },
+
+        // Resolves with the updated item, or null if it doesn't exist
+        async setStatus(id, status, userId) {
+            const { changes } = await db.run(
+                'UPDATE comments SET status = ?, moderated_by = ?, moderated_at = ? WHERE id = ?',
+                [status, userId, clock.now().toISOString(), id]
+            );
+            if (!changes) return null;
+            return toModerationItem(await db.get('SELECT * FROM comments WHERE id = ?', [id]));
+        },
+
+        async moderationCounts() {
+            return db.get(`
+                SELECT
+                    COALESCE(SUM(status = 'pending'), 0) AS pending,
+                    COALESCE(SUM(status = 'approved'), 0) AS approved,
+                    COALESCE(SUM(status = 'rejected'), 0) AS rejected,
+                    COUNT(*) AS total
+                FROM comments
+            `);
+        }
+    };
+}
+
+module.exports = createCommentStore;
@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+
+// Promise wrapper around the callback-based sqlite3 driver
+class Database {
+    constructor(connection) {
+        this.connection = connection;
+        // Everything shares the one connection, so statements and whole
+        // transactions take turns. A transaction's own statements go straight
+        // through: inTransaction holds { open } while it runs.
+        this.queue = Promise.resolve();
+        this.inTransaction = new AsyncLocalStorage();
+    }
+
+    static open(filename) {
+        return new Promise((resolve, reject) => {
+            const connection = new sqlite3.Database(filename, (err) => {
+                if (err) return reject(err);
+                resolve(new Database(connection));
+            });
+        });
+    }
+
+    // Start operation once nothing else is using the connection, so a
+    // statement never lands between another caller's BEGIN and COMMIT
+    schedule(operation) {
+        const scope = this.inTransaction.getStore();
+        if (scope && scope.open) return operation();
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Run a write statement; resolves with { lastID, changes }
+    run(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.connection.run(sql, params, function (err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        }));
+    }
+
+    get(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.connection.get(sql, params, (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        }));
+    }
+
+    all(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.connection.all(sql, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        }));
+    }
+
+    exec(sql) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.connection.exec(sql, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        }));
+    }
+
+    transaction(fn) {
+        const scope = { open: true };
+        const run = async () => {
+            await this.exec('BEGIN');
+            try {
+                const result = await fn(this);
+                await this.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await this.exec('ROLLBACK');
+                throw error;
+            } finally {
+                // Anything fn left running queues like everyone else from here
+                scope.open = false;
+            }
+        };
+        return this.schedule(() => this.inTransaction.run(scope, run));
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.connection.close((err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = Database;
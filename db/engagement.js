@@ -0,0 +1,67 @@
+// Post likes and views, one per visitor (views: one per visitor per day)
+
+function createEngagementStore(db, clock) {
+    return {
+        // Resolves with false if this visitor already liked the post
+        async like(postId, visitorHash) {
+            const { changes } = await db.run(
+                'INSERT OR IGNORE INTO post_likes (post_id, visitor_hash, created_at) VALUES (?, ?, ?)',
+                [postId, visitorHash, clock.now().toISOString()]
+            );
+            return changes > 0;
+        },
+
+        // Resolves with false if this visitor hadn't liked the post
+        async unlike(postId, visitorHash) {
+            const { changes } = await db.run(
+                'DELETE FROM post_likes WHERE post_id = ? AND visitor_hash = ?',
+                [postId, visitorHash]
+            );
+            return changes > 0;
+        },
+
+        async hasLiked(postId, visitorHash) {
+            const row = await db.get(
+                'SELECT 1 FROM post_likes WHERE post_id = ? AND visitor_hash = ?',
+                [postId, visitorHash]
+            );
+            return Boolean(row);
+        },
+
+        // Resolves with false if this visitor was already counted today
+        async recordView(postId, visitorHash) {
+            const now = clock.now().toISOString();
+            const { changes } = await db.run(
+                'INSERT OR IGNORE INTO post_views (post_id, day, visitor_hash, created_at) VALUES (?, ?, ?, ?)',
+                [postId, now.slice(0, 10), visitorHash, now]
+            );
+            return changes > 0;
+        },
+
+        // postId -> { likes, views } for the given posts (zeros when none)
+        async statsFor(postIds) {
+            const stats = Object.fromEntries(postIds.map(id => [String(id), { likes: 0, views: 0 }]));
+            if (!postIds.length) return stats;
+
+            const placeholders = postIds.map(() => '?').join(', ');
+            const likes = await db.all(
+                `SELECT post_id, COUNT(*) AS total FROM post_likes WHERE post_id IN (${placeholders}) GROUP BY post_id`,
+                postIds
+            );
+            const views = await db.all(
+                `SELECT post_id, COUNT(*) AS total FROM post_views WHERE post_id IN (${placeholders}) GROUP BY post_id`,
+                postIds
+            );
+            for (const row of likes) stats[row.post_id].likes = row.total;
+            for (const row of views) stats[row.post_id].views = row.total;
+            return stats;
+        },
+
+        async removeForPost(postId) {
+            await db.run('DELETE FROM post_likes WHERE post_id = ?', [postId]);
+            await db.run('DELETE FROM post_views WHERE post_id = ?', [postId]);
+        }
+    };
+}
+
+module.exports = createEngagementStore;
@@ -0,0 +1,78 @@
+const { config } = require('../lib/config');
+const { logger } = require('../lib/logger');
+const { systemClock } = require('../lib/clock');
+const Database = require('./database');
+const migrations = require('./migrations');
+const createPrayerStore = require('./prayers');
+const createCommentStore = require('./comments');
+const createTestimonialStore = require('./testimonials');
+const createUserStore = require('./users');
+const createPostStore = require('./posts');
+const createMediaStore = require('./media');
+const createSearchStore = require('./search');
+const createNotificationStore = require('./notifications');
+const createNewsletterStore = require('./newsletter');
+const createEngagementStore = require('./engagement');
+const createAnalyticsStore = require('./analytics');
+const createArchiveStore = require('./archive');
+
+// Apply any migrations newer than the recorded schema version
+async function migrate(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const row = await db.get('SELECT MAX(version) AS version FROM schema_migrations');
+    const current = row.version || 0;
+    const pending = migrations.filter(m => m.version > current);
+
+    for (const migration of pending) {
+        await db.transaction(async () => {
+            await migration.up(db);
+            await db.run(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]
+            );
+        });
+        logger.info(`🗄️ Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.length;
+}
+
+// Open the database, bring the schema up to date and return the stores.
+// They stamp rows with clock.now() (see lib/clock).
+async function openStorage(filename = config.paths.db, { clock = systemClock } = {}) {
+    const db = await Database.open(filename);
+    await db.exec('PRAGMA foreign_keys = ON');
+    await migrate(db);
+
+    // Derived from the other tables, so rebuilding on start keeps it from drifting
+    const search = createSearchStore(db, clock);
+    const indexed = await search.rebuild();
+    logger.info(`🔎 Search index rebuilt (${indexed} documents)`);
+
+    return {
+        db,
+        clock,
+        prayers: createPrayerStore(db, clock),
+        comments: createCommentStore(db, clock),
+        testimonials: createTestimonialStore(db, clock),
+        users: createUserStore(db, clock),
+        posts: createPostStore(db, clock),
+        media: createMediaStore(db, clock),
+        search,
+        notifications: createNotificationStore(db, clock),
+        newsletter: createNewsletterStore(db, clock),
+        engagement: createEngagementStore(db, clock),
+        analytics: createAnalyticsStore(db),
+        archive: createArchiveStore(db),
+        close: () => db.close()
+    };
+}
+
+module.exports = { openStorage, migrate };
@@ -0,0 +1,57 @@
+// Uploaded image records (the files themselves live in UPLOAD_DIR, see lib/media.js)
+
+const { mediaUrl, thumbnailUrl } = require('../lib/media');
+
+function toMedia(row) {
+    const widths = JSON.parse(row.thumbnail_widths || '[]');
+    return {
+        id: String(row.id),
+        hash: row.hash,
+        file_name: row.file_name,
+        url: mediaUrl(row.file_name),
+        thumbnails: Object.fromEntries(widths.map(width => [width, thumbnailUrl(row.hash, width)])),
+        thumbnail_widths: widths,
+        original_name: row.original_name,
+        mime_type: row.mime_type,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        uploaded_by: row.uploaded_by === null ? null : String(row.uploaded_by),
+        created_at: row.created_at
+    };
+}
+
+function createMediaStore(db, clock) {
+    return {
+        async list() {
+            const rows = await db.all('SELECT * FROM media ORDER BY created_at DESC, id DESC');
+            return rows.map(toMedia);
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM media WHERE id = ?', [id]);
+            return row ? toMedia(row) : null;
+        },
+
+        async findByHash(hash) {
+            const row = await db.get('SELECT * FROM media WHERE hash = ?', [hash]);
+            return row ? toMedia(row) : null;
+        },
+
+        async create({ hash, fileName, originalName, mimeType, size, width, height, thumbnails, uploadedBy }) {
+            const { lastID } = await db.run(`
+                INSERT INTO media
+                    (hash, file_name, original_name, mime_type, size, width, height, thumbnail_widths, uploaded_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [hash, fileName, originalName, mimeType, size, width, height, JSON.stringify(thumbnails), uploadedBy, clock.now().toISOString()]);
+            return this.findById(lastID);
+        },
+
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM media WHERE id = ?', [id]);
+            return changes > 0;
+        }
+    };
+}
+
+module.exports = createMediaStore;
@@ -0,0 +1,505 @@
+// Schema migrations, applied in order and recorded in schema_migrations.
+// Never edit a migration that has shipped - add a new one instead.
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, parseDisplayDate, estimateReadTime } = require('../lib/posts');
+const { validateImage, storeImage } = require('../lib/media');
+const { plainText, postHtml } = require('../lib/sanitize');
+const createMediaStore = require('./media');
+const { systemClock } = require('../lib/clock');
+
+const HOUR = 60 * 60 * 1000;
+
+module.exports = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        // posts and comments already exist in the blog.db we ship, so every
+        // statement here has to be safe to run against that file too.
+        up: (db) => db.exec(`
+            CREATE TABLE IF NOT EXISTS posts (
+                id TEXT PRIMARY KEY,
+                title TEXT NOT NULL,
+                author TEXT NOT NULL,
+                content TEXT NOT NULL,
+                excerpt TEXT,
+                category TEXT,
+                category_label TEXT,
+                image_url TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                published BOOLEAN DEFAULT true
+            );
+
+            CREATE TABLE IF NOT EXISTS comments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                post_id TEXT NOT NULL,
+                author_name TEXT NOT NULL,
+                author_email TEXT NOT NULL,
+                content TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                status TEXT DEFAULT 'approved'
+            );
+            CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments (post_id);
+
+            CREATE TABLE IF NOT EXISTS prayers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                request TEXT NOT NULL,
+                hearts INTEGER NOT NULL DEFAULT 0,
+                anonymous BOOLEAN NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS prayer_comments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                prayer_id INTEGER NOT NULL REFERENCES prayers (id) ON DELETE CASCADE,
+                author_name TEXT NOT NULL,
+                content TEXT NOT NULL,
+                anonymous BOOLEAN NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_prayer_comments_prayer_id ON prayer_comments (prayer_id);
+
+            CREATE TABLE IF NOT EXISTS testimonials (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                testimony TEXT NOT NULL,
+                anonymous BOOLEAN NOT NULL DEFAULT 0,
+                approved BOOLEAN NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                approved_at TEXT
+            );
+        `)
+    },
+    {
+        version: 2,
+        name: 'seed_prayer_wall',
+        // The starter content that used to be hard-coded in server.js.
+        // Runs once, so deleting these later doesn't bring them back.
+        up: async (db) => {
+            const now = Date.now();
+            const iso = (offset) => new Date(now - offset).toISOString();
+
+            await db.run(
+                'INSERT INTO prayers (name, request, hearts, anonymous, created_at) VALUES (?, ?, ?, ?, ?)',
+                ['Sarah M.', 'Please pray for my father\'s healing journey.', 23, 0, iso(0)]
+            );
+            await db.run(
+                'INSERT INTO prayers (name, request, hearts, anonymous, created_at) VALUES (?, ?, ?, ?, ?)',
+                ['Anonymous', 'Pray for wisdom in a major career decision.', 18, 1, iso(0)]
+            );
+
+            await db.run(
+                'INSERT INTO testimonials (name, testimony, anonymous, approved, created_at, approved_at) VALUES (?, ?, ?, ?, ?, ?)',
+                ['Sarah M.', 'God answered my prayer for my father\'s healing! After months of treatment, the doctors said his cancer is in complete remission. Truly a miracle!', 0, 1, iso(0), iso(0)]
+            );
+            await db.run(
+                'INSERT INTO testimonials (name, testimony, anonymous, approved, created_at, approved_at) VALUES (?, ?, ?, ?, ?, ?)',
+                ['Anonymous', 'I was struggling with addiction for years. Through prayer and this church family, God gave me strength to overcome. 6 months clean and grateful!', 1, 1, iso(24 * HOUR), iso(12 * HOUR)]
+            );
+        }
+    },
+    {
+        version: 3,
+        name: 'users_and_sessions',
+        up: (db) => db.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                name TEXT NOT NULL,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                last_login_at TEXT
+            );
+
+            -- Only a SHA-256 of each bearer token is stored
+            CREATE TABLE sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+        `)
+    },
+    {
+        version: 4,
+        name: 'post_publishing',
+        // Replaces the published flag with draft/published status plus a
+        // publish date, which may be in the future for scheduled posts.
+        up: (db) => db.exec(`
+            ALTER TABLE posts ADD COLUMN slug TEXT;
+            ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'draft';
+            ALTER TABLE posts ADD COLUMN published_at TEXT;
+            ALTER TABLE posts ADD COLUMN read_time TEXT;
+
+            UPDATE posts SET
+                slug = id,
+                status = CASE WHEN published THEN 'published' ELSE 'draft' END,
+                published_at = CASE WHEN published THEN created_at END;
+            ALTER TABLE posts DROP COLUMN published;
+
+            CREATE UNIQUE INDEX idx_posts_slug ON posts (slug);
+            CREATE INDEX idx_posts_listing ON posts (status, published_at);
+        `)
+    },
+    {
+        version: 5,
+        name: 'import_posts_json',
+        // One-time import of the hand-edited public/posts.json
+        up: async (db) => {
+            const file = path.join(__dirname, '..', 'public', 'posts.json');
+            if (!fs.existsSync(file)) return;
+
+            const posts = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const now = new Date().toISOString();
+
+            for (const post of posts) {
+                const publishedAt = parseDisplayDate(post.date) || now;
+                await db.run(`
+                    INSERT OR IGNORE INTO posts
+                        (id, slug, title, author, content, excerpt, category, category_label,
+                         image_url, read_time, status, published_at, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'published', ?, ?, ?)
+                `, [
+                    post.id,
+                    post.id,
+                    post.title,
+                    post.author,
+                    post.content || '',
+                    post.excerpt || null,
+                    post.category || null,
+                    post.categoryLabel || CATEGORIES[post.category] || null,
+                    post.image || null,
+                    post.readTime || estimateReadTime(post.content),
+                    publishedAt,
+                    publishedAt,
+                    now
+                ]);
+            }
+        }
+    },
+    {
+        version: 6,
+        name: 'media',
+        up: (db) => db.exec(`
+            CREATE TABLE media (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                hash TEXT NOT NULL UNIQUE,
+                file_name TEXT NOT NULL,
+                original_name TEXT,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                width INTEGER,
+                height INTEGER,
+                thumbnail_widths TEXT NOT NULL DEFAULT '[]',
+                uploaded_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL
+            );
+        `)
+    },
+    {
+        version: 7,
+        name: 'extract_inline_images',
+        // Moves base64 data: URI images out of post content into stored media,
+        // and percent-encodes the spaces in hot-linked image URLs.
+        up: async (db) => {
+            const mediaStore = createMediaStore(db, systemClock);
+            const posts = await db.all('SELECT id, content FROM posts WHERE content LIKE \'%data:image/%\'');
+
+            for (const post of posts) {
+                const matches = [...post.content.matchAll(/data:image\/[a-z+]+;base64,([A-Za-z0-9+/=]+)/g)];
+                let content = post.content;
+
+                for (const [dataUri, base64] of matches) {
+                    const buffer = Buffer.from(base64, 'base64');
+                    if (validateImage(buffer)) continue; // leave anything we can't store untouched
+
+                    const { media } = await storeImage(mediaStore, buffer, { originalName: `${post.id}-inline` });
+                    content = content.split(dataUri).join(media.url);
+                }
+
+                if (content !== post.content) {
+                    await db.run('UPDATE posts SET content = ? WHERE id = ?', [content, post.id]);
+                }
+            }
+
+            await db.run('UPDATE posts SET image_url = REPLACE(image_url, \' \', \'%20\') WHERE image_url LIKE \'% %\'');
+        }
+    },
+    {
+        version: 8,
+        name: 'comment_moderation',
+        up: (db) => db.exec(`
+            ALTER TABLE comments ADD COLUMN flags TEXT NOT NULL DEFAULT '[]';
+            ALTER TABLE comments ADD COLUMN fingerprint TEXT;
+            ALTER TABLE comments ADD COLUMN moderated_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+            ALTER TABLE comments ADD COLUMN moderated_at TEXT;
+            CREATE INDEX idx_comments_status ON comments (status);
+            CREATE INDEX idx_comments_fingerprint ON comments (fingerprint, created_at);
+
+            ALTER TABLE prayer_comments ADD COLUMN status TEXT NOT NULL DEFAULT 'approved';
+            ALTER TABLE prayer_comments ADD COLUMN flags TEXT NOT NULL DEFAULT '[]';
+            ALTER TABLE prayer_comments ADD COLUMN fingerprint TEXT;
+            ALTER TABLE prayer_comments ADD COLUMN moderated_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+            ALTER TABLE prayer_comments ADD COLUMN moderated_at TEXT;
+            CREATE INDEX idx_prayer_comments_status ON prayer_comments (status);
+            CREATE INDEX idx_prayer_comments_fingerprint ON prayer_comments (fingerprint, created_at);
+        `)
+    },
+    {
+        version: 9,
+        name: 'prayer_hearts',
+        // One heart per visitor per prayer; visitor_hash is a SHA-256, never a raw IP
+        up: (db) => db.exec(`
+            CREATE TABLE prayer_hearts (
+                prayer_id INTEGER NOT NULL REFERENCES prayers (id) ON DELETE CASCADE,
+                visitor_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                PRIMARY KEY (prayer_id, visitor_hash)
+            );
+        `)
+    },
+    {
+        version: 10,
+        name: 'unified_threaded_comments',
+        // Folds the blog comments and prayer_comments tables into one comments
+        // table that can point at any post, prayer or testimonial. Comment IDs
+        // are renumbered in the process.
+        up: (db) => db.exec(`
+            ALTER TABLE comments RENAME TO legacy_post_comments;
+            DROP INDEX IF EXISTS idx_comments_post_id;
+            DROP INDEX IF EXISTS idx_comments_status;
+            DROP INDEX IF EXISTS idx_comments_fingerprint;
+
+            CREATE TABLE comments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                target_type TEXT NOT NULL,
+                target_id TEXT NOT NULL,
+                parent_id INTEGER REFERENCES comments (id) ON DELETE CASCADE,
+                author_name TEXT NOT NULL,
+                author_email TEXT,
+                content TEXT NOT NULL,
+                anonymous BOOLEAN NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'approved',
+                flags TEXT NOT NULL DEFAULT '[]',
+                fingerprint TEXT,
+                edit_token_hash TEXT,
+                created_at TEXT NOT NULL,
+                edited_at TEXT,
+                moderated_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                moderated_at TEXT
+            );
+            CREATE INDEX idx_comments_target ON comments (target_type, target_id, status);
+            CREATE INDEX idx_comments_parent_id ON comments (parent_id);
+            CREATE INDEX idx_comments_status ON comments (status);
+            CREATE INDEX idx_comments_fingerprint ON comments (fingerprint, created_at);
+
+            -- SQLite's CURRENT_TIMESTAMP default ("2025-06-18 10:00:00") becomes ISO 8601
+            INSERT INTO comments
+                (target_type, target_id, author_name, author_email, content, status, flags,
+                 fingerprint, created_at, moderated_by, moderated_at)
+            SELECT 'post', post_id, author_name, NULLIF(author_email, ''), content, COALESCE(status, 'approved'), flags,
+                   fingerprint,
+                   CASE WHEN created_at LIKE '____-__-__ __:__:__' THEN REPLACE(created_at, ' ', 'T') || '.000Z' ELSE created_at END,
+                   moderated_by, moderated_at
+            FROM legacy_post_comments ORDER BY id;
+
+            INSERT INTO comments
+                (target_type, target_id, author_name, content, anonymous, status, flags,
+                 fingerprint, created_at, moderated_by, moderated_at)
+            SELECT 'prayer', CAST(prayer_id AS TEXT), author_name, content, anonymous, status, flags,
+                   fingerprint, created_at, moderated_by, moderated_at
+            FROM prayer_comments ORDER BY id;
+
+            DROP TABLE legacy_post_comments;
+            DROP TABLE prayer_comments;
+        `)
+    },
+    {
+        version: 11,
+        name: 'search_index',
+        // Filled by the search store's rebuild() when storage opens
+        up: (db) => db.exec(`
+            CREATE VIRTUAL TABLE search_index USING fts5(
+                doc_type UNINDEXED,
+                doc_id UNINDEXED,
+                category UNINDEXED,
+                published_at UNINDEXED,
+                title,
+                body,
+                author,
+                tags,
+                tokenize = 'porter unicode61 remove_diacritics 2'
+            );
+        `)
+    },
+    {
+        version: 12,
+        name: 'testimonial_review_workflow',
+        // The approved flag becomes a review status; every review action is
+        // kept in testimonial_reviews, seeded with what we know so far
+        up: (db) => db.exec(`
+            ALTER TABLE testimonials ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+            ALTER TABLE testimonials ADD COLUMN review_note TEXT;
+            ALTER TABLE testimonials ADD COLUMN reviewed_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+            ALTER TABLE testimonials ADD COLUMN reviewed_at TEXT;
+            ALTER TABLE testimonials ADD COLUMN approved_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+            ALTER TABLE testimonials ADD COLUMN service_date TEXT;
+            ALTER TABLE testimonials ADD COLUMN edit_token_hash TEXT;
+
+            UPDATE testimonials SET
+                status = CASE WHEN approved THEN 'approved' ELSE 'pending' END,
+                reviewed_at = approved_at;
+            ALTER TABLE testimonials DROP COLUMN approved;
+            CREATE INDEX idx_testimonials_status ON testimonials (status, created_at);
+            CREATE INDEX idx_testimonials_service_date ON testimonials (service_date);
+
+            CREATE TABLE testimonial_reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                testimonial_id INTEGER NOT NULL REFERENCES testimonials (id) ON DELETE CASCADE,
+                action TEXT NOT NULL,
+                status TEXT NOT NULL,
+                note TEXT,
+                service_date TEXT,
+                user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_testimonial_reviews_testimonial_id ON testimonial_reviews (testimonial_id, created_at);
+
+            INSERT INTO testimonial_reviews (testimonial_id, action, status, created_at)
+            SELECT id, 'submit', 'pending', created_at FROM testimonials;
+            INSERT INTO testimonial_reviews (testimonial_id, action, status, created_at)
+            SELECT id, 'approve', 'approved', COALESCE(approved_at, created_at) FROM testimonials WHERE status = 'approved';
+        `)
+    },
+    {
+        version: 13,
+        name: 'prayer_privacy',
+        up: (db) => db.exec(`
+            ALTER TABLE prayers ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+            ALTER TABLE prayers ADD COLUMN author_email TEXT;
+            ALTER TABLE prayers ADD COLUMN manage_token_hash TEXT;
+            ALTER TABLE prayers ADD COLUMN archived_at TEXT;
+            CREATE INDEX idx_prayers_wall ON prayers (archived_at, visibility, created_at);
+        `)
+    },
+    {
+        version: 14,
+        name: 'notifications',
+        up: (db) => db.exec(`
+            -- Outgoing mail; the queue worker sends pending rows and retries failures
+            CREATE TABLE notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event TEXT NOT NULL,
+                recipient TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                text TEXT NOT NULL,
+                html TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                next_attempt_at TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                sent_at TEXT
+            );
+            CREATE INDEX idx_notifications_queue ON notifications (status, next_attempt_at);
+
+            -- Only opt-outs (and opt-ins to events off by default) are stored
+            CREATE TABLE notification_preferences (
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                event TEXT NOT NULL,
+                enabled BOOLEAN NOT NULL,
+                PRIMARY KEY (user_id, event)
+            );
+
+            ALTER TABLE prayers ADD COLUMN notify_comments BOOLEAN NOT NULL DEFAULT 1;
+
+            CREATE TABLE newsletter_subscribers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                created_at TEXT NOT NULL
+            );
+        `)
+    },
+    {
+        version: 15,
+        name: 'newsletter_double_opt_in',
+        // Addresses collected before this had no confirmation step, so they
+        // start out pending and confirm the next time they subscribe
+        up: (db) => db.exec(`
+            ALTER TABLE newsletter_subscribers ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+            ALTER TABLE newsletter_subscribers ADD COLUMN confirm_token_hash TEXT;
+            ALTER TABLE newsletter_subscribers ADD COLUMN confirm_sent_at TEXT;
+            ALTER TABLE newsletter_subscribers ADD COLUMN confirmed_at TEXT;
+            ALTER TABLE newsletter_subscribers ADD COLUMN unsubscribe_token TEXT;
+            ALTER TABLE newsletter_subscribers ADD COLUMN unsubscribed_at TEXT;
+            CREATE UNIQUE INDEX idx_newsletter_confirm ON newsletter_subscribers (confirm_token_hash);
+            CREATE UNIQUE INDEX idx_newsletter_unsubscribe ON newsletter_subscribers (unsubscribe_token);
+
+            CREATE TABLE newsletter_digests (
+                week_start TEXT PRIMARY KEY,
+                subject TEXT NOT NULL,
+                posts INTEGER NOT NULL,
+                testimonials INTEGER NOT NULL,
+                recipients INTEGER NOT NULL,
+                sent_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                sent_at TEXT NOT NULL
+            );
+        `)
+    },
+    {
+        version: 16,
+        name: 'post_engagement',
+        // Keyed by post ID without a foreign key: the hand-built article pages
+        // (ministry-teams-post.html etc.) aren't in the posts table. A view is
+        // one visitor on one (UTC) day.
+        up: (db) => db.exec(`
+            CREATE TABLE post_likes (
+                post_id TEXT NOT NULL,
+                visitor_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                PRIMARY KEY (post_id, visitor_hash)
+            );
+
+            CREATE TABLE post_views (
+                post_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                visitor_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                PRIMARY KEY (post_id, day, visitor_hash)
+            );
+        `)
+    },
+    {
+        version: 17,
+        name: 'sanitize_stored_content',
+        // Cleans what was stored before lib/sanitize ran on every write
+        up: async (db) => {
+            const columns = {
+                posts: { title: plainText, author: plainText, excerpt: plainText, read_time: plainText, content: postHtml },
+                prayers: { name: plainText, request: plainText },
+                comments: { author_name: plainText, content: plainText },
+                testimonials: { name: plainText, testimony: plainText, review_note: plainText },
+                testimonial_reviews: { note: plainText }
+            };
+
+            for (const [table, cleaners] of Object.entries(columns)) {
+                const rows = await db.all(`SELECT rowid, ${Object.keys(cleaners).join(', ')} FROM ${table}`);
+                for (const row of rows) {
+                    const changed = Object.entries(cleaners)
+                        .filter(([column, clean]) => row[column] !== null && clean(row[column]) !== row[column]);
+                    if (!changed.length) continue;
+
+                    await db.run(
+                        `UPDATE ${table} SET ${changed.map(([column]) => `${column} = ?`).join(', ')} WHERE rowid = ?`,
+                        [...changed.map(([column, clean]) => clean(row[column])), row.rowid]
+                    );
+                }
+            }
+        }
+    }
+];
@@ -0,0 +1,126 @@
+// Newsletter subscribers (double opt-in) and the weekly digests sent to them
+
+// Admin view - never includes the tokens
+function toSubscriber(row) {
+    return {
+        id: String(row.id),
+        email: row.email,
+        status: row.status,
+        created_at: row.created_at,
+        confirmed_at: row.confirmed_at,
+        unsubscribed_at: row.unsubscribed_at
+    };
+}
+
+function toDigest(row) {
+    return {
+        week_start: row.week_start,
+        subject: row.subject,
+        posts: row.posts,
+        testimonials: row.testimonials,
+        recipients: row.recipients,
+        sent_by: row.sent_by === null ? null : String(row.sent_by),
+        sent_at: row.sent_at
+    };
+}
+
+function createNewsletterStore(db, clock) {
+    return {
+        // Start (or restart) confirmation for an address. Resolves with the
+        // subscriber and whether a confirmation email should go out - false when
+        // the address is already confirmed, in which case nothing changes.
+        async subscribe(email, confirmTokenHash) {
+            const now = clock.now().toISOString();
+            return db.transaction(async () => {
+                const existing = await db.get('SELECT * FROM newsletter_subscribers WHERE email = ?', [email]);
+                if (existing && existing.status === 'confirmed') {
+                    return { subscriber: toSubscriber(existing), confirm: false };
+                }
+
+                if (existing) {
+                    await db.run(`
+                        UPDATE newsletter_subscribers
+                        SET status = 'pending', confirm_token_hash = ?, confirm_sent_at = ?
+                        WHERE id = ?
+                    `, [confirmTokenHash, now, existing.id]);
+                } else {
+                    await db.run(`
+                        INSERT INTO newsletter_subscribers (email, status, confirm_token_hash, confirm_sent_at, created_at)
+                        VALUES (?, 'pending', ?, ?, ?)
+                    `, [email, confirmTokenHash, now, now]);
+                }
+                const row = await db.get('SELECT * FROM newsletter_subscribers WHERE email = ?', [email]);
+                return { subscriber: toSubscriber(row), confirm: true };
+            });
+        },
+
+        // Confirm the pending address whose link was sent after sentAfterIso;
+        // resolves with the subscriber, or null if the token is unknown or expired
+        async confirm(confirmTokenHash, unsubscribeToken, sentAfterIso) {
+            const { changes } = await db.run(`
+                UPDATE newsletter_subscribers
+                SET status = 'confirmed', confirmed_at = ?, unsubscribed_at = NULL,
+                    confirm_token_hash = NULL, unsubscribe_token = ?
+                WHERE confirm_token_hash = ? AND status = 'pending' AND confirm_sent_at > ?
+            `, [clock.now().toISOString(), unsubscribeToken, confirmTokenHash, sentAfterIso]);
+            if (!changes) return null;
+
+            const row = await db.get('SELECT * FROM newsletter_subscribers WHERE unsubscribe_token = ?', [unsubscribeToken]);
+            return toSubscriber(row);
+        },
+
+        // Resolves with the subscriber, or null for an unknown token. The token
+        // keeps working afterwards so a second click on the link still succeeds.
+        async unsubscribe(unsubscribeToken) {
+            await db.run(`
+                UPDATE newsletter_subscribers SET status = 'unsubscribed', unsubscribed_at = ?
+                WHERE unsubscribe_token = ? AND status != 'unsubscribed'
+            `, [clock.now().toISOString(), unsubscribeToken]);
+
+            const row = await db.get('SELECT * FROM newsletter_subscribers WHERE unsubscribe_token = ?', [unsubscribeToken]);
+            return row ? toSubscriber(row) : null;
+        },
+
+        // Oldest first; status is an optional filter
+        async list({ status } = {}) {
+            const rows = await db.all(
+                `SELECT * FROM newsletter_subscribers ${status ? 'WHERE status = ?' : ''} ORDER BY created_at, id`,
+                status ? [status] : []
+            );
+            return rows.map(toSubscriber);
+        },
+
+        // Confirmed addresses with the unsubscribe token each digest links to
+        async recipients() {
+            return db.all(
+                'SELECT id, email, unsubscribe_token FROM newsletter_subscribers WHERE status = \'confirmed\' ORDER BY id'
+            );
+        },
+
+        async counts() {
+            return db.get(`
+                SELECT
+                    COALESCE(SUM(status = 'pending'), 0) AS pending,
+                    COALESCE(SUM(status = 'confirmed'), 0) AS confirmed,
+                    COALESCE(SUM(status = 'unsubscribed'), 0) AS unsubscribed,
+                    COUNT(*) AS total
+                FROM newsletter_subscribers
+            `);
+        },
+
+        async findDigest(weekStart) {
+            const row = await db.get('SELECT * FROM newsletter_digests WHERE week_start = ?', [weekStart]);
+            return row ? toDigest(row) : null;
+        },
+
+        async recordDigest({ weekStart, subject, posts, testimonials, recipients, userId }) {
+            await db.run(`
+                INSERT INTO newsletter_digests (week_start, subject, posts, testimonials, recipients, sent_by, sent_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [weekStart, subject, posts, testimonials, recipients, userId, clock.now().toISOString()]);
+            return this.findDigest(weekStart);
+        }
+    };
+}
+
+module.exports = createNewsletterStore;
@@ -0,0 +1,109 @@
+// Notification outbox (the retry queue) and staff subscription preferences
+
+function toNotification(row) {
+    return {
+        id: String(row.id),
+        event: row.event,
+        recipient: row.recipient,
+        subject: row.subject,
+        status: row.status,
+        attempts: row.attempts,
+        last_error: row.last_error,
+        next_attempt_at: row.next_attempt_at,
+        created_at: row.created_at,
+        sent_at: row.sent_at
+    };
+}
+
+function createNotificationStore(db, clock) {
+    return {
+        async enqueue({ event, recipient, subject, text, html }) {
+            const now = clock.now().toISOString();
+            const { lastID } = await db.run(`
+                INSERT INTO notifications (event, recipient, subject, text, html, next_attempt_at, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [event, recipient, subject, text, html, now, now]);
+            return lastID;
+        },
+
+        // Pending messages whose next attempt is due, oldest first - with their bodies
+        async listDue(nowIso, limit = 20) {
+            return db.all(
+                'SELECT * FROM notifications WHERE status = \'pending\' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?',
+                [nowIso, limit]
+            );
+        },
+
+        async markSent(id) {
+            await db.run(
+                'UPDATE notifications SET status = \'sent\', attempts = attempts + 1, last_error = NULL, sent_at = ? WHERE id = ?',
+                [clock.now().toISOString(), id]
+            );
+        },
+
+        // Schedule another try at nextAttemptAt, or give up (status failed) when it's null
+        async markFailed(id, error, nextAttemptAt) {
+            await db.run(`
+                UPDATE notifications SET attempts = attempts + 1, last_error = ?,
+                    status = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+                WHERE id = ?
+            `, [String(error), nextAttemptAt ? 'pending' : 'failed', nextAttemptAt, id]);
+        },
+
+        // Put a failed message back in the queue for a fresh round of attempts, starting now
+        async retry(id) {
+            const { changes } = await db.run(
+                'UPDATE notifications SET status = \'pending\', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = \'failed\'',
+                [clock.now().toISOString(), id]
+            );
+            return changes > 0;
+        },
+
+        // Newest first, without bodies; status is an optional filter
+        async list({ status, limit = 100 } = {}) {
+            const rows = await db.all(
+                `SELECT * FROM notifications ${status ? 'WHERE status = ?' : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+                status ? [status, limit] : [limit]
+            );
+            return rows.map(toNotification);
+        },
+
+        async counts() {
+            return db.get(`
+                SELECT
+                    COALESCE(SUM(status = 'pending'), 0) AS pending,
+                    COALESCE(SUM(status = 'sent'), 0) AS sent,
+                    COALESCE(SUM(status = 'failed'), 0) AS failed,
+                    COUNT(*) AS total
+                FROM notifications
+            `);
+        },
+
+        // event -> enabled, for the events this user has changed from the default
+        async preferencesFor(userId) {
+            const rows = await db.all('SELECT event, enabled FROM notification_preferences WHERE user_id = ?', [userId]);
+            return Object.fromEntries(rows.map(row => [row.event, Boolean(row.enabled)]));
+        },
+
+        async setPreference(userId, event, enabled) {
+            await db.run(`
+                INSERT INTO notification_preferences (user_id, event, enabled) VALUES (?, ?, ?)
+                ON CONFLICT (user_id, event) DO UPDATE SET enabled = excluded.enabled
+            `, [userId, event, enabled ? 1 : 0]);
+        },
+
+        // Staff with one of the roles who want this event: defaultRoles get it
+        // unless they opted out, the other roles only if they opted in
+        async subscribers(event, roles, defaultRoles = []) {
+            const placeholders = list => list.map(() => '?').join(', ') || 'NULL';
+            return db.all(`
+                SELECT u.id, u.email, u.name FROM users u
+                LEFT JOIN notification_preferences p ON p.user_id = u.id AND p.event = ?
+                WHERE u.role IN (${placeholders(roles)})
+                  AND COALESCE(p.enabled, u.role IN (${placeholders(defaultRoles)})) = 1
+            `, [event, ...roles, ...defaultRoles]);
+        }
+    };
+}
+
+module.exports = createNotificationStore;
@@ -0,0 +1,155 @@
+// Blog post storage
+
+const LIST_COLUMNS = `id, slug, title, author, excerpt, category, category_label, image_url,
+    read_time, status, published_at, created_at, updated_at`;
+
+// Same keys as the old posts.json (categoryLabel, readTime, image) so the
+// front end renders either; timestamps follow the rest of the API.
+function toPost(row) {
+    const post = {
+        id: row.id,
+        slug: row.slug,
+        title: row.title,
+        author: row.author,
+        excerpt: row.excerpt,
+        category: row.category,
+        categoryLabel: row.category_label,
+        image: row.image_url,
+        readTime: row.read_time,
+        status: row.status,
+        published_at: row.published_at,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+    if (row.content !== undefined) post.content = row.content;
+    return post;
+}
+
+// visibility: 'public' (published and due), 'draft', 'scheduled' or 'all'; now is an ISO timestamp
+function listFilter({ category, visibility = 'public', now }) {
+    const where = [];
+    const params = [];
+
+    if (visibility === 'public') {
+        where.push('status = \'published\' AND published_at <= ?');
+        params.push(now);
+    } else if (visibility === 'draft') {
+        where.push('status = \'draft\'');
+    } else if (visibility === 'scheduled') {
+        where.push('status = \'published\' AND published_at > ?');
+        params.push(now);
+    }
+
+    if (category) {
+        where.push('category = ?');
+        params.push(category);
+    }
+
+    return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function createPostStore(db, clock) {
+    return {
+        // Newest first, without content; resolves with { posts, total }
+        async list({ category, visibility, limit = 10, offset = 0 } = {}) {
+            const { clause, params } = listFilter({ category, visibility, now: clock.now().toISOString() });
+            const rows = await db.all(
+                `SELECT ${LIST_COLUMNS} FROM posts ${clause}
+                 ORDER BY COALESCE(published_at, created_at) DESC, id ASC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+            const { total } = await db.get(`SELECT COUNT(*) AS total FROM posts ${clause}`, params);
+            return { posts: rows.map(toPost), total };
+        },
+
+        // The latest published posts with their content, newest first - for feeds
+        async listRecent({ category, limit = 20 } = {}) {
+            const { clause, params } = listFilter({ category, now: clock.now().toISOString() });
+            const rows = await db.all(
+                `SELECT * FROM posts ${clause} ORDER BY published_at DESC, id ASC LIMIT ?`,
+                [...params, limit]
+            );
+            return rows.map(toPost);
+        },
+
+        // Every published post that's due, newest first, without content - for the sitemap
+        async listPublished({ now = clock.now().toISOString() } = {}) {
+            const { clause, params } = listFilter({ now });
+            const rows = await db.all(
+                `SELECT ${LIST_COLUMNS} FROM posts ${clause} ORDER BY published_at DESC, id ASC`,
+                params
+            );
+            return rows.map(toPost);
+        },
+
+        // Published posts that went out in [fromIso, toIso) and are live by now,
+        // oldest first, without content
+        async publishedBetween(fromIso, toIso) {
+            const rows = await db.all(
+                `SELECT ${LIST_COLUMNS} FROM posts
+                 WHERE status = 'published' AND published_at >= ? AND published_at < ? AND published_at <= ?
+                 ORDER BY published_at, id`,
+                [fromIso, toIso, clock.now().toISOString()]
+            );
+            return rows.map(toPost);
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM posts WHERE id = ?', [id]);
+            return row ? toPost(row) : null;
+        },
+
+        async findByIdOrSlug(idOrSlug) {
+            const row = await db.get(
+                'SELECT * FROM posts WHERE id = ? OR slug = ? ORDER BY id = ? DESC LIMIT 1',
+                [idOrSlug, idOrSlug, idOrSlug]
+            );
+            return row ? toPost(row) : null;
+        },
+
+        // True if the slug is taken by a post other than exceptId
+        async slugTaken(slug, exceptId = null) {
+            const row = await db.get('SELECT id FROM posts WHERE (slug = ? OR id = ?) AND id IS NOT ?', [slug, slug, exceptId]);
+            return Boolean(row);
+        },
+
+        async create(post) {
+            const now = clock.now().toISOString();
+            await db.run(`
+                INSERT INTO posts
+                    (id, slug, title, author, content, excerpt, category, category_label,
+                     image_url, read_time, status, published_at, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                post.id, post.slug, post.title, post.author, post.content, post.excerpt,
+                post.category, post.categoryLabel, post.image, post.readTime,
+                post.status, post.published_at, now, now
+            ]);
+            return this.findById(post.id);
+        },
+
+        // Only the given fields change; resolves with the updated post or null
+        async update(id, fields) {
+            const columns = {
+                slug: 'slug', title: 'title', author: 'author', content: 'content',
+                excerpt: 'excerpt', category: 'category', categoryLabel: 'category_label',
+                image: 'image_url', readTime: 'read_time', status: 'status', published_at: 'published_at'
+            };
+            const keys = Object.keys(fields).filter(key => columns[key]);
+            const assignments = keys.map(key => `${columns[key]} = ?`);
+
+            const { changes } = await db.run(
+                `UPDATE posts SET ${[...assignments, 'updated_at = ?'].join(', ')} WHERE id = ?`,
+                [...keys.map(key => fields[key]), clock.now().toISOString(), id]
+            );
+            return changes ? this.findById(id) : null;
+        },
+
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM posts WHERE id = ?', [id]);
+            return changes > 0;
+        }
+    };
+}
+
+module.exports = createPostStore;
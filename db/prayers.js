@@ -0,0 +1,128 @@
+// Prayer wall storage
+
+// Public shape - never includes the submitter's email
+function toPrayer(row) {
+    return {
+        id: String(row.id),
+        name: row.name,
+        request: row.request,
+        hearts: row.hearts,
+        date: row.created_at,
+        created_at: row.created_at,
+        anonymous: Boolean(row.anonymous),
+        visibility: row.visibility,
+        archived_at: row.archived_at
+    };
+}
+
+// The submitter's own view, through their manage link
+function toManagedPrayer(row) {
+    return {
+        ...toPrayer(row),
+        email: row.author_email,
+        notify_comments: Boolean(row.notify_comments)
+    };
+}
+
+function createPrayerStore(db, clock) {
+    return {
+        // Newest first, limited to the given visibility levels; archived
+        // prayers only when asked for
+        async list({ visibilities, archived = false } = {}) {
+            const rows = await db.all(`
+                SELECT * FROM prayers
+                WHERE visibility IN (${visibilities.map(() => '?').join(', ')})
+                  AND archived_at IS ${archived ? 'NOT NULL' : 'NULL'}
+                ORDER BY created_at DESC, id DESC
+            `, visibilities);
+            return rows.map(toPrayer);
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM prayers WHERE id = ?', [id]);
+            return row ? toPrayer(row) : null;
+        },
+
+        // Includes manage_token_hash - only for checking a manage link
+        async findForManage(id) {
+            return db.get('SELECT * FROM prayers WHERE id = ?', [id]);
+        },
+
+        // With the submitter's email - only for the manage link
+        async findManaged(id) {
+            const row = await db.get('SELECT * FROM prayers WHERE id = ?', [id]);
+            return row ? toManagedPrayer(row) : null;
+        },
+
+        async create({ name, request, anonymous, visibility = 'public', email = null, manageTokenHash = null }) {
+            const { lastID } = await db.run(`
+                INSERT INTO prayers (name, request, anonymous, visibility, author_email, manage_token_hash, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [name, request, anonymous ? 1 : 0, visibility, email, manageTokenHash, clock.now().toISOString()]);
+            return this.findById(lastID);
+        },
+
+        // Submitter changes: visibility, notify_comments and/or archived (true archives now, false restores)
+        async update(id, { visibility, archived, notifyComments }) {
+            const assignments = [];
+            const params = [];
+            if (visibility !== undefined) {
+                assignments.push('visibility = ?');
+                params.push(visibility);
+            }
+            if (archived !== undefined) {
+                assignments.push('archived_at = ?');
+                params.push(archived ? clock.now().toISOString() : null);
+            }
+            if (notifyComments !== undefined) {
+                assignments.push('notify_comments = ?');
+                params.push(notifyComments ? 1 : 0);
+            }
+            if (assignments.length) {
+                await db.run(`UPDATE prayers SET ${assignments.join(', ')} WHERE id = ?`, [...params, id]);
+            }
+            return this.findManaged(id);
+        },
+
+        // Archive everything posted before cutoffIso; resolves with [{ id, visibility }] of what was archived
+        async archiveOlderThan(cutoffIso) {
+            const rows = await db.all(
+                'SELECT id, visibility FROM prayers WHERE archived_at IS NULL AND created_at < ?',
+                [cutoffIso]
+            );
+            if (rows.length) {
+                await db.run(
+                    'UPDATE prayers SET archived_at = ? WHERE archived_at IS NULL AND created_at < ?',
+                    [clock.now().toISOString(), cutoffIso]
+                );
+            }
+            return rows.map(row => ({ id: String(row.id), visibility: row.visibility }));
+        },
+
+        // Resolves with { prayer, counted } - counted is false when this visitor
+        // already hearted the prayer - or null if the prayer doesn't exist
+        async heart(id, visitorHash) {
+            if (!await this.findById(id)) return null;
+
+            const { changes } = await db.run(
+                'INSERT OR IGNORE INTO prayer_hearts (prayer_id, visitor_hash, created_at) VALUES (?, ?, ?)',
+                [id, visitorHash, clock.now().toISOString()]
+            );
+            if (changes) {
+                await db.run('UPDATE prayers SET hearts = hearts + 1 WHERE id = ?', [id]);
+            }
+            return { prayer: await this.findById(id), counted: changes > 0 };
+        },
+
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM prayers WHERE id = ?', [id]);
+            return changes > 0;
+        },
+
+        async totals() {
+            return db.get('SELECT COUNT(*) AS prayers, COALESCE(SUM(hearts), 0) AS hearts FROM prayers');
+        }
+    };
+}
+
+module.exports = createPrayerStore;
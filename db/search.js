@@ -0,0 +1,150 @@
+// Full-text search index (FTS5) over posts, approved testimonials and public prayers.
+// It holds plain text; search() hands back titles and snippets as escaped HTML
+// with the matches in <mark>.
+//
+// Rows are derived from the content tables: call reindex(type, id) after any
+// write and the entry is refreshed, or dropped once the item shouldn't be
+// found any more. Posts are indexed while published, including scheduled ones;
+// search() hides those until their publish date.
+
+const { MATCH_START, MATCH_END, stripHtml, indexText, escapeHtml, highlightHtml } = require('../lib/search');
+
+// Column order matters for snippet()/highlight()/bm25() below
+const TITLE_COLUMN = 4;
+const BODY_COLUMN = 5;
+// doc_type, doc_id, category, published_at, title, body, author, tags
+const RANK = 'bm25(search_index, 0, 0, 0, 0, 10.0, 1.0, 3.0, 2.0)';
+
+// Each loader resolves with the indexable document, or null if it shouldn't be searchable
+const loaders = {
+    async post(db, id) {
+        const row = await db.get('SELECT * FROM posts WHERE id = ? AND status = \'published\'', [id]);
+        if (!row) return null;
+        return {
+            category: row.category,
+            published_at: row.published_at,
+            title: row.title,
+            body: `${row.excerpt || ''} ${stripHtml(row.content)}`.trim(),
+            author: row.author,
+            tags: row.category_label
+        };
+    },
+
+    async testimonial(db, id) {
+        const row = await db.get('SELECT * FROM testimonials WHERE id = ? AND status = \'approved\'', [id]);
+        if (!row) return null;
+        return {
+            category: null,
+            published_at: row.approved_at || row.created_at,
+            title: `Testimony from ${row.anonymous ? 'Anonymous' : row.name}`,
+            body: row.testimony,
+            author: row.anonymous ? 'Anonymous' : row.name,
+            tags: 'Testimony'
+        };
+    },
+
+    async prayer(db, id) {
+        const row = await db.get(
+            'SELECT * FROM prayers WHERE id = ? AND visibility = \'public\' AND archived_at IS NULL',
+            [id]
+        );
+        if (!row) return null;
+        return {
+            category: null,
+            published_at: row.created_at,
+            title: `Prayer request from ${row.anonymous ? 'Anonymous' : row.name}`,
+            body: row.request,
+            author: row.anonymous ? 'Anonymous' : row.name,
+            tags: 'Prayer'
+        };
+    }
+};
+
+const SOURCES = {
+    post: 'SELECT id FROM posts WHERE status = \'published\'',
+    testimonial: 'SELECT id FROM testimonials WHERE status = \'approved\'',
+    prayer: 'SELECT id FROM prayers WHERE visibility = \'public\' AND archived_at IS NULL'
+};
+
+function toResult(row) {
+    return {
+        type: row.doc_type,
+        id: row.doc_id,
+        title: highlightHtml(row.title),
+        snippet: highlightHtml(row.snippet),
+        author: escapeHtml(row.author),
+        category: row.category,
+        date: row.published_at,
+        // bm25() is lower-is-better; flip it so higher means more relevant
+        score: -row.score
+    };
+}
+
+function createSearchStore(db, clock) {
+    return {
+        // Refresh one item's entry from its table
+        async reindex(type, id) {
+            await db.run('DELETE FROM search_index WHERE doc_type = ? AND doc_id = ?', [type, String(id)]);
+
+            const doc = await loaders[type](db, id);
+            if (!doc) return false;
+
+            await db.run(`
+                INSERT INTO search_index (doc_type, doc_id, category, published_at, title, body, author, tags)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                type, String(id), doc.category, doc.published_at,
+                indexText(doc.title), indexText(doc.body), indexText(doc.author), indexText(doc.tags)
+            ]);
+            return true;
+        },
+
+        async remove(type, id) {
+            await db.run('DELETE FROM search_index WHERE doc_type = ? AND doc_id = ?', [type, String(id)]);
+        },
+
+        // Throw the index away and build it again from every table
+        async rebuild() {
+            return db.transaction(async () => {
+                await db.run('DELETE FROM search_index');
+                let total = 0;
+                for (const [type, sql] of Object.entries(SOURCES)) {
+                    for (const { id } of await db.all(sql)) {
+                        if (await this.reindex(type, id)) total++;
+                    }
+                }
+                return total;
+            });
+        },
+
+        // Best matches first; resolves with { results, total }. match is an
+        // FTS5 expression from lib/search toMatchQuery().
+        async search(match, { type, category, limit = 10, offset = 0, now = clock.now().toISOString() } = {}) {
+            const where = ['search_index MATCH ?', '(doc_type != \'post\' OR published_at <= ?)'];
+            const params = [match, now];
+            if (type) {
+                where.push('doc_type = ?');
+                params.push(type);
+            }
+            if (category) {
+                where.push('category = ?');
+                params.push(category);
+            }
+            const clause = where.join(' AND ');
+
+            const rows = await db.all(`
+                SELECT doc_type, doc_id, category, published_at, author,
+                       highlight(search_index, ${TITLE_COLUMN}, ?, ?) AS title,
+                       snippet(search_index, ${BODY_COLUMN}, ?, ?, '…', 24) AS snippet,
+                       ${RANK} AS score
+                FROM search_index WHERE ${clause}
+                ORDER BY score LIMIT ? OFFSET ?
+            `, [MATCH_START, MATCH_END, MATCH_START, MATCH_END, ...params, limit, offset]);
+            const { total } = await db.get(`SELECT COUNT(*) AS total FROM search_index WHERE ${clause}`, params);
+
+            return { results: rows.map(toResult), total };
+        }
+    };
+}
+
+module.exports = createSearchStore;
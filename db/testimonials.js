@@ -0,0 +1,195 @@
+// Testimonial storage, with a review trail in testimonial_reviews
+
+// Public shape - only what the congregation should see
+function toTestimonial(row) {
+    return {
+        id: String(row.id),
+        name: row.name,
+        testimony: row.testimony,
+        anonymous: Boolean(row.anonymous),
+        approved: row.status === 'approved',
+        service_date: row.service_date,
+        created_at: row.created_at,
+        approved_at: row.approved_at
+    };
+}
+
+// Reviewer view (and the submitter's own, via their edit token): status and review details
+function toReviewItem(row) {
+    return {
+        ...toTestimonial(row),
+        status: row.status,
+        review_note: row.review_note,
+        reviewed_by: row.reviewed_by === null ? null : String(row.reviewed_by),
+        reviewed_at: row.reviewed_at,
+        approved_by: row.approved_by === null ? null : String(row.approved_by)
+    };
+}
+
+function toReviewEntry(row) {
+    return {
+        id: String(row.id),
+        action: row.action,
+        status: row.status,
+        note: row.note,
+        service_date: row.service_date,
+        user_id: row.user_id === null ? null : String(row.user_id),
+        user_name: row.user_name,
+        created_at: row.created_at
+    };
+}
+
+function createTestimonialStore(db, clock) {
+    async function logReview(testimonialId, { action, status, note = null, serviceDate = null, userId = null, at }) {
+        await db.run(`
+            INSERT INTO testimonial_reviews (testimonial_id, action, status, note, service_date, user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [testimonialId, action, status, note, serviceDate, userId, at]);
+    }
+
+    return {
+        // Approved testimonies for the public, newest first (optionally one Sunday's)
+        async listApproved({ serviceDate } = {}) {
+            const rows = await db.all(
+                `SELECT * FROM testimonials WHERE status = 'approved' ${serviceDate ? 'AND service_date = ?' : ''}
+                 ORDER BY COALESCE(approved_at, created_at) DESC, id DESC`,
+                serviceDate ? [serviceDate] : []
+            );
+            return rows.map(toTestimonial);
+        },
+
+        // Testimonies approved in [fromIso, toIso) and still approved, oldest first
+        async approvedBetween(fromIso, toIso) {
+            const rows = await db.all(
+                `SELECT * FROM testimonials WHERE status = 'approved' AND approved_at >= ? AND approved_at < ?
+                 ORDER BY approved_at, id`,
+                [fromIso, toIso]
+            );
+            return rows.map(toTestimonial);
+        },
+
+        async findApproved(id) {
+            const row = await db.get('SELECT * FROM testimonials WHERE id = ? AND status = \'approved\'', [id]);
+            return row ? toTestimonial(row) : null;
+        },
+
+        // Reviewer listing, newest first; status and serviceDate are optional filters
+        async list({ status, serviceDate } = {}) {
+            const where = [];
+            const params = [];
+            if (status) {
+                where.push('status = ?');
+                params.push(status);
+            }
+            if (serviceDate) {
+                where.push('service_date = ?');
+                params.push(serviceDate);
+            }
+
+            const rows = await db.all(
+                `SELECT * FROM testimonials ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC`,
+                params
+            );
+            return rows.map(toReviewItem);
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM testimonials WHERE id = ?', [id]);
+            return row ? toReviewItem(row) : null;
+        },
+
+        // Includes edit_token_hash - only for checking a submitter's edit
+        async findForEdit(id) {
+            return db.get('SELECT * FROM testimonials WHERE id = ?', [id]);
+        },
+
+        async create({ name, testimony, anonymous, editTokenHash }) {
+            const now = clock.now().toISOString();
+            const id = await db.transaction(async () => {
+                const { lastID } = await db.run(
+                    'INSERT INTO testimonials (name, testimony, anonymous, status, edit_token_hash, created_at) VALUES (?, ?, ?, \'pending\', ?, ?)',
+                    [name, testimony, anonymous ? 1 : 0, editTokenHash, now]
+                );
+                await logReview(lastID, { action: 'submit', status: 'pending', at: now });
+                return lastID;
+            });
+            return this.findById(id);
+        },
+
+        // Move to a new review status and record who did it. Approving sets
+        // approved_at/approved_by (and optionally the service date); leaving
+        // approved clears them along with the service date.
+        async review(id, { action, status, note = null, serviceDate, userId }) {
+            const now = clock.now().toISOString();
+            await db.transaction(async () => {
+                if (status === 'approved') {
+                    await db.run(`
+                        UPDATE testimonials SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = ?,
+                            approved_by = ?, approved_at = ?, service_date = COALESCE(?, service_date)
+                        WHERE id = ?
+                    `, [status, note, userId, now, userId, now, serviceDate || null, id]);
+                } else {
+                    await db.run(`
+                        UPDATE testimonials SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = ?,
+                            approved_by = NULL, approved_at = NULL, service_date = NULL
+                        WHERE id = ?
+                    `, [status, note, userId, now, id]);
+                }
+                await logReview(id, { action, status, note, serviceDate: serviceDate || null, userId, at: now });
+            });
+            return this.findById(id);
+        },
+
+        // Assign (or clear, with null) the Sunday service an approved testimony is shared at
+        async setServiceDate(id, serviceDate, userId) {
+            const now = clock.now().toISOString();
+            await db.transaction(async () => {
+                await db.run('UPDATE testimonials SET service_date = ? WHERE id = ?', [serviceDate, id]);
+                await logReview(id, { action: 'schedule', status: 'approved', serviceDate, userId, at: now });
+            });
+            return this.findById(id);
+        },
+
+        // The submitter's revised testimony goes back into the review queue
+        async resubmit(id, { name, testimony, anonymous }) {
+            const now = clock.now().toISOString();
+            await db.transaction(async () => {
+                await db.run(
+                    'UPDATE testimonials SET name = ?, testimony = ?, anonymous = ?, status = \'pending\' WHERE id = ?',
+                    [name, testimony, anonymous ? 1 : 0, id]
+                );
+                await logReview(id, { action: 'resubmit', status: 'pending', at: now });
+            });
+            return this.findById(id);
+        },
+
+        // Audit trail, oldest first
+        async history(id) {
+            const rows = await db.all(`
+                SELECT r.*, u.name AS user_name
+                FROM testimonial_reviews r LEFT JOIN users u ON u.id = r.user_id
+                WHERE r.testimonial_id = ? ORDER BY r.created_at, r.id
+            `, [id]);
+            return rows.map(toReviewEntry);
+        },
+
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM testimonials WHERE id = ?', [id]);
+            return changes > 0;
+        },
+
+        async counts() {
+            return db.get(`
+                SELECT
+                    COALESCE(SUM(status = 'pending'), 0) AS pending,
+                    COALESCE(SUM(status = 'approved'), 0) AS approved,
+                    COALESCE(SUM(status = 'changes_requested'), 0) AS changes_requested,
+                    COALESCE(SUM(status = 'rejected'), 0) AS rejected,
+                    COUNT(*) AS total
+                FROM testimonials
+            `);
+        }
+    };
+}
+
+module.exports = createTestimonialStore;
@@ -0,0 +1,88 @@
+// Staff accounts and their login sessions
+
+// Never hand the password hash back to callers
+function toUser(row) {
+    return {
+        id: String(row.id),
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        created_at: row.created_at,
+        last_login_at: row.last_login_at
+    };
+}
+
+function createUserStore(db, clock) {
+    return {
+        async list() {
+            const rows = await db.all('SELECT * FROM users ORDER BY created_at ASC, id ASC');
+            return rows.map(toUser);
+        },
+
+        async count() {
+            const row = await db.get('SELECT COUNT(*) AS total FROM users');
+            return row.total;
+        },
+
+        async findById(id) {
+            const row = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+            return row ? toUser(row) : null;
+        },
+
+        // Includes password_hash - only for verifying a login
+        async findCredentialsByEmail(email) {
+            return db.get('SELECT * FROM users WHERE email = ?', [email]);
+        },
+
+        async create({ email, name, passwordHash, role }) {
+            const { lastID } = await db.run(
+                'INSERT INTO users (email, name, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)',
+                [email, name, passwordHash, role, clock.now().toISOString()]
+            );
+            return this.findById(lastID);
+        },
+
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM users WHERE id = ?', [id]);
+            return changes > 0;
+        },
+
+        async recordLogin(id) {
+            await db.run('UPDATE users SET last_login_at = ? WHERE id = ?', [clock.now().toISOString(), id]);
+        },
+
+        async createSession(userId, tokenHash, expiresAt) {
+            await db.run(
+                'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+                [tokenHash, userId, clock.now().toISOString(), expiresAt]
+            );
+        },
+
+        // Resolves with the session's user, or null if the token is unknown or expired
+        async findBySession(tokenHash) {
+            const row = await db.get(`
+                SELECT users.*, sessions.expires_at AS session_expires_at
+                FROM sessions JOIN users ON users.id = sessions.user_id
+                WHERE sessions.token_hash = ?
+            `, [tokenHash]);
+            if (!row) return null;
+
+            if (row.session_expires_at <= clock.now().toISOString()) {
+                await this.removeSession(tokenHash);
+                return null;
+            }
+            return toUser(row);
+        },
+
+        async removeSession(tokenHash) {
+            await db.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+        },
+
+        async removeExpiredSessions() {
+            const { changes } = await db.run('DELETE FROM sessions WHERE expires_at <= ?', [clock.now().toISOString()]);
+            return changes;
+        }
+    };
+}
+
+module.exports = createUserStore;
@@ -0,0 +1,105 @@
+// Admin analytics: date ranges, weekly buckets and the metric definitions
+//
+// Weeks run Monday 00:00 to Monday 00:00 UTC (like the newsletter digest) and
+// are labelled by their Monday. Ranges are whole days, `to` inclusive.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_RANGE_DAYS = 2 * 366;
+
+// metric -> CSV columns, in order
+const METRICS = {
+    prayers: ['week', 'prayers'],
+    testimonials: ['week', 'submitted', 'approved'],
+    hearts: ['week', 'hearts', 'cumulative'],
+    posts: ['post_id', 'title', 'category', 'views', 'likes', 'comments'],
+    turnaround: ['week', 'approved', 'average_hours', 'median_hours'],
+    comments: ['week', 'category', 'comments']
+};
+
+function isDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Monday of the week a date (or ISO timestamp) falls in, as YYYY-MM-DD
+function weekOf(value) {
+    const day = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// { from, to, start, end, weeks } from ?from=&to= (YYYY-MM-DD, default the
+// last DEFAULT_WEEKS weeks) - start/end are the ISO bounds, end exclusive -
+// or { error } when the range is unusable
+function parseRange({ from, to } = {}, now = new Date()) {
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && !isDate(value)) return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+
+    const toDate = to || now.toISOString().slice(0, 10);
+    const fromDate = from || weekOf(new Date(Date.parse(`${toDate}T00:00:00Z`) - (DEFAULT_WEEKS - 1) * 7 * DAY_MS).toISOString());
+    const start = new Date(`${fromDate}T00:00:00Z`);
+    const end = new Date(Date.parse(`${toDate}T00:00:00Z`) + DAY_MS);
+
+    if (start >= end) return { error: 'from must not be after to' };
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+
+    const weeks = [];
+    for (let week = weekOf(fromDate); Date.parse(`${week}T00:00:00Z`) < end.getTime();) {
+        weeks.push(week);
+        week = new Date(Date.parse(`${week}T00:00:00Z`) + 7 * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    return { from: fromDate, to: toDate, start: start.toISOString(), end: end.toISOString(), weeks };
+}
+
+// One row per week in the range, with `keys` zeroed where the query had no row
+function fillWeeks(rows, weeks, keys) {
+    const byWeek = new Map(rows.map(row => [row.week, row]));
+    return weeks.map(week => {
+        const row = byWeek.get(week) || {};
+        return { week, ...Object.fromEntries(keys.map(key => [key, row[key] || 0])) };
+    });
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function roundHours(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// [{ week, hours }] approval times -> per-week and overall average/median hours
+function summarizeTurnaround(approvals, weeks) {
+    const byWeek = new Map(weeks.map(week => [week, []]));
+    for (const { week, hours } of approvals) {
+        if (byWeek.has(week)) byWeek.get(week).push(hours);
+    }
+    const all = approvals.map(approval => approval.hours);
+
+    return {
+        summary: { approved: all.length, average_hours: roundHours(average(all)), median_hours: roundHours(median(all)) },
+        rows: weeks.map(week => {
+            const hours = byWeek.get(week);
+            return { week, approved: hours.length, average_hours: roundHours(average(hours)), median_hours: roundHours(median(hours)) };
+        })
+    };
+}
+
+module.exports = {
+    METRICS,
+    DEFAULT_WEEKS,
+    weekOf,
+    parseRange,
+    fillWeeks,
+    summarizeTurnaround
+};
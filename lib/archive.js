@@ -0,0 +1,420 @@
+// Whole-site export and import: posts, prayers, comments and testimonials
+//
+// An export is one JSON document:
+//
+//   { format: 'awc-export', version: 1, exported_at,
+//     posts: [...], prayers: [...], comments: [...], testimonials: [...] }
+//
+// with the COLUMNS of each table. Token hashes, fingerprints and staff user
+// ids are left out - they mean nothing on another server. A CSV export is one
+// collection, for spreadsheets; only JSON can be imported back.
+//
+// Importing never overwrites anything: every row is added as a new record.
+// validateExport() checks and cleans the whole document the way the API
+// checks a submission, then the archive store (db/archive) gives prayers,
+// comments and testimonials new ids, keeps each post's id unless it or its
+// slug is already used, and points comments at the new ids of their target
+// and parent.
+
+const { isValidEmail } = require('../auth');
+const postHelpers = require('./posts');
+const prayerHelpers = require('./prayers');
+const commentHelpers = require('./comments');
+const testimonialHelpers = require('./testimonials');
+const moderation = require('./moderation');
+const csvHelpers = require('./csv');
+const { plainText } = require('./sanitize');
+
+const FORMAT = 'awc-export';
+const VERSION = 1;
+const FORMATS = ['json', 'csv'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// collection -> exported columns, in order (also the CSV header)
+const COLUMNS = {
+    posts: ['id', 'slug', 'title', 'author', 'content', 'excerpt', 'category', 'category_label',
+        'image_url', 'read_time', 'status', 'published_at', 'created_at', 'updated_at'],
+    prayers: ['id', 'name', 'request', 'hearts', 'anonymous', 'visibility', 'author_email',
+        'notify_comments', 'archived_at', 'created_at'],
+    comments: ['id', 'target_type', 'target_id', 'parent_id', 'author_name', 'author_email', 'content',
+        'anonymous', 'status', 'flags', 'created_at', 'edited_at', 'moderated_at'],
+    testimonials: ['id', 'name', 'testimony', 'anonymous', 'status', 'review_note', 'reviewed_at',
+        'approved_at', 'service_date', 'created_at']
+};
+const COLLECTIONS = Object.keys(COLUMNS);
+
+// target_type -> the collection a comment's target is in (lib/comments' map the other way round)
+const TARGET_TABLES = Object.fromEntries(
+    Object.entries(commentHelpers.TARGET_COLLECTIONS).map(([collection, type]) => [type, collection])
+);
+
+function isDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// { format, collections, start, end } from ?format=json|csv&type=&from=&to=,
+// or { error }. from/to are whole days (to inclusive) matched against
+// created_at; start/end are the ISO bounds, end exclusive, either may be missing.
+function parseExportQuery({ format = 'json', type, from, to } = {}) {
+    if (!FORMATS.includes(format)) return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+    if (type !== undefined && !COLLECTIONS.includes(type)) {
+        return { error: `Type must be one of: ${COLLECTIONS.join(', ')}` };
+    }
+    if (format === 'csv' && !type) return { error: `A CSV export needs a type (${COLLECTIONS.join(', ')})` };
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && !isDay(value)) return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+    if (from && to && from > to) return { error: 'from must not be after to' };
+
+    return {
+        format,
+        collections: type ? [type] : COLLECTIONS,
+        start: from ? `${from}T00:00:00.000Z` : null,
+        end: to ? new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS).toISOString() : null
+    };
+}
+
+// The export document for rows = { collection: [...] }
+function buildExport(rows, now = new Date()) {
+    return {
+        format: FORMAT,
+        version: VERSION,
+        exported_at: now.toISOString(),
+        ...Object.fromEntries(Object.entries(rows).map(([collection, list]) => [
+            collection,
+            list.map(row => Object.fromEntries(COLUMNS[collection].map(column => [column, row[column] ?? null])))
+        ]))
+    };
+}
+
+function toCsv(collection, rows) {
+    return csvHelpers.toCsv(COLUMNS[collection], rows);
+}
+
+// ----- Import -----
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function isId(value) {
+    return (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value);
+}
+
+// Booleans arrive as true/false or SQLite's 1/0
+function flag(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'boolean') return value;
+    if (value === 0 || value === 1) return value === 1;
+    return undefined;
+}
+
+// An ISO timestamp, null when missing, or undefined when it isn't a date
+function timestamp(value) {
+    if (!isPresent(value)) return null;
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return undefined;
+    return new Date(value).toISOString();
+}
+
+// Each cleaner resolves a row with { record } ready for the archive store, or { error }
+const CLEANERS = {
+    posts(row, now) {
+        const body = {
+            title: row.title,
+            author: row.author,
+            content: row.content,
+            excerpt: row.excerpt ?? undefined,
+            readTime: row.read_time ?? undefined,
+            image: row.image_url ?? undefined,
+            category: row.category ?? undefined,
+            status: row.status ?? undefined,
+            published_at: row.published_at ?? undefined,
+            slug: row.slug ?? undefined
+        };
+        // Posts carried over from posts.json can have no content (their articles
+        // are separate pages), so an empty one is allowed through as it is
+        const error = postHelpers.validatePost(body.content === '' ? { ...body, content: '-' } : body);
+        if (error) return { error };
+        if (!postHelpers.isSlug(String(row.id))) {
+            return { error: 'Post id must be a slug (lowercase letters, numbers and dashes)' };
+        }
+
+        const dates = { created_at: timestamp(row.created_at), updated_at: timestamp(row.updated_at) };
+        for (const [column, value] of Object.entries(dates)) {
+            if (value === undefined) return { error: `${column} must be an ISO 8601 date` };
+        }
+        const createdAt = dates.created_at || now;
+        const status = body.status || 'draft';
+        let publishedAt = timestamp(body.published_at);
+        if (status === 'published' && !publishedAt) publishedAt = createdAt;
+
+        const clean = postHelpers.cleanPostFields(body);
+        return {
+            record: {
+                id: String(row.id),
+                slug: body.slug ? postHelpers.slugify(body.slug) : String(row.id),
+                title: clean.title,
+                author: clean.author,
+                content: clean.content,
+                excerpt: clean.excerpt ?? null,
+                category: body.category ?? null,
+                categoryLabel: row.category_label
+                    ? plainText(String(row.category_label))
+                    : postHelpers.CATEGORIES[body.category] ?? null,
+                image: clean.image ?? null,
+                readTime: clean.readTime || postHelpers.estimateReadTime(clean.content),
+                status,
+                published_at: publishedAt,
+                created_at: createdAt,
+                updated_at: dates.updated_at || createdAt
+            }
+        };
+    },
+
+    prayers(row, now) {
+        const error = prayerHelpers.validatePrayer({
+            request: row.request,
+            name: row.name,
+            visibility: row.visibility ?? undefined,
+            email: row.author_email
+        });
+        if (error) return { error };
+
+        const anonymous = flag(row.anonymous, false);
+        const notifyComments = flag(row.notify_comments, true);
+        if (anonymous === undefined) return { error: 'anonymous must be true or false' };
+        if (notifyComments === undefined) return { error: 'notify_comments must be true or false' };
+        const hearts = row.hearts ?? 0;
+        if (!Number.isInteger(hearts) || hearts < 0) return { error: 'hearts must be a whole number' };
+        const createdAt = timestamp(row.created_at);
+        const archivedAt = timestamp(row.archived_at);
+        if (createdAt === undefined || archivedAt === undefined) return { error: 'Prayer dates must be ISO 8601 dates' };
+
+        return {
+            record: {
+                id: row.id,
+                name: anonymous ? 'Anonymous' : (plainText(row.name || '') || 'Anonymous'),
+                request: plainText(row.request),
+                hearts,
+                anonymous,
+                visibility: row.visibility || 'public',
+                author_email: row.author_email ? row.author_email.trim() : null,
+                notify_comments: notifyComments,
+                archived_at: archivedAt,
+                created_at: createdAt || now
+            }
+        };
+    },
+
+    comments(row, now) {
+        if (!commentHelpers.TARGET_TYPES.includes(row.target_type)) {
+            return { error: `target_type must be one of: ${commentHelpers.TARGET_TYPES.join(', ')}` };
+        }
+        if (!isId(row.target_id)) return { error: 'target_id required' };
+        if (isPresent(row.parent_id) && !isId(row.parent_id)) return { error: 'parent_id must be an id' };
+        const error = commentHelpers.validateContent(row.content) || commentHelpers.validateAuthorName(row.author_name);
+        if (error) return { error };
+        if (typeof row.author_name !== 'string' || plainText(row.author_name) === '') return { error: 'Name required' };
+        if (row.author_email && (typeof row.author_email !== 'string' || !isValidEmail(row.author_email))) {
+            return { error: 'Email address is not valid' };
+        }
+
+        const status = row.status || 'approved';
+        if (!moderation.STATUSES.includes(status)) {
+            return { error: `Status must be one of: ${moderation.STATUSES.join(', ')}` };
+        }
+        let flags = row.flags ?? [];
+        if (typeof flags === 'string') {
+            try {
+                flags = JSON.parse(flags);
+            } catch (parseError) {
+                flags = null;
+            }
+        }
+        if (!Array.isArray(flags) || !flags.every(item => typeof item === 'string')) {
+            return { error: 'flags must be a list of strings' };
+        }
+        const anonymous = flag(row.anonymous, false);
+        if (anonymous === undefined) return { error: 'anonymous must be true or false' };
+        const dates = ['created_at', 'edited_at', 'moderated_at'].map(column => timestamp(row[column]));
+        if (dates.includes(undefined)) return { error: 'Comment dates must be ISO 8601 dates' };
+
+        return {
+            record: {
+                id: row.id,
+                target_type: row.target_type,
+                target_id: String(row.target_id),
+                parent_id: isPresent(row.parent_id) ? String(row.parent_id) : null,
+                author_name: plainText(row.author_name),
+                author_email: row.author_email ? row.author_email.trim() : null,
+                content: plainText(row.content),
+                anonymous,
+                status,
+                flags,
+                created_at: dates[0] || now,
+                edited_at: dates[1],
+                moderated_at: dates[2]
+            }
+        };
+    },
+
+    testimonials(row, now) {
+        const anonymous = flag(row.anonymous, false);
+        if (anonymous === undefined) return { error: 'anonymous must be true or false' };
+        const error = testimonialHelpers.validateTestimony({ testimony: row.testimony, name: row.name, anonymous })
+            || testimonialHelpers.validateReviewNote(row.review_note)
+            || (isPresent(row.service_date) ? testimonialHelpers.validateServiceDate(row.service_date) : null);
+        if (error) return { error };
+
+        const status = row.status || 'pending';
+        if (!testimonialHelpers.REVIEW_STATUSES.includes(status)) {
+            return { error: `Status must be one of: ${testimonialHelpers.REVIEW_STATUSES.join(', ')}` };
+        }
+        const dates = ['created_at', 'reviewed_at', 'approved_at'].map(column => timestamp(row[column]));
+        if (dates.includes(undefined)) return { error: 'Testimonial dates must be ISO 8601 dates' };
+        const createdAt = dates[0] || now;
+        const approved = status === 'approved';
+
+        return {
+            record: {
+                id: row.id,
+                name: anonymous ? 'Anonymous' : plainText(row.name),
+                testimony: plainText(row.testimony),
+                anonymous,
+                status,
+                review_note: isPresent(row.review_note) ? plainText(row.review_note) : null,
+                reviewed_at: dates[1],
+                // Only approved testimonies keep an approval and a service date, as in review()
+                approved_at: approved ? dates[2] || dates[1] || createdAt : null,
+                service_date: approved && isPresent(row.service_date) ? row.service_date : null,
+                created_at: createdAt
+            }
+        };
+    }
+};
+
+// Replies after the comments they answer. Comments whose parent isn't in the
+// import, is on a different target or can't be placed first (a loop, or a
+// parent that is itself left out) end up in `orphans`.
+function threadOrder(comments) {
+    const byId = new Map(comments.map(comment => [String(comment.id), comment]));
+    const orphans = [];
+    let pending = comments.filter(comment => {
+        if (comment.parent_id === null) return true;
+        const parent = byId.get(comment.parent_id);
+        if (parent && parent.target_type === comment.target_type && parent.target_id === comment.target_id) return true;
+        orphans.push(comment);
+        return false;
+    });
+
+    const placed = new Set();
+    const ordered = [];
+    while (pending.length) {
+        const waiting = pending.filter(comment => {
+            if (comment.parent_id !== null && !placed.has(comment.parent_id)) return true;
+            ordered.push(comment);
+            placed.add(String(comment.id));
+            return false;
+        });
+        if (waiting.length === pending.length) {
+            orphans.push(...waiting);
+            break;
+        }
+        pending = waiting;
+    }
+    return { ordered, orphans };
+}
+
+// Check an export document (already parsed from JSON). Resolves with
+// { records, errors }: records are the cleaned rows of each collection, and
+// errors lists { collection, id, error } for every row that can't be imported.
+function validateExport(document, now = new Date()) {
+    if (!document || typeof document !== 'object' || Array.isArray(document) || document.format !== FORMAT) {
+        return { records: null, errors: [{ error: `Not an export file (format should be "${FORMAT}")` }] };
+    }
+    if (document.version !== VERSION) {
+        return { records: null, errors: [{ error: `Unsupported export version ${document.version} (expected ${VERSION})` }] };
+    }
+
+    const records = {};
+    const errors = [];
+    for (const collection of COLLECTIONS) {
+        const rows = document[collection] ?? [];
+        records[collection] = [];
+        if (!Array.isArray(rows)) {
+            errors.push({ collection, error: `${collection} must be a list` });
+            continue;
+        }
+        const seen = new Set();
+        rows.forEach((row, index) => {
+            const id = row && typeof row === 'object' ? row.id : undefined;
+            const fail = error => errors.push({ collection, id: id ?? null, index, error });
+            if (!isId(id)) return fail('Every row needs an id');
+            if (seen.has(String(id))) return fail(`Duplicate id ${id}`);
+            seen.add(String(id));
+
+            const { record, error } = CLEANERS[collection](row, now.toISOString());
+            if (error) return fail(error);
+            records[collection].push(record);
+        });
+    }
+
+    const { ordered, orphans } = threadOrder(records.comments);
+    for (const comment of orphans) {
+        errors.push({
+            collection: 'comments',
+            id: comment.id,
+            error: `Reply to comment ${comment.parent_id}, which can't be imported on the same ${comment.target_type}`
+        });
+    }
+
+    // A comment's target has to come with it: prayer and testimonial ids are
+    // only row numbers, so the same id on this site is a different row. The
+    // hand-built article pages are the exception - they're the same everywhere.
+    const imported = Object.fromEntries(COLLECTIONS.map(collection => [
+        collection,
+        new Set(records[collection].map(record => String(record.id)))
+    ]));
+    records.comments = ordered.filter(comment => {
+        if (imported[TARGET_TABLES[comment.target_type]].has(comment.target_id)) return true;
+        if (comment.target_type === 'post' && postHelpers.STANDALONE_POSTS.includes(comment.target_id)) return true;
+        errors.push({
+            collection: 'comments',
+            id: comment.id,
+            error: `Comment on ${comment.target_type} ${comment.target_id}, which isn't in the import`
+        });
+        return false;
+    });
+
+    return { records, errors };
+}
+
+// Validate and import an export document, for the admin endpoint and
+// scripts/data.js. Resolves with { valid, counts, idMap, errors }; nothing
+// is written unless the whole document is valid and dryRun isn't set.
+async function importDocument(storage, document, { dryRun = false, now = storage.clock.now() } = {}) {
+    const { records, errors } = validateExport(document, now);
+    if (!records) return { valid: false, counts: null, idMap: null, errors };
+
+    // A file with errors still goes through a dry run, for the counts
+    const { counts, idMap } = await storage.archive.restore(records, { dryRun: dryRun || errors.length > 0 });
+    if (!dryRun && !errors.length) await storage.search.rebuild();
+
+    return { valid: errors.length === 0, counts, idMap, errors };
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    FORMATS,
+    COLUMNS,
+    COLLECTIONS,
+    TARGET_TABLES,
+    parseExportQuery,
+    buildExport,
+    toCsv,
+    validateExport,
+    importDocument
+};
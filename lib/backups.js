@@ -0,0 +1,70 @@
+// Local database backups: a consistent copy of the SQLite database, taken
+// with VACUUM INTO while the site keeps running
+//
+//   BACKUP_DIR             where they go (default ./backups)
+//   BACKUP_INTERVAL_HOURS  how often server.js takes one (default 24, 0 turns it off)
+//   BACKUP_KEEP            how many to keep - older ones are deleted (default 14)
+//
+// Files are named awc-backup-<UTC time>.db, so name order is age order. A
+// backup is a complete database: stop the site and copy it over DB_PATH to
+// restore it.
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+const PREFIX = 'awc-backup-';
+const EXTENSION = '.db';
+
+const settings = {
+    dir: config.paths.backups,
+    intervalHours: config.backups.intervalHours,
+    keep: config.backups.keep
+};
+
+function fileName(date) {
+    return `${PREFIX}${date.toISOString().replace(/[:.]/g, '-')}${EXTENSION}`;
+}
+
+function isBackup(name) {
+    return name.startsWith(PREFIX) && name.endsWith(EXTENSION);
+}
+
+// Newest first: [{ file, size, created_at }]
+function listBackups() {
+    if (!fs.existsSync(settings.dir)) return [];
+    return fs.readdirSync(settings.dir)
+        .filter(isBackup)
+        .sort()
+        .reverse()
+        .map(file => {
+            const stats = fs.statSync(path.join(settings.dir, file));
+            return { file, size: stats.size, created_at: stats.mtime.toISOString() };
+        });
+}
+
+// Delete all but the newest settings.keep backups; returns the deleted file names
+function rotateBackups() {
+    const removed = listBackups().slice(settings.keep).map(backup => backup.file);
+    for (const file of removed) fs.unlinkSync(path.join(settings.dir, file));
+    return removed;
+}
+
+// Resolves with { backup, removed }. db is the storage's Database; VACUUM
+// can't run inside a transaction, and the Database holds it until any open
+// one has finished.
+async function createBackup(db, now = new Date()) {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    const file = fileName(now);
+    await db.run('VACUUM INTO ?', [path.join(settings.dir, file)]);
+    const removed = rotateBackups();
+    const { size } = fs.statSync(path.join(settings.dir, file));
+    return { backup: { file, size, created_at: now.toISOString() }, removed };
+}
+
+module.exports = {
+    settings,
+    listBackups,
+    rotateBackups,
+    createBackup
+};
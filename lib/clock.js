@@ -0,0 +1,6 @@
+// Where the app and the stores get the time. Tests pass their own { now() }
+// to openStorage() and createApp() so both agree on what "now" is.
+
+const systemClock = { now: () => new Date() };
+
+module.exports = { systemClock };
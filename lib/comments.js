@@ -0,0 +1,93 @@
+// Threaded comments that can hang off a blog post, a prayer or a testimonial
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const { LIMITS, plainText } = require('./sanitize');
+
+const TARGET_TYPES = ['post', 'prayer', 'testimonial'];
+
+// URL segment -> target_type, for /api/:collection/:id/comments
+const TARGET_COLLECTIONS = {
+    posts: 'post',
+    prayers: 'prayer',
+    testimonials: 'testimonial'
+};
+
+const EDIT_WINDOW_MINUTES = config.comments.editWindowMinutes;
+const MAX_COMMENT_LENGTH = LIMITS.comment;
+
+// The commenter gets this once, at creation, and needs it to edit
+function createEditToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, hash: hashEditToken(token) };
+}
+
+function hashEditToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function editTokenMatches(token, hash) {
+    if (!token || !hash) return false;
+    const actual = Buffer.from(hashEditToken(token), 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isWithinEditWindow(comment, now = Date.now()) {
+    return now - Date.parse(comment.created_at) <= EDIT_WINDOW_MINUTES * 60 * 1000;
+}
+
+// Returns an error message or null
+function validateContent(content) {
+    if (typeof content !== 'string' || plainText(content) === '') return 'Comment content required';
+    if (content.length > MAX_COMMENT_LENGTH) return `Comment must be less than ${MAX_COMMENT_LENGTH} characters`;
+    return null;
+}
+
+// The optional display name; returns an error message or null
+function validateAuthorName(name) {
+    if (name === undefined || name === null) return null;
+    if (typeof name !== 'string' || name.length > LIMITS.name) return `Name must be less than ${LIMITS.name} characters`;
+    return null;
+}
+
+// A comment id as the bulk moderation route takes it: what a URL's :id would
+// be (non-empty text) or a positive whole number
+function isCommentId(value) {
+    return (typeof value === 'string' && value.trim() !== '') || (Number.isInteger(value) && value > 0);
+}
+
+// Nest a flat list into threads: top-level comments newest first, replies
+// oldest first underneath their parent. Replies whose parent isn't in the
+// list (e.g. still awaiting moderation) are dropped.
+function buildThread(comments) {
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    for (const comment of byId.values()) {
+        if (!comment.parent_id) {
+            roots.push(comment);
+        } else if (byId.has(comment.parent_id)) {
+            byId.get(comment.parent_id).replies.push(comment);
+        }
+    }
+
+    const oldestFirst = (a, b) => a.created_at.localeCompare(b.created_at) || Number(a.id) - Number(b.id);
+    for (const comment of byId.values()) comment.replies.sort(oldestFirst);
+    return roots.sort((a, b) => oldestFirst(b, a));
+}
+
+module.exports = {
+    TARGET_TYPES,
+    TARGET_COLLECTIONS,
+    EDIT_WINDOW_MINUTES,
+    MAX_COMMENT_LENGTH,
+    createEditToken,
+    hashEditToken,
+    editTokenMatches,
+    isWithinEditWindow,
+    validateContent,
+    validateAuthorName,
+    isCommentId,
+    buildThread
+};
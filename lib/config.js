@@ -0,0 +1,409 @@
+// Deployment configuration, read once from the environment
+//
+//   NODE_ENV          development (default), production or test
+//   PORT              default 3000
+//   SITE_URL          the site's public address, used in emails, feeds and
+//                     links - required in production
+//   API_BASE_URL      where the pages reach the API (default /api, same origin);
+//                     served to them by GET /config.js
+//   ALLOWED_ORIGINS   comma-separated origins (scheme://host[:port]) that may
+//                     call the API cross-site; the SITE_URL origin always may.
+//                     Defaults to DEFAULT_ORIGINS for the environment.
+//   TRUST_PROXY, JSON_BODY_LIMIT, POST_BODY_LIMIT, IMPORT_BODY_LIMIT
+//   DB_PATH, UPLOAD_DIR, MAIL_OUTBOX_DIR, MAX_UPLOAD_MB
+//   BACKUP_DIR, BACKUP_INTERVAL_HOURS, BACKUP_KEEP (see lib/backups)
+//   MODERATION_MODE, MODERATION_MAX_LINKS, MODERATION_BLOCKED_WORDS,
+//   MODERATION_DUPLICATE_WINDOW_MINUTES (see lib/moderation)
+//   TESTIMONIAL_TIMEZONE, TESTIMONIAL_WINDOWS, TESTIMONIAL_BLACKOUT_DATES
+//                     when testimonies are collected (see lib/testimonials);
+//                     the timezone is required in production
+//   SESSION_TTL_HOURS how long a staff sign-in lasts (default 12)
+//   PRAYER_ARCHIVE_DAYS, COMMENT_EDIT_WINDOW_MINUTES (see lib/prayers, lib/comments)
+//   MAIL_TRANSPORT, MAIL_FROM, SMTP_URL or SMTP_HOST/SMTP_PORT/SMTP_USER/
+//   SMTP_PASS/SMTP_SECURE (see lib/mail)
+//   MAIL_MAX_ATTEMPTS, MAIL_QUEUE_INTERVAL_SECONDS (see lib/notifications)
+//   NEWSLETTER_CONFIRM_HOURS, LIVE_EVENT_BUFFER (see lib/newsletter, lib/liveEvents)
+//   RATE_LIMIT_<NAME>=<max>/<window seconds> overrides one of
+//                     DEFAULT_RATE_LIMITS (see lib/rateLimit)
+//   FEATURE_<NAME>=false turns off one of FEATURES
+//   LOG_LEVEL         one of LOG_LEVELS (default info; see lib/logger)
+//
+// Bad values fall back to their defaults so every module can still load, and
+// are listed in config.problems - start() refuses to run until they're fixed.
+
+const path = require('path');
+
+const ENVIRONMENTS = ['development', 'production', 'test'];
+const MODERATION_MODES = ['auto', 'review', 'flagged'];
+const FEATURES = ['newsletter', 'feeds', 'live_events', 'search'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const MAIL_TRANSPORTS = ['smtp', 'outbox', 'log'];
+
+// Requests per IP address (and per visitor) in each window
+const DEFAULT_RATE_LIMITS = {
+    prayer: { max: 5, windowSeconds: 10 * 60 },
+    heart: { max: 30, windowSeconds: 60 },
+    comment: { max: 10, windowSeconds: 10 * 60 },
+    testimonial: { max: 3, windowSeconds: 60 * 60 },
+    login: { max: 10, windowSeconds: 15 * 60 },
+    newsletter: { max: 5, windowSeconds: 60 * 60 },
+    like: { max: 30, windowSeconds: 60 },
+    view: { max: 60, windowSeconds: 60 },
+    // Distinct visitor IDs per IP address, not requests
+    visitors: { max: 5, windowSeconds: 24 * 60 * 60 }
+};
+
+// Origins are matched exactly, so www. and each port need their own entry
+const DEFAULT_ORIGINS = {
+    production: [
+        'https://anointedworshipcenter.com',
+        'https://www.anointedworshipcenter.com',
+        'https://biblefunland.com',
+        'https://www.biblefunland.com'
+    ],
+    development: ['http://localhost:3000', 'http://127.0.0.1:3000'],
+    test: []
+};
+
+const ROOT = path.join(__dirname, '..');
+
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The scheme://host[:port] of an http(s) URL, or null
+function originOf(value) {
+    const url = parseHttpUrl(value);
+    return url ? url.origin : null;
+}
+
+// Testimonial windows are in the church's zone, which outside production is
+// taken to be UTC unless TESTIMONIAL_TIMEZONE says otherwise
+const DEFAULT_TESTIMONIAL_TIMEZONE = 'UTC';
+const DEFAULT_TESTIMONIAL_WINDOWS = 'tue 12:00-fri 24:00';
+const WEEK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// The zone's canonical IANA name; throws if Intl doesn't know it
+function parseTimezone(value) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+        throw new Error(`TESTIMONIAL_TIMEZONE "${value}" must be an IANA zone such as America/Chicago`);
+    }
+}
+
+// "tue 12:00" -> minutes since Sunday 00:00
+function parseWeekTime(text, spec) {
+    const match = text.trim().toLowerCase().match(/^([a-z]{3})[a-z]*\s+(\d{1,2}):(\d{2})$/);
+    const day = match ? WEEK_DAYS.indexOf(match[1]) : -1;
+    const hours = match ? Number(match[2]) : NaN;
+    const minutes = match ? Number(match[3]) : NaN;
+    if (day === -1 || minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+        throw new Error(`TESTIMONIAL_WINDOWS entry "${spec}" must look like "tue 12:00-fri 24:00"`);
+    }
+    return day * MINUTES_PER_DAY + hours * 60 + minutes;
+}
+
+// "<day> HH:MM-<day> HH:MM, ..." -> [{ start, end }] minutes of the week; end
+// < start wraps past Saturday night (an end of "sat 24:00" stays 7 * 24 * 60
+// so it doesn't wrap)
+function parseTestimonialWindows(value) {
+    const windows = value.split(',').map(spec => spec.trim()).filter(Boolean).map(spec => {
+        const [from, to, extra] = spec.split('-');
+        if (!to || extra !== undefined) {
+            throw new Error(`TESTIMONIAL_WINDOWS entry "${spec}" must look like "tue 12:00-fri 24:00"`);
+        }
+        return {
+            start: parseWeekTime(from, spec) % MINUTES_PER_WEEK,
+            end: parseWeekTime(to, spec)
+        };
+    });
+    if (windows.length === 0) throw new Error('TESTIMONIAL_WINDOWS must define at least one window');
+    return windows;
+}
+
+// A real YYYY-MM-DD day - not one like 2026-02-30 that Date rolls over
+function isDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// "YYYY-MM-DD, YYYY-MM-DD..YYYY-MM-DD" -> [from, to] pairs (inclusive)
+function parseBlackoutDates(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [from, to = from] = item.split('..').map(date => date.trim());
+        for (const date of [from, to]) {
+            if (!isDay(date)) {
+                throw new Error(`TESTIMONIAL_BLACKOUT_DATES entry "${item}" must be YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD`);
+            }
+        }
+        return [from, to];
+    });
+}
+
+function loadConfig(env = process.env) {
+    const problems = [];
+
+    const number = (name, fallback, { min = 1, integer = false } = {}) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        const value = Number(env[name]);
+        if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+            problems.push(`${name} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const bodyLimit = (name, fallback) => {
+        const value = env[name];
+        if (value === undefined || value === '') return fallback;
+        if (!/^\d+(\.\d+)?\s*(b|kb|mb)?$/i.test(value)) {
+            problems.push(`${name} must be a size like 100kb or 1mb`);
+            return fallback;
+        }
+        return value;
+    };
+
+    // A value run through parse(), which throws on bad input; falls back to
+    // parse(fallback)
+    const parsed = (name, parse, fallback) => {
+        if (env[name] === undefined || env[name] === '') return parse(fallback);
+        try {
+            return parse(env[name]);
+        } catch (error) {
+            problems.push(error.message);
+            return parse(fallback);
+        }
+    };
+
+    const flag = (name, fallback) => {
+        const value = (env[name] || String(fallback)).toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(value)) {
+            problems.push(`${name} must be true or false`);
+            return fallback;
+        }
+        return value === 'true' || value === '1';
+    };
+
+    const rateLimit = (name, fallback) => {
+        const variable = `RATE_LIMIT_${name.toUpperCase()}`;
+        if (env[variable] === undefined || env[variable] === '') return fallback;
+        const match = env[variable].match(/^(\d+)\/(\d+)$/);
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            problems.push(`${variable} must be <max>/<window seconds>, e.g. 10/600`);
+            return fallback;
+        }
+        return { max: Number(match[1]), windowSeconds: Number(match[2]) };
+    };
+
+    const environment = env.NODE_ENV || 'development';
+    if (!ENVIRONMENTS.includes(environment)) {
+        problems.push(`NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')}`);
+    }
+    const production = environment === 'production';
+
+    const port = number('PORT', 3000, { integer: true });
+    if (port > 65535) problems.push('PORT must be at most 65535');
+
+    // setInterval can't wait longer than 24.8 days
+    const backupIntervalHours = number('BACKUP_INTERVAL_HOURS', 24, { min: 0 });
+    if (backupIntervalHours > 24 * 24) problems.push('BACKUP_INTERVAL_HOURS must be at most 576 (24 days)');
+
+    let siteUrl = `http://localhost:${port}`;
+    if (env.SITE_URL) {
+        if (originOf(env.SITE_URL)) siteUrl = env.SITE_URL.replace(/\/+$/, '');
+        else problems.push('SITE_URL must be an http(s) URL');
+    } else if (production) {
+        problems.push('SITE_URL is required in production');
+    }
+
+    const origins = new Set(env.ALLOWED_ORIGINS === undefined
+        ? DEFAULT_ORIGINS[environment] || []
+        : []);
+    for (const entry of (env.ALLOWED_ORIGINS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const url = parseHttpUrl(entry);
+        if (!url || url.pathname !== '/' || url.search || url.hash || url.username) {
+            problems.push(`ALLOWED_ORIGINS entry "${entry}" must be just scheme://host[:port]`);
+        } else {
+            origins.add(url.origin);
+        }
+    }
+    origins.add(originOf(siteUrl));
+
+    let trustProxy;
+    if (env.TRUST_PROXY) {
+        const trust = env.TRUST_PROXY;
+        trustProxy = /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust;
+    }
+
+    // The server's own zone is rarely the church's, so production has to say
+    if (production && !env.TESTIMONIAL_TIMEZONE) {
+        problems.push('TESTIMONIAL_TIMEZONE is required in production (e.g. America/Chicago)');
+    }
+
+    const moderationMode = env.MODERATION_MODE || 'flagged';
+    if (!MODERATION_MODES.includes(moderationMode)) {
+        problems.push(`MODERATION_MODE must be one of: ${MODERATION_MODES.join(', ')}`);
+    }
+
+    const logLevel = (env.LOG_LEVEL || 'info').toLowerCase();
+    if (!LOG_LEVELS.includes(logLevel)) {
+        problems.push(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    const smtpConfigured = Boolean(env.SMTP_URL || env.SMTP_HOST);
+    const mailTransport = env.MAIL_TRANSPORT || (smtpConfigured ? 'smtp' : 'outbox');
+    if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+        problems.push(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    } else if (mailTransport === 'smtp' && !smtpConfigured) {
+        problems.push('MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST');
+    }
+    const smtpPort = number('SMTP_PORT', 587, { integer: true });
+    if (smtpPort > 65535) problems.push('SMTP_PORT must be at most 65535');
+
+    const rateLimits = {};
+    for (const [name, limit] of Object.entries(DEFAULT_RATE_LIMITS)) rateLimits[name] = rateLimit(name, limit);
+    for (const variable of Object.keys(env).filter(name => name.startsWith('RATE_LIMIT_'))) {
+        if (!Object.prototype.hasOwnProperty.call(rateLimits, variable.slice('RATE_LIMIT_'.length).toLowerCase())) {
+            problems.push(`${variable} is not a rate limit; the names are: ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')}`);
+        }
+    }
+
+    const features = {};
+    for (const feature of FEATURES) features[feature] = flag(`FEATURE_${feature.toUpperCase()}`, true);
+
+    return {
+        env: environment,
+        production,
+        port,
+        siteUrl,
+        apiBaseUrl: (env.API_BASE_URL || '/api').replace(/\/+$/, ''),
+        allowedOrigins: [...origins],
+        trustProxy,
+        jsonBodyLimit: bodyLimit('JSON_BODY_LIMIT', '20kb'),
+        postBodyLimit: bodyLimit('POST_BODY_LIMIT', '1mb'),
+        // Admin imports are whole-site exports (see lib/archive)
+        importBodyLimit: bodyLimit('IMPORT_BODY_LIMIT', '20mb'),
+        paths: {
+            db: env.DB_PATH || path.join(ROOT, 'blog.db'),
+            uploads: env.UPLOAD_DIR || path.join(ROOT, 'uploads'),
+            outbox: env.MAIL_OUTBOX_DIR || path.join(ROOT, 'outbox'),
+            backups: env.BACKUP_DIR || path.join(ROOT, 'backups')
+        },
+        maxUploadMb: number('MAX_UPLOAD_MB', 5),
+        backups: {
+            intervalHours: backupIntervalHours,
+            keep: number('BACKUP_KEEP', 14, { integer: true })
+        },
+        moderation: {
+            mode: MODERATION_MODES.includes(moderationMode) ? moderationMode : 'flagged',
+            maxLinks: number('MODERATION_MAX_LINKS', 2, { min: 0, integer: true }),
+            // null means lib/moderation's default list
+            blockedWords: env.MODERATION_BLOCKED_WORDS === undefined
+                ? null
+                : env.MODERATION_BLOCKED_WORDS.split(',').map(item => item.trim().toLowerCase()).filter(Boolean),
+            duplicateWindowMinutes: number('MODERATION_DUPLICATE_WINDOW_MINUTES', 60)
+        },
+        testimonials: {
+            timezone: parsed('TESTIMONIAL_TIMEZONE', parseTimezone, DEFAULT_TESTIMONIAL_TIMEZONE),
+            windows: parsed('TESTIMONIAL_WINDOWS', parseTestimonialWindows, DEFAULT_TESTIMONIAL_WINDOWS),
+            blackouts: parsed('TESTIMONIAL_BLACKOUT_DATES', parseBlackoutDates, '')
+        },
+        sessionTtlHours: number('SESSION_TTL_HOURS', 12),
+        prayers: {
+            // 0 turns automatic archiving off
+            archiveDays: number('PRAYER_ARCHIVE_DAYS', 30, { min: 0 })
+        },
+        comments: {
+            editWindowMinutes: number('COMMENT_EDIT_WINDOW_MINUTES', 15)
+        },
+        mail: {
+            transport: MAIL_TRANSPORTS.includes(mailTransport) ? mailTransport : 'outbox',
+            from: env.MAIL_FROM || 'Anointed Worship Center <no-reply@localhost>',
+            smtp: {
+                url: env.SMTP_URL || null,
+                host: env.SMTP_HOST || null,
+                port: smtpPort > 65535 ? 587 : smtpPort,
+                secure: flag('SMTP_SECURE', false),
+                user: env.SMTP_USER || null,
+                pass: env.SMTP_PASS || null
+            },
+            maxAttempts: number('MAIL_MAX_ATTEMPTS', 5, { integer: true }),
+            queueIntervalSeconds: number('MAIL_QUEUE_INTERVAL_SECONDS', 30)
+        },
+        newsletter: {
+            confirmHours: number('NEWSLETTER_CONFIRM_HOURS', 48)
+        },
+        liveEvents: {
+            bufferSize: number('LIVE_EVENT_BUFFER', 500, { integer: true })
+        },
+        rateLimits,
+        features,
+        logLevel: LOG_LEVELS.includes(logLevel) ? logLevel : 'info',
+        problems
+    };
+}
+
+const config = loadConfig();
+
+function isAllowedOrigin(origin, { allowedOrigins } = config) {
+    const normalized = originOf(origin);
+    return Boolean(normalized) && allowedOrigins.includes(normalized);
+}
+
+// Third-party hosts the pages load scripts, styles and fonts from
+const PAGE_SOURCES = {
+    script: ['https://cdn.tailwindcss.com'],
+    style: ['https://fonts.googleapis.com', 'https://cdnjs.cloudflare.com'],
+    font: ['https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com']
+};
+
+// The Content-Security-Policy sent with the static pages. Their scripts are
+// all files, so only the Tailwind CDN's injected styles need 'unsafe-inline';
+// everything else is limited to this site and PAGE_SOURCES.
+// Post images may be hot-linked from any https host.
+function contentSecurityPolicy({ apiBaseUrl } = config) {
+    const apiOrigin = originOf(apiBaseUrl);
+    const directives = {
+        'default-src': ["'self'"],
+        'script-src': ["'self'", ...PAGE_SOURCES.script],
+        'style-src': ["'self'", "'unsafe-inline'", ...PAGE_SOURCES.style],
+        'font-src': ["'self'", ...PAGE_SOURCES.font],
+        'img-src': ["'self'", 'data:', 'https:'],
+        'connect-src': ["'self'", ...(apiOrigin ? [apiOrigin] : [])],
+        'object-src': ["'none'"],
+        'base-uri': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'self'"]
+    };
+    return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(' ')}`).join('; ');
+}
+
+// What the pages are allowed to know, for GET /config.js and /api/config
+function publicConfig({ apiBaseUrl, siteUrl, features } = config) {
+    return { apiBaseUrl, siteUrl, features };
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    MODERATION_MODES,
+    FEATURES,
+    LOG_LEVELS,
+    MAIL_TRANSPORTS,
+    DEFAULT_ORIGINS,
+    DEFAULT_RATE_LIMITS,
+    DEFAULT_TESTIMONIAL_TIMEZONE,
+    config,
+    loadConfig,
+    isAllowedOrigin,
+    publicConfig,
+    contentSecurityPolicy
+};
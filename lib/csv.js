@@ -0,0 +1,22 @@
+// CSV export helpers
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header row plus one row per object, CRLF line endings (RFC 4180)
+function toCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCsv
+};
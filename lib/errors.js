@@ -0,0 +1,115 @@
+// Error responses: every failure the API reports is { success: false, error, code }
+//
+// Handlers answer the errors they expect themselves - res.status(404).json({
+// success: false, error: 'Post not found' }) - and errorCodes() fills in the
+// code for the status. Anything they don't expect is thrown (or rejected,
+// for async handlers - see catchAsyncErrors) and reaches errorHandler(),
+// which logs it with the request id and sends a generic 500 instead of the
+// details. Middleware can throw an HttpError to pick the status itself.
+
+const CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    410: 'gone',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'unavailable'
+};
+
+class HttpError extends Error {
+    constructor(status, message, code = CODES[status] || 'error') {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function codeFor(status) {
+    return CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// { status, error, code } to send for err
+function describe(err) {
+    if (err instanceof HttpError) {
+        return { status: err.status, error: err.message, code: err.code };
+    }
+    // Thrown by express.json()
+    if (err.type === 'entity.too.large') {
+        return { status: 413, error: 'Request body too large', code: 'payload_too_large' };
+    }
+    if (err.type === 'entity.parse.failed') {
+        return { status: 400, error: 'Request body is not valid JSON', code: 'invalid_json' };
+    }
+    // Other client errors raised by Express and body-parser say what went wrong
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500 && err.expose) {
+        return { status, error: err.message, code: codeFor(status) };
+    }
+    return { status: 500, error: 'Something went wrong - please try again', code: 'internal_error' };
+}
+
+// Adds `code` to the error bodies handlers send with res.status(...).json()
+function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && body.success === false && !body.code) {
+            body = { ...body, code: codeFor(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Express 4 doesn't notice a rejected promise from a handler; route it to next()
+// so errorHandler() sees it. Wraps the app's route methods once, at creation.
+function catchAsyncErrors(app) {
+    const wrap = handler => {
+        if (typeof handler !== 'function' || handler.length > 3) return handler;
+        return function (req, res, next) {
+            const result = handler.call(this, req, res, next);
+            if (result && typeof result.catch === 'function') result.catch(next);
+            return result;
+        };
+    };
+    for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+        const register = app[method].bind(app);
+        app[method] = (path, ...handlers) => {
+            // app.get('setting') reads a setting rather than adding a route
+            if (method === 'get' && handlers.length === 0) return register(path);
+            return register(path, ...handlers.flat().map(wrap));
+        };
+    }
+    return app;
+}
+
+// The last middleware: one JSON shape for every error
+function errorHandler(log) {
+    return (err, req, res, next) => {
+        const { status, error, code } = describe(err);
+        const logger = req.log || log;
+        if (status >= 500) {
+            logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl.split('?')[0] });
+        } else {
+            logger.info('Request rejected', { code, reason: error });
+        }
+
+        if (res.headersSent) return next(err);
+        res.status(status).json({ success: false, error, code });
+    };
+}
+
+module.exports = {
+    CODES,
+    HttpError,
+    describe,
+    errorCodes,
+    catchAsyncErrors,
+    errorHandler
+};
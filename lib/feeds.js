@@ -0,0 +1,180 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 output
+//
+// Routes build one format-neutral feed - { title, description, path, query,
+// updated, items } - and render it in whichever format was asked for. Items
+// are { id, url, title, summary, html, author, categories, published, updated }.
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./search');
+const { settings: notificationSettings } = require('./notifications');
+const { CATEGORIES, postPath } = require('./posts');
+
+const FEED_LIMIT = 20;
+const SITE_TITLE = 'Anointed Worship Center';
+
+function xml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters aren't allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function feedUrl(feed, file) {
+    return `${notificationSettings.siteUrl}${feed.path}${file}${feed.query ? `?${feed.query}` : ''}`;
+}
+
+function renderRss(feed) {
+    const items = feed.items.map(item => `
+    <item>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <guid isPermaLink="false">${xml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <dc:creator>${xml(item.author)}</dc:creator>
+${item.categories.map(category => `      <category>${xml(category)}</category>\n`).join('')}      <description>${xml(item.summary)}</description>
+      <content:encoded>${xml(item.html)}</content:encoded>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(notificationSettings.siteUrl)}/awc-blog.html</link>
+    <description>${xml(feed.description)}</description>
+    <language>en-us</language>
+    <atom:link href="${xml(feedUrl(feed, 'feed.xml'))}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <id>${xml(item.id)}</id>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(item.url)}"/>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <author><name>${xml(item.author)}</name></author>
+${item.categories.map(category => `    <category term="${xml(category)}"/>\n`).join('')}    <summary type="text">${xml(item.summary)}</summary>
+    <content type="html">${xml(item.html)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(feedUrl(feed, 'atom.xml'))}</id>
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${xml(feedUrl(feed, 'atom.xml'))}"/>
+  <link rel="alternate" type="text/html" href="${xml(notificationSettings.siteUrl)}/awc-blog.html"/>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: `${notificationSettings.siteUrl}/awc-blog.html`,
+        feed_url: feedUrl(feed, 'feed.json'),
+        language: 'en-US',
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.html,
+            date_published: new Date(item.published).toISOString(),
+            date_modified: new Date(item.updated).toISOString(),
+            authors: [{ name: item.author }],
+            tags: item.categories
+        }))
+    }, null, 2);
+}
+
+// File name -> how to render it
+const FORMATS = {
+    'feed.xml': { type: 'application/rss+xml', render: renderRss },
+    'atom.xml': { type: 'application/atom+xml', render: renderAtom },
+    'feed.json': { type: 'application/feed+json', render: renderJsonFeed }
+};
+
+// The newest change in the feed; an empty feed counts as unchanged since the epoch
+function latestUpdate(items) {
+    return new Date(Math.max(0, ...items.map(item => Date.parse(item.updated))));
+}
+
+// Feed readers show content away from the site, so root-relative links
+// (uploaded images, other posts) need the site's origin
+function absoluteLinks(html) {
+    return html.replace(/(\s(?:src|href)=["'])\/(?!\/)/gi, `$1${notificationSettings.siteUrl}/`);
+}
+
+// posts come from storage.posts.listRecent(); category is optional
+function postsFeed(posts, { category } = {}) {
+    const items = posts.map(post => ({
+        id: `${notificationSettings.siteUrl}/api/posts/${post.id}`,
+        url: notificationSettings.siteUrl + postPath(post),
+        title: post.title,
+        summary: post.excerpt || '',
+        html: absoluteLinks(post.content || ''),
+        author: post.author,
+        categories: [post.categoryLabel || CATEGORIES[post.category] || post.category],
+        published: post.published_at,
+        // A scheduled post "changes" when it goes live, even if it was edited earlier
+        updated: post.updated_at > post.published_at ? post.updated_at : post.published_at
+    }));
+
+    return {
+        title: category ? `${SITE_TITLE} Blog - ${CATEGORIES[category]}` : `${SITE_TITLE} Blog`,
+        description: 'Spiritual insights, testimonies, and encouraging words from Anointed Worship Center',
+        path: '/',
+        query: category ? `category=${encodeURIComponent(category)}` : '',
+        updated: latestUpdate(items),
+        items
+    };
+}
+
+// testimonials come from storage.testimonials.listApproved()
+function testimonialsFeed(testimonials) {
+    const items = testimonials.slice(0, FEED_LIMIT).map(testimonial => ({
+        id: `${notificationSettings.siteUrl}/api/testimonials/${testimonial.id}`,
+        url: `${notificationSettings.siteUrl}/awc-blog.html`,
+        title: `Testimony from ${testimonial.name}`,
+        summary: testimonial.testimony,
+        html: testimonial.testimony.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`).join('\n'),
+        author: testimonial.name,
+        categories: ['Testimony'],
+        published: testimonial.approved_at || testimonial.created_at,
+        updated: testimonial.approved_at || testimonial.created_at
+    }));
+
+    return {
+        title: `${SITE_TITLE} Testimonies`,
+        description: 'Testimonies of God\'s faithfulness shared by the Anointed Worship Center family',
+        path: '/testimonials/',
+        query: '',
+        updated: latestUpdate(items),
+        items
+    };
+}
+
+// Strong validator for a rendered feed body
+function etag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+module.exports = {
+    FEED_LIMIT,
+    FORMATS,
+    postsFeed,
+    testimonialsFeed,
+    etag
+};
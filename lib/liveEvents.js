@@ -0,0 +1,100 @@
+// Live updates for the prayer wall and testimonies, streamed as Server-Sent Events
+//
+// The hub keeps the last LIVE_EVENT_BUFFER events (default 500) so a client that
+// reconnects with Last-Event-ID gets what it missed. Event ids are
+// `<boot>-<seq>`: after a restart, or when the client fell further behind than
+// the buffer reaches, replay isn't possible and the stream sends a `reset`
+// event instead - the client should reload the wall.
+//
+// Each event carries the visibility level (see lib/prayers) a viewer needs
+// to receive it; testimonies and post comments are always public. An event
+// published with `except` skips viewers who can also see that level - how a
+// prayer that narrowed its audience is taken down only where it's now hidden.
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const EVENT_TYPES = [
+    'prayer.created',
+    'prayer.hearted',
+    'prayer.archived',
+    'prayer.deleted',
+    'comment.added',
+    'testimonial.approved'
+];
+
+const settings = {
+    bufferSize: config.liveEvents.bufferSize,
+    // How long EventSource waits before reconnecting, and how often we send a
+    // comment line so proxies don't close an idle stream
+    retryMs: 3000,
+    heartbeatMs: 25 * 1000
+};
+
+// Events are stamped with clock.now() (see lib/clock)
+function createEventHub({ bufferSize = settings.bufferSize, clock = systemClock } = {}) {
+    const bootId = crypto.randomBytes(4).toString('hex');
+    const buffer = [];
+    const listeners = new Set();
+    let seq = 0;
+
+    const idFor = (n) => `${bootId}-${n}`;
+
+    return {
+        // Record an event and hand it to every connected listener
+        publish(type, data, { visibility = 'public', except = null } = {}) {
+            const event = { id: idFor(++seq), seq, type, data, visibility, except, at: clock.now().toISOString() };
+            buffer.push(event);
+            if (buffer.length > bufferSize) buffer.shift();
+
+            for (const listener of listeners) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    logger.error('❌ Live event listener failed', { error });
+                }
+            }
+            return event;
+        },
+
+        // Events after lastId, oldest first; null when they can't all be replayed
+        since(lastId) {
+            const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastId));
+            if (!match || match[1] !== bootId) return null;
+
+            const last = Number(match[2]);
+            if (last > seq) return null;
+            if (last === seq) return [];
+            if (!buffer.length || buffer[0].seq > last + 1) return null;
+            return buffer.filter(event => event.seq > last);
+        },
+
+        lastId() {
+            return idFor(seq);
+        },
+
+        // Returns a function that stops delivery
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        connections() {
+            return listeners.size;
+        }
+    };
+}
+
+// One event in text/event-stream framing
+function format({ id, type, data }) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    settings,
+    createEventHub,
+    format
+};
@@ -0,0 +1,117 @@
+// Structured logging: one JSON object per line, { time, level, msg, ...fields }
+//
+//   LOG_LEVEL  error, warn, info (default) or debug
+//
+// The people who use the site send us names, emails and prayer requests, and
+// none of that belongs in a log. Fields are passed through redact() before
+// they're written: any key in REDACTED_FIELDS (or ending _email, _token,
+// _hash, _name, _ip) becomes "[redacted]", however deeply it's nested. Messages
+// should name records by id rather than by the person behind them.
+//
+// requestLogger() gives every request an id (X-Request-Id, taken from the
+// proxy when it sent a sensible one), a req.log that stamps it on each line,
+// and a closing line with the status and latency.
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// Same order as lib/config's LOG_LEVELS
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED_FIELDS = new Set([
+    'password', 'token', 'authorization', 'cookie', 'secret',
+    'email', 'name', 'phone', 'ip',
+    'request', 'content', 'testimony', 'note', 'text', 'html', 'to'
+]);
+const REDACTED_SUFFIX = /_(email|token|hash|name|ip)$/i;
+const REDACTED = '[redacted]';
+
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+function isRedacted(key) {
+    return REDACTED_FIELDS.has(key.toLowerCase()) || REDACTED_SUFFIX.test(key);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+// A copy of value with sensitive fields blanked; errors become plain objects
+function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+    if (depth > 5) return '[nested]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isRedacted(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1)
+    ]));
+}
+
+function createLogger({ level = config.logLevel, bindings = {} } = {}) {
+    const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+    function write(name, msg, fields = {}) {
+        if (LEVELS[name] > threshold) return;
+        const line = JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...bindings, ...redact(fields) });
+        // Looked up on each call so tests can silence console.log
+        (LEVELS[name] <= LEVELS.warn ? console.error : console.log)(line);
+    }
+
+    return {
+        level,
+        error: (msg, fields) => write('error', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        debug: (msg, fields) => write('debug', msg, fields),
+        enabled: name => LEVELS[name] <= threshold,
+        // A logger that adds these fields to every line
+        child: extra => createLogger({ level, bindings: { ...bindings, ...extra } })
+    };
+}
+
+const logger = createLogger();
+
+function requestLogger(log = logger) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+
+        req.id = requestId;
+        req.log = log.child({ requestId });
+        res.set('X-Request-Id', requestId);
+
+        // The query string is left out - confirm, unsubscribe and manage links carry tokens in it
+        res.once('close', () => {
+            const status = res.statusCode;
+            const fields = {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+                ...(req.user ? { userId: req.user.id } : {}),
+                ...(res.writableFinished ? {} : { aborted: true }),
+                // Redacted like every other field; only worth the noise when debugging
+                ...(req.log.enabled('debug') && req.body && Object.keys(req.body).length ? { body: req.body } : {})
+            };
+            req.log[status >= 500 ? 'error' : 'info']('Request finished', fields);
+        });
+        next();
+    };
+}
+
+module.exports = {
+    LEVELS,
+    REDACTED_FIELDS,
+    redact,
+    createLogger,
+    logger,
+    requestLogger
+};
@@ -0,0 +1,74 @@
+// Mail transports. MAIL_TRANSPORT picks one:
+//   smtp    - real delivery via SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE
+//   outbox  - writes each message as a JSON file in MAIL_OUTBOX_DIR (default ./outbox); for development
+//   log     - delivers nothing, just notes each message at debug level through lib/logger
+//             (address redacted, no subject or body); for development
+// Every transport is { name, send(message) } where send resolves once the
+// message is accepted and rejects if it should be retried.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const settings = {
+    transport: config.mail.transport,
+    from: config.mail.from,
+    smtp: config.mail.smtp,
+    outboxDir: config.paths.outbox
+};
+
+const transports = {
+    smtp() {
+        const { url, host, port, secure, user, pass } = settings.smtp;
+        const mailer = nodemailer.createTransport(url || {
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+        return {
+            name: 'smtp',
+            send: (message) => mailer.sendMail({ from: settings.from, ...message })
+        };
+    },
+
+    outbox() {
+        return {
+            name: 'outbox',
+            async send(message) {
+                await fs.mkdir(settings.outboxDir, { recursive: true });
+                const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+                await fs.writeFile(
+                    path.join(settings.outboxDir, fileName),
+                    JSON.stringify({ from: settings.from, ...message }, null, 2)
+                );
+            }
+        };
+    },
+
+    // Subjects can carry names and addresses too, so only the redacted recipient is logged
+    log(log = logger) {
+        return {
+            name: 'log',
+            async send(message) {
+                log.debug('📧 Mail sent to the log transport (not delivered)', { to: message.to });
+            }
+        };
+    }
+};
+
+function createTransport(name = settings.transport) {
+    if (!transports[name]) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}" - expected one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return transports[name]();
+}
+
+module.exports = {
+    settings,
+    transports,
+    createTransport
+};
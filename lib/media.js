@@ -0,0 +1,113 @@
+// Image uploads: content-hash file names on local disk plus resized WebP thumbnails
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { config } = require('./config');
+
+const UPLOAD_DIR = config.paths.uploads;
+const THUMBNAIL_DIR = path.join(UPLOAD_DIR, 'thumbs');
+const MAX_UPLOAD_BYTES = config.maxUploadMb * 1024 * 1024;
+const THUMBNAIL_WIDTHS = [320, 800];
+const PUBLIC_PATH = '/media';
+
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+// Identify the image type from its magic bytes - the client's Content-Type isn't trusted
+function sniffImageType(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 6).toString('ascii') === 'GIF87a' || buffer.subarray(0, 6).toString('ascii') === 'GIF89a') return 'image/gif';
+    if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+    return null;
+}
+
+// Returns an error message or null
+function validateImage(buffer) {
+    if (!buffer || buffer.length === 0) return 'Image file required';
+    if (buffer.length > MAX_UPLOAD_BYTES) return `Image must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`;
+    if (!sniffImageType(buffer)) return `Image must be one of: ${Object.values(IMAGE_TYPES).join(', ')}`;
+    return null;
+}
+
+function mediaUrl(fileName) {
+    return `${PUBLIC_PATH}/${fileName}`;
+}
+
+function thumbnailUrl(hash, width) {
+    return `${PUBLIC_PATH}/thumbs/${hash}-${width}.webp`;
+}
+
+// Write a file unless an identical (same hash) one is already there
+async function writeOnce(filePath, data) {
+    try {
+        await fs.writeFile(filePath, data, { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+}
+
+// Store a validated image and its thumbnails. Identical uploads share one file,
+// so this resolves with { media, created } where created is false for a duplicate.
+async function storeImage(mediaStore, buffer, { originalName = null, uploadedBy = null } = {}) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = await mediaStore.findByHash(hash);
+    if (existing) return { media: existing, created: false };
+
+    const mimeType = sniffImageType(buffer);
+    const fileName = `${hash}.${IMAGE_TYPES[mimeType]}`;
+    const { width, height } = await sharp(buffer).metadata();
+
+    await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
+    await writeOnce(path.join(UPLOAD_DIR, fileName), buffer);
+
+    // Only downscale - an image narrower than a thumbnail size is served as-is
+    const thumbnails = THUMBNAIL_WIDTHS.filter(size => width > size);
+    for (const size of thumbnails) {
+        const thumbnail = await sharp(buffer).resize({ width: size }).webp({ quality: 80 }).toBuffer();
+        await writeOnce(path.join(THUMBNAIL_DIR, `${hash}-${size}.webp`), thumbnail);
+    }
+
+    const media = await mediaStore.create({
+        hash,
+        fileName,
+        originalName,
+        mimeType,
+        size: buffer.length,
+        width,
+        height,
+        thumbnails,
+        uploadedBy
+    });
+    return { media, created: true };
+}
+
+// Remove a stored image and its thumbnails from disk
+async function removeImageFiles(media) {
+    const files = [
+        path.join(UPLOAD_DIR, media.file_name),
+        ...media.thumbnail_widths.map(size => path.join(THUMBNAIL_DIR, `${media.hash}-${size}.webp`))
+    ];
+    await Promise.all(files.map(file => fs.rm(file, { force: true })));
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    MAX_UPLOAD_BYTES,
+    THUMBNAIL_WIDTHS,
+    IMAGE_TYPES,
+    sniffImageType,
+    validateImage,
+    mediaUrl,
+    thumbnailUrl,
+    storeImage,
+    removeImageFiles
+};
@@ -0,0 +1,81 @@
+// Comment moderation rules
+//
+// MODERATION_MODE decides what happens to a new comment:
+//   auto     - publish everything (flags are still recorded for review)
+//   review   - hold everything for a moderator
+//   flagged  - publish unless a rule below flags it (default)
+
+const crypto = require('crypto');
+const { config, MODERATION_MODES: MODES } = require('./config');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'slut', 'whore',
+    'viagra', 'cialis', 'casino', 'porn', 'crypto giveaway'
+];
+
+const settings = {
+    mode: config.moderation.mode,
+    maxLinks: config.moderation.maxLinks,
+    blockedWords: config.moderation.blockedWords || DEFAULT_BLOCKED_WORDS,
+    duplicateWindowMinutes: config.moderation.duplicateWindowMinutes,
+    // Hidden form field that people never fill in but bots do
+    honeypotField: 'website'
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countLinks(text) {
+    return (String(text).match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+}
+
+function findBlockedWords(text) {
+    return settings.blockedWords.filter(word =>
+        new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text)
+    );
+}
+
+// Hash of the content with case and whitespace collapsed, so trivial
+// edits still count as duplicates
+function contentFingerprint(text) {
+    const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Run every rule; resolves with a list of flag strings (empty when clean).
+// isDuplicate(fingerprint, sinceIso) is supplied by the caller's store; now
+// is the caller's clock time.
+async function flagComment({ content, author_name, body = {} }, { isDuplicate, now = new Date() }) {
+    const flags = [];
+    const text = `${author_name || ''} ${content || ''}`;
+
+    if (body[settings.honeypotField]) flags.push('honeypot');
+
+    const links = countLinks(text);
+    if (links > settings.maxLinks) flags.push(`links:${links}`);
+
+    for (const word of findBlockedWords(text)) flags.push(`blocked_word:${word}`);
+
+    const since = new Date(now.getTime() - settings.duplicateWindowMinutes * 60 * 1000).toISOString();
+    if (await isDuplicate(contentFingerprint(content), since)) flags.push('duplicate');
+
+    return flags;
+}
+
+function initialStatus(flags) {
+    if (settings.mode === 'auto') return 'approved';
+    if (settings.mode === 'review') return 'pending';
+    return flags.length > 0 ? 'pending' : 'approved';
+}
+
+module.exports = {
+    MODES,
+    STATUSES,
+    settings,
+    contentFingerprint,
+    flagComment,
+    initialStatus
+};
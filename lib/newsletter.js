@@ -0,0 +1,123 @@
+// Newsletter: double opt-in links and the weekly digest
+//
+// Subscribing sends a confirmation link (valid NEWSLETTER_CONFIRM_HOURS, default
+// 48); only confirmed addresses get the digest. Each digest carries the
+// subscriber's own unsubscribe link. Digest weeks run Monday 00:00 to Monday
+// 00:00 UTC and are named by their Monday.
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const { escapeHtml } = require('./search');
+const { settings: notificationSettings } = require('./notifications');
+const { postPath } = require('./posts');
+
+const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+const settings = {
+    confirmHours: config.newsletter.confirmHours
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored as-is (unlike the confirm token) because every digest has to include it
+function createUnsubscribeToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Confirmation links sent before this are no longer accepted
+function confirmCutoff(now = new Date()) {
+    return new Date(now.getTime() - settings.confirmHours * 60 * 60 * 1000).toISOString();
+}
+
+function confirmUrl(token) {
+    return `${notificationSettings.siteUrl}/api/newsletter/confirm?token=${token}`;
+}
+
+function unsubscribeUrl(token) {
+    return `${notificationSettings.siteUrl}/api/newsletter/unsubscribe?token=${token}`;
+}
+
+function postUrl(post) {
+    return notificationSettings.siteUrl + postPath(post);
+}
+
+// { weekStart: 'YYYY-MM-DD', start, end } for the week containing weekOf
+// (a YYYY-MM-DD date, default today), or null if weekOf isn't a date
+function weekRange(weekOf, now = new Date()) {
+    let day;
+    if (weekOf === undefined) {
+        day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    } else {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(weekOf)) return null;
+        day = new Date(`${weekOf}T00:00:00Z`);
+        if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== weekOf) return null;
+    }
+
+    const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    const end = new Date(start.getTime() + 7 * DAY_MS);
+    return { weekStart: start.toISOString().slice(0, 10), start: start.toISOString(), end: end.toISOString() };
+}
+
+function formatDay(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function excerpt(text, length = 280) {
+    return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+}
+
+// { subject, text, html } for one week's posts and testimonies, without the
+// unsubscribe footer - personalize() adds that per subscriber
+function buildDigest({ posts, testimonials, week }) {
+    const lastDay = new Date(new Date(week.end).getTime() - DAY_MS).toISOString();
+    const range = `${formatDay(week.start)} - ${formatDay(lastDay)}`;
+    const subject = `This week at Anointed Worship Center (${range})`;
+
+    const text = [`This week at Anointed Worship Center, ${range}`];
+    const html = ['<h1>This week at Anointed Worship Center</h1>', `<p>${escapeHtml(range)}</p>`];
+
+    if (posts.length) {
+        text.push('NEW ON THE BLOG');
+        html.push('<h2>New on the blog</h2>');
+        for (const post of posts) {
+            text.push([post.title, post.excerpt, postUrl(post)].filter(Boolean).join('\n'));
+            html.push(
+                `<h3><a href="${escapeHtml(postUrl(post))}">${escapeHtml(post.title)}</a></h3>` +
+                (post.excerpt ? `<p>${escapeHtml(post.excerpt)}</p>` : '')
+            );
+        }
+    }
+
+    if (testimonials.length) {
+        text.push('TESTIMONIES');
+        html.push('<h2>Testimonies</h2>');
+        for (const testimonial of testimonials) {
+            const name = testimonial.anonymous ? 'Anonymous' : testimonial.name;
+            text.push(`"${excerpt(testimonial.testimony)}"\n- ${name}`);
+            html.push(`<blockquote><p>${escapeHtml(excerpt(testimonial.testimony))}</p><p>- ${escapeHtml(name)}</p></blockquote>`);
+        }
+    }
+
+    return { subject, text: text.join('\n\n'), html: html.join('\n') };
+}
+
+function personalize(digest, unsubscribeToken) {
+    const url = unsubscribeUrl(unsubscribeToken);
+    return {
+        subject: digest.subject,
+        text: `${digest.text}\n\nYou are receiving this because you subscribed on our blog. Unsubscribe: ${url}`,
+        html: `${digest.html}\n<p><small>You are receiving this because you subscribed on our blog. <a href="${escapeHtml(url)}">Unsubscribe</a></small></p>`
+    };
+}
+
+module.exports = {
+    SUBSCRIBER_STATUSES,
+    settings,
+    createUnsubscribeToken,
+    confirmCutoff,
+    confirmUrl,
+    unsubscribeUrl,
+    weekRange,
+    buildDigest,
+    personalize
+};
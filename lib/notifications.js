@@ -0,0 +1,189 @@
+// Email notifications
+//
+// notify(event, data) renders the event's template for each recipient and
+// queues it in the notifications table; the queue worker sends what's due and
+// retries failures with backoff (2, 4, 8... minutes, up to MAIL_MAX_ATTEMPTS
+// tries). Staff choose which events they get via their preferences; the
+// submitter of a prayer opts out through their manage link.
+
+const mail = require('./mail');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { escapeHtml } = require('./search');
+
+const settings = {
+    siteUrl: config.siteUrl,
+    maxAttempts: config.mail.maxAttempts,
+    queueIntervalSeconds: config.mail.queueIntervalSeconds
+};
+
+// roles may subscribe to the event; defaultRoles get it unless they opt out.
+// Events without roles go to the address given by the caller.
+const EVENTS = {
+    'testimonial.submitted': {
+        description: 'A new testimony is waiting for review',
+        roles: ['pastor', 'moderator'],
+        defaultRoles: ['pastor'],
+        subject: 'New testimony from {{name}} awaiting review',
+        text: [
+            'A new testimony was submitted by {{name}} and is waiting for pastoral review.',
+            '"{{testimony}}"',
+            'Review it in the admin panel: {{siteUrl}}/awc-blog.html'
+        ]
+    },
+    'prayer.comment': {
+        description: 'Someone commented on your prayer request',
+        subject: '{{author}} commented on your prayer request',
+        text: [
+            '{{author}} left a comment on your prayer request:',
+            '"{{comment}}"',
+            'Your request: "{{request}}"',
+            'To stop these emails, open the manage link you were given when you posted and turn off comment notifications.'
+        ]
+    },
+    'newsletter.signup': {
+        description: 'Someone subscribed to the newsletter',
+        roles: ['pastor', 'editor'],
+        defaultRoles: ['pastor'],
+        subject: 'New newsletter subscriber: {{email}}',
+        text: [
+            '{{email}} confirmed their newsletter subscription from the blog.',
+            'There are now {{total}} subscribers.'
+        ]
+    },
+    'newsletter.confirm': {
+        description: 'Confirm a newsletter subscription',
+        subject: 'Please confirm your subscription',
+        text: [
+            'Thanks for signing up for weekly updates from Anointed Worship Center!',
+            'Please confirm your email address by opening this link within {{hours}} hours: {{confirmUrl}}',
+            'If you didn\'t sign up, just ignore this email and you won\'t hear from us.'
+        ]
+    }
+};
+
+// Events a user with this role can subscribe to
+function eventsForRole(role) {
+    return Object.keys(EVENTS).filter(event => (EVENTS[event].roles || []).includes(role));
+}
+
+function fill(template, data, escape = value => value) {
+    return template.replace(/\{\{(\w+)\}\}/g, (_, key) => escape(data[key] === undefined || data[key] === null ? '' : data[key]));
+}
+
+// { subject, text, html } for an event; each template line is a paragraph
+function render(event, data) {
+    const template = EVENTS[event];
+    const values = { siteUrl: settings.siteUrl, ...data };
+    return {
+        subject: fill(template.subject, values).replace(/\s+/g, ' ').trim(),
+        text: template.text.map(line => fill(line, values)).join('\n\n'),
+        html: template.text.map(line => `<p>${fill(escapeHtml(line), values, escapeHtml)}</p>`).join('\n')
+    };
+}
+
+// Minutes before the next try after `attempts` failures
+function retryDelayMinutes(attempts) {
+    return Math.min(60, 2 ** attempts);
+}
+
+function createNotifier(storage, { transport = mail.createTransport() } = {}) {
+    let processing = null;
+    let rerun = false;
+    let timer = null;
+
+    async function recipientsFor(event, to) {
+        if (to) return [to];
+        const { roles, defaultRoles = [] } = EVENTS[event];
+        if (!roles) return [];
+        const users = await storage.notifications.subscribers(event, roles, defaultRoles);
+        return users.map(user => user.email);
+    }
+
+    async function sendDue() {
+        const due = await storage.notifications.listDue(storage.clock.now().toISOString());
+        for (const message of due) {
+            try {
+                await transport.send({ to: message.recipient, subject: message.subject, text: message.text, html: message.html });
+                await storage.notifications.markSent(message.id);
+                logger.info(`📧 Sent ${message.event} notification ${message.id} via ${transport.name}`);
+            } catch (error) {
+                const attempts = message.attempts + 1;
+                const retryAt = attempts < settings.maxAttempts
+                    ? new Date(storage.clock.now().getTime() + retryDelayMinutes(attempts) * 60 * 1000).toISOString()
+                    : null;
+                await storage.notifications.markFailed(message.id, error.message || error, retryAt);
+                logger.warn(`❌ Notification ${message.id} failed (attempt ${attempts}/${settings.maxAttempts})`, { error });
+            }
+        }
+        return due.length;
+    }
+
+    return {
+        transport,
+
+        // Queue an event's message for its subscribers (or just `to`); never
+        // throws, so a mail problem can't fail the request that caused it
+        async notify(event, data, { to } = {}) {
+            try {
+                const recipients = await recipientsFor(event, to);
+                const message = render(event, data);
+                return await this.queue(event, recipients.map(recipient => ({ recipient, ...message })));
+            } catch (error) {
+                logger.error(`❌ Error queueing ${event} notification`, { error });
+                return 0;
+            }
+        },
+
+        // Queue already-rendered { recipient, subject, text, html } messages and
+        // start sending; resolves with how many were queued
+        async queue(event, messages) {
+            for (const message of messages) {
+                await storage.notifications.enqueue({ event, ...message });
+            }
+            if (messages.length) {
+                logger.info(`📬 Queued ${event} notification for ${messages.length} recipient(s)`);
+                this.processQueue();
+            }
+            return messages.length;
+        },
+
+        // Send everything that's due. Calls during a run share it, and it goes
+        // round again so messages queued meanwhile aren't left for the timer.
+        processQueue() {
+            if (processing) {
+                rerun = true;
+                return processing;
+            }
+            processing = (async () => {
+                do {
+                    rerun = false;
+                    await sendDue();
+                } while (rerun);
+            })()
+                .catch(error => logger.error('❌ Error processing notification queue', { error }))
+                .finally(() => { processing = null; });
+            return processing;
+        },
+
+        start() {
+            timer = setInterval(() => this.processQueue(), settings.queueIntervalSeconds * 1000);
+            timer.unref();
+            return this.processQueue();
+        },
+
+        stop() {
+            clearInterval(timer);
+            return processing || Promise.resolve();
+        }
+    };
+}
+
+module.exports = {
+    EVENTS,
+    settings,
+    eventsForRole,
+    render,
+    retryDelayMinutes,
+    createNotifier
+};
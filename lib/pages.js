@@ -0,0 +1,167 @@
+// Server-rendered post pages, the sitemap and robots.txt
+//
+// /posts/:slug fills views/post.html from a post row: {{key}} is escaped,
+// {{{key}}} goes in as it is (the post's HTML, already cut down by
+// lib/sanitize on write, and markup built here). Links in the meta tags,
+// sitemap and JSON-LD are absolute, from SITE_URL.
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./search');
+const { plainText, isSafeUrl } = require('./sanitize');
+const { CATEGORIES, STANDALONE_POSTS, postPath } = require('./posts');
+const { config } = require('./config');
+
+const SITE_NAME = 'Anointed Worship Center';
+const DESCRIPTION_LENGTH = 160;
+const POST_TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'views', 'post.html'), 'utf8');
+
+// Pages that aren't posts but belong in the sitemap
+const STATIC_PAGES = ['/awc-blog.html', ...STANDALONE_POSTS.map(slug => `/${slug}.html`)];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+// {{{key}}} inserts data[key] as-is, {{key}} HTML-escaped. One pass, so text
+// that was filled in (a post body saying "{{title}}") is never filled again.
+function fill(template, data) {
+    const value = key => (data[key] === undefined || data[key] === null ? '' : String(data[key]));
+    return template.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (_, raw, escaped) => (
+        raw ? value(raw) : escapeHtml(value(escaped))
+    ));
+}
+
+function absoluteUrl(value, siteUrl = config.siteUrl) {
+    return value.startsWith('/') ? siteUrl + value : value;
+}
+
+// The words of some post HTML, for descriptions - entities decoded, whitespace collapsed
+function textOf(html) {
+    return plainText(String(html || '').replace(/<\/(p|h\d|li|blockquote|div)>|<br\s*\/?>/gi, ' '))
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => ENTITIES[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// The excerpt, or the start of the post cut at a word
+function describe(post) {
+    const text = textOf(post.excerpt) || textOf(post.content);
+    if (text.length <= DESCRIPTION_LENGTH) return text;
+    const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+// JSON inside <script>: "</script>" (or any tag) can't end it early
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function modifiedTime(post) {
+    return post.updated_at > post.published_at ? post.updated_at : post.published_at;
+}
+
+// The full HTML page for a published post
+function renderPost(post, { siteUrl = config.siteUrl } = {}) {
+    const url = siteUrl + postPath(post);
+    const description = describe(post);
+    const categoryLabel = post.categoryLabel || CATEGORIES[post.category] || post.category;
+    const image = post.image && isSafeUrl(post.image) ? absoluteUrl(post.image, siteUrl) : null;
+    const published = new Date(post.published_at);
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description,
+        url,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+        datePublished: post.published_at,
+        dateModified: modifiedTime(post),
+        articleSection: categoryLabel,
+        author: { '@type': 'Person', name: post.author },
+        publisher: { '@type': 'Organization', name: SITE_NAME, url: siteUrl },
+        ...(image ? { image: [image] } : {})
+    };
+
+    const imageMeta = image ? [
+        `    <meta property="og:image" content="${escapeHtml(image)}">`,
+        `    <meta name="twitter:image" content="${escapeHtml(image)}">`
+    ].join('\n') : '';
+    const heroImage = image
+        ? `                    <img src="${escapeHtml(image)}" alt="" class="absolute inset-0 w-full h-full object-cover">`
+        : '';
+
+    return fill(POST_TEMPLATE, {
+        id: post.id,
+        title: post.title,
+        author: post.author,
+        description,
+        url,
+        siteUrl,
+        category: post.category,
+        categoryLabel,
+        publishedTime: post.published_at,
+        modifiedTime: modifiedTime(post),
+        displayDate: published.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }),
+        readTime: post.readTime ? ` • ${post.readTime}` : '',
+        twitterCard: image ? 'summary_large_image' : 'summary',
+        imageMeta,
+        heroImage,
+        jsonLd: scriptJson(jsonLd),
+        content: post.content || ''
+    });
+}
+
+// A plain page for posts that don't exist or aren't out yet
+function renderNotFound() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Post not found - AWC Blog</title>
+</head>
+<body style="font-family: sans-serif; background: #0f172a; color: #f8fafc; text-align: center; padding: 6rem 1.5rem;">
+    <h1>Post not found</h1>
+    <p>This post may have moved or isn't published yet.</p>
+    <p><a href="/awc-blog.html" style="color: #fbbf24;">Back to the blog</a></p>
+</body>
+</html>
+`;
+}
+
+// posts come from storage.posts.listPublished()
+function renderSitemap(posts, { siteUrl = config.siteUrl } = {}) {
+    const newest = posts.length ? posts.map(modifiedTime).sort().pop() : null;
+    const urls = [
+        ...STATIC_PAGES.map(page => ({ loc: siteUrl + page, lastmod: page === '/awc-blog.html' ? newest : null })),
+        ...posts.map(post => ({ loc: siteUrl + postPath(post), lastmod: modifiedTime(post) }))
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(({ loc, lastmod }) => `  <url>
+    <loc>${escapeHtml(loc)}</loc>${lastmod ? `\n    <lastmod>${escapeHtml(lastmod)}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots({ siteUrl = config.siteUrl } = {}) {
+    return [
+        'User-agent: *',
+        'Disallow: /api/',
+        '',
+        `Sitemap: ${siteUrl}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    STATIC_PAGES,
+    describe,
+    renderPost,
+    renderNotFound,
+    renderSitemap,
+    renderRobots
+};
@@ -0,0 +1,136 @@
+// Blog post helpers shared by the posts API and the posts.json import
+
+const { LIMITS, plainText, postHtml, isSafeUrl } = require('./sanitize');
+
+const CATEGORIES = {
+    teaching: 'Bible Teaching',
+    testimony: 'Testimony',
+    community: 'Community',
+    spiritual: 'Spiritual Growth',
+    ministry: 'Ministry'
+};
+
+const STATUSES = ['draft', 'published'];
+
+// How each text field is cleaned before it's stored
+const CLEANERS = { title: plainText, author: plainText, excerpt: plainText, readTime: plainText, content: postHtml };
+const FIELD_LIMITS = {
+    title: LIMITS.title,
+    author: LIMITS.name,
+    content: LIMITS.postContent,
+    excerpt: LIMITS.excerpt,
+    readTime: LIMITS.readTime
+};
+
+// Hand-built article pages with their own HTML files rather than a row in the
+// posts table; they still get comments, likes and views under these IDs
+const STANDALONE_POSTS = ['ministry-teams-post', 'prayer-leadership-post'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+// What slugify() produces; post ids and slugs end up in URLs and page markup
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function isSlug(value) {
+    return typeof value === 'string' && value.length <= 80 && SLUG_PATTERN.test(value);
+}
+
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+// "June 18, 2025" (the old posts.json format) -> "2025-06-18T00:00:00.000Z"
+function parseDisplayDate(text) {
+    const match = String(text || '').trim().match(/^([a-z]+)\s+(\d{1,2}),?\s+(\d{4})$/i);
+    if (!match) return null;
+
+    const month = MONTHS.indexOf(match[1].toLowerCase());
+    if (month === -1) return null;
+
+    return new Date(Date.UTC(Number(match[3]), month, Number(match[2]))).toISOString();
+}
+
+function estimateReadTime(html) {
+    const words = String(html || '').replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+    return `${Math.max(1, Math.round(words / 200))} min read`;
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Validate a create (partial = false) or update (partial = true) payload.
+// Returns an error message or null.
+function validatePost(body, { partial = false } = {}) {
+    const has = (field) => body[field] !== undefined;
+
+    for (const field of ['title', 'author', 'content']) {
+        if ((!partial || has(field)) && (typeof body[field] !== 'string' || CLEANERS[field](body[field]) === '')) {
+            return `Post ${field} required`;
+        }
+    }
+    for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+        if (!has(field) || body[field] === null) continue;
+        if (typeof body[field] !== 'string') return `Post ${field} must be text`;
+        if (body[field].length > max) return `Post ${field} must be less than ${max} characters`;
+    }
+    if (has('image') && body.image !== null && body.image !== '' && !isSafeUrl(body.image)) {
+        return 'Image must be an http(s) URL or a path on this site';
+    }
+    // null or '' leaves the post without a category
+    if (has('category') && body.category !== null && body.category !== ''
+        && !Object.prototype.hasOwnProperty.call(CATEGORIES, body.category)) {
+        return `Category must be one of: ${Object.keys(CATEGORIES).join(', ')}`;
+    }
+    if (has('status') && !STATUSES.includes(body.status)) {
+        return `Status must be one of: ${STATUSES.join(', ')}`;
+    }
+    if (has('published_at') && body.published_at !== null && !isValidDate(body.published_at)) {
+        return 'published_at must be an ISO 8601 date';
+    }
+    if (has('slug') && slugify(body.slug) === '') {
+        return 'Slug must contain letters or numbers';
+    }
+    return null;
+}
+
+// The text fields of a create/update payload, cleaned for storage: content is
+// cut down to the allowed HTML, the rest become plain text. Only fields that
+// were sent are included; excerpt, image and readTime may be cleared with null.
+function cleanPostFields(body) {
+    const fields = {};
+    for (const [field, clean] of Object.entries(CLEANERS)) {
+        if (typeof body[field] === 'string') fields[field] = clean(body[field]);
+    }
+    if (typeof body.image === 'string') fields.image = body.image.trim();
+    for (const field of ['excerpt', 'image', 'readTime']) {
+        if (body[field] === null || fields[field] === '') fields[field] = null;
+    }
+    return fields;
+}
+
+// Where a post is read on the site, relative to its root (see lib/pages)
+function postPath(post) {
+    return `/posts/${encodeURIComponent(post.slug || post.id)}`;
+}
+
+module.exports = {
+    CATEGORIES,
+    STATUSES,
+    STANDALONE_POSTS,
+    isSlug,
+    slugify,
+    parseDisplayDate,
+    estimateReadTime,
+    validatePost,
+    cleanPostFields,
+    postPath
+};
@@ -0,0 +1,71 @@
+// Prayer request privacy: who can see a prayer, and when it leaves the wall
+//
+//   public       - anyone
+//   members      - anyone signed in
+//   prayer_team  - the prayer team, moderators and the pastor
+//
+// Prayers are archived (off the wall, kept for the team) PRAYER_ARCHIVE_DAYS
+// after they're posted; 0 turns automatic archiving off.
+
+const { hasRole, isValidEmail } = require('../auth');
+const { config } = require('./config');
+const { LIMITS, plainText } = require('./sanitize');
+
+const VISIBILITIES = ['public', 'members', 'prayer_team'];
+const PRAYER_TEAM = ['pastor', 'moderator', 'prayer_team'];
+const MAX_REQUEST_LENGTH = LIMITS.request;
+
+const ARCHIVE_DAYS = config.prayers.archiveDays;
+
+// Visibility levels the given user (or an anonymous visitor) may see
+function visibleTo(user) {
+    if (hasRole(user, ...PRAYER_TEAM)) return VISIBILITIES;
+    if (user) return ['public', 'members'];
+    return ['public'];
+}
+
+// Archived prayers stay visible to the prayer team only
+function canView(user, prayer) {
+    if (prayer.archived_at && !hasRole(user, ...PRAYER_TEAM)) return false;
+    return visibleTo(user).includes(prayer.visibility);
+}
+
+// Posted before this (now being the storage clock's time) are due for
+// archiving; null when archiving is off
+function archiveCutoff(now) {
+    if (ARCHIVE_DAYS === 0) return null;
+    return new Date(now.getTime() - ARCHIVE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// The submitter's private link for changing or deleting their prayer without an account:
+// public/manage-prayer.html, which calls /api/prayers/:id/manage with the token.
+// The token is an edit token from lib/comments, shown once and stored hashed.
+function manageUrl(prayerId, token) {
+    return `/manage-prayer.html?id=${prayerId}&token=${token}`;
+}
+
+// Returns an error message or null
+function validatePrayer({ request, name, visibility, email }) {
+    if (typeof request !== 'string' || plainText(request) === '') return 'Prayer request required';
+    if (request.length > MAX_REQUEST_LENGTH) return `Prayer request must be less than ${MAX_REQUEST_LENGTH} characters`;
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > LIMITS.name)) {
+        return `Name must be less than ${LIMITS.name} characters`;
+    }
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        return `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+    }
+    if (email && !isValidEmail(email)) return 'Email address is not valid';
+    return null;
+}
+
+module.exports = {
+    VISIBILITIES,
+    PRAYER_TEAM,
+    ARCHIVE_DAYS,
+    MAX_REQUEST_LENGTH,
+    visibleTo,
+    canView,
+    archiveCutoff,
+    manageUrl,
+    validatePrayer
+};
@@ -0,0 +1,145 @@
+// In-process rate limiting for the public write endpoints.
+//
+// Each limit counts requests per IP address and, when the browser sends an
+// X-Visitor-Id header, per visitor as well; a request is refused as soon as
+// either count is over. Counters live in memory, so they reset on restart and
+// are per-process - fine for the single instance we run.
+//
+// Override a limit with RATE_LIMIT_<NAME>=<max>/<window seconds>,
+// e.g. RATE_LIMIT_PRAYER=10/600 (see lib/config).
+//
+// The X-Visitor-Id header is the browser's own choice, so it can't be all
+// that separates one like, heart or view from the next: the `visitors` limit
+// caps how many different IDs one IP address may use in its window, and past
+// that the address's requests all count as a single visitor (see visitorHash).
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const { systemClock } = require('./clock');
+
+const VISITOR_HEADER = 'X-Visitor-Id';
+
+// DEFAULT_RATE_LIMITS in lib/config, with any RATE_LIMIT_<NAME> overrides
+const limits = config.rateLimits;
+
+// name -> Map(key -> { count, resetAt })
+const counters = new Map();
+
+// IP -> Map(visitor ID -> expires at), for the visitors limit
+const visitorsByIp = new Map();
+
+// Visitor IDs are random strings the front end keeps in localStorage
+function visitorId(req) {
+    const id = req.get(VISITOR_HEADER);
+    return id && /^[A-Za-z0-9_-]{8,64}$/.test(id) ? id : null;
+}
+
+// Whether this IP may count id as a visitor of its own: it already has, or
+// it's still under the visitors limit
+function isKnownVisitor(ip, id, now) {
+    const { max, windowSeconds } = limits.visitors;
+    if (!visitorsByIp.has(ip)) visitorsByIp.set(ip, new Map());
+    const seen = visitorsByIp.get(ip);
+    for (const [key, expiresAt] of seen) {
+        if (expiresAt <= now) seen.delete(key);
+    }
+
+    if (!seen.has(id) && seen.size >= max) return false;
+    seen.set(id, now + windowSeconds * 1000);
+    return true;
+}
+
+// Stable, non-reversible key for "this visitor" when deduplicating likes,
+// hearts and views - the visitor ID when sent (and the IP hasn't used too
+// many), otherwise the IP. clock is the app's (see lib/clock).
+function visitorHash(req, { clock = systemClock } = {}) {
+    const id = visitorId(req);
+    const key = id && isKnownVisitor(req.ip, id, clock.now().getTime()) ? `visitor:${id}` : `ip:${req.ip}`;
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hit(name, key, windowMs, now) {
+    if (!counters.has(name)) counters.set(name, new Map());
+    const bucket = counters.get(name);
+
+    let entry = bucket.get(key);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        bucket.set(key, entry);
+    }
+    entry.count++;
+    return entry;
+}
+
+// Middleware enforcing the named limit, with windows timed by clock; responds
+// 429 with Retry-After when exceeded
+function rateLimit(name, { clock = systemClock } = {}) {
+    const { max, windowSeconds } = limits[name];
+    const windowMs = windowSeconds * 1000;
+
+    return (req, res, next) => {
+        const now = clock.now().getTime();
+        sweepIfDue(now);
+        const keys = [`ip:${req.ip}`];
+        const id = visitorId(req);
+        if (id) keys.push(`visitor:${id}`);
+
+        const entries = keys.map(key => hit(name, key, windowMs, now));
+        const worst = entries.reduce((a, b) => (b.count > a.count ? b : a));
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - worst.count)));
+        res.set('RateLimit-Reset', String(Math.ceil((worst.resetAt - now) / 1000)));
+
+        if (worst.count > max) {
+            const retryAfter = Math.ceil((worst.resetAt - now) / 1000);
+            req.log.info(`🚦 Rate limit "${name}" hit on ${req.method} ${req.originalUrl.split('?')[0]}`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests, please try again later',
+                retryAfter
+            });
+        }
+        next();
+    };
+}
+
+// Drop expired counters so memory doesn't grow with every IP we've ever seen
+function sweep(now) {
+    for (const bucket of counters.values()) {
+        for (const [key, entry] of bucket) {
+            if (entry.resetAt <= now) bucket.delete(key);
+        }
+    }
+    for (const [ip, seen] of visitorsByIp) {
+        for (const [id, expiresAt] of seen) {
+            if (expiresAt <= now) seen.delete(id);
+        }
+        if (!seen.size) visitorsByIp.delete(ip);
+    }
+}
+
+// Sweep once a minute as requests come in, by the clock that times their windows
+let lastSweep = 0;
+
+function sweepIfDue(now) {
+    if (Math.abs(now - lastSweep) < 60 * 1000) return;
+    lastSweep = now;
+    sweep(now);
+}
+
+function resetRateLimits() {
+    counters.clear();
+    visitorsByIp.clear();
+    lastSweep = 0;
+}
+
+module.exports = {
+    VISITOR_HEADER,
+    limits,
+    rateLimit,
+    visitorId,
+    visitorHash,
+    resetRateLimits
+};
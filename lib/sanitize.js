@@ -0,0 +1,99 @@
+// Cleaning for everything written through the API
+//
+// Community submissions - prayers, comments, testimonies and the names on
+// them - are plain text: plainText() removes any HTML tags on write, so the
+// pages can show them without running anything. Characters like < and & are
+// kept as typed, because feeds, emails and search escape on output.
+// Post content comes from the editor as HTML and is cut down by postHtml() to
+// the tags and attributes the editor produces.
+//
+// LIMITS are the longest each kind of field may be (in characters), checked
+// by the validators in lib/posts, lib/prayers, lib/comments, lib/testimonials
+// and auth.
+
+const sanitizeHtml = require('sanitize-html');
+
+const LIMITS = {
+    name: 100,
+    email: 254,
+    title: 200,
+    excerpt: 500,
+    readTime: 30,
+    url: 2000,
+    fileName: 255,
+    request: 2000,
+    comment: 2000,
+    testimony: 2000,
+    note: 1000,
+    postContent: 200 * 1000
+};
+
+// What the post editor (Quill) produces, plus a few block elements older posts use
+const POST_HTML = {
+    allowedTags: [
+        'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'span', 'div',
+        'blockquote', 'pre', 'code', 'ul', 'ol', 'li',
+        'a', 'img', 'figure', 'figcaption',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+        '*': ['class']
+    },
+    // Only the editor's own classes - the site's utility classes could restyle the whole page
+    allowedClasses: { '*': ['ql-*'] },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowProtocolRelative: false,
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: attribs.target ? { ...attribs, target: '_blank', rel: 'noopener noreferrer' } : attribs
+        })
+    }
+};
+
+// Elements whose contents are code or markup, not text
+const HIDDEN_ELEMENTS = /<(script|style|iframe|noscript|template|textarea|title|xmp)\b[\s\S]*?(<\/\1\s*>|$)/gi;
+// A tag, comment or declaration - including one left unclosed at the end
+const TAG = /<(!--[\s\S]*?(--\s*>|$)|[a-z/!?][^>]*(>|$))/gi;
+// Control characters other than tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+
+// User text with every HTML tag removed, trimmed; "I <3 Sundays" survives
+function plainText(value) {
+    let text = String(value === null || value === undefined ? '' : value)
+        .replace(/\r\n?/g, '\n')
+        .replace(CONTROL_CHARS, '');
+
+    // Removing one tag can join the pieces of another ("<<b>script>")
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(HIDDEN_ELEMENTS, '').replace(TAG, '');
+    } while (text !== previous);
+
+    return text.trim();
+}
+
+// Post HTML reduced to POST_HTML
+function postHtml(html) {
+    return sanitizeHtml(String(html === null || html === undefined ? '' : html), POST_HTML).trim();
+}
+
+// An http(s) URL or a path on this site, safe to put in a src/href attribute
+function isSafeUrl(value) {
+    return typeof value === 'string' &&
+        value.length <= LIMITS.url &&
+        /^(https?:\/\/[^\s"'<>`]+|\/(?!\/)[^\s"'<>`]*)$/i.test(value);
+}
+
+module.exports = {
+    LIMITS,
+    POST_HTML,
+    plainText,
+    postHtml,
+    isSafeUrl
+};
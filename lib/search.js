@@ -0,0 +1,67 @@
+// Full-text search helpers: turning stored HTML into indexable text and
+// visitor input into a safe FTS5 query
+
+const DOC_TYPES = ['post', 'testimonial', 'prayer'];
+const MAX_QUERY_TERMS = 10;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', '#39': '\'' };
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&([a-z0-9#]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+}
+
+// Post content is HTML; only the visible text is worth searching
+function stripHtml(html) {
+    const text = String(html || '')
+        .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<[^>]+>/g, ' ');
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// The index holds plain text. FTS5 wraps matches in these control
+// characters, which can't appear in indexed text (see indexText), and
+// highlightHtml() turns them into <mark> once the rest is escaped.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+function indexText(text) {
+    return String(text || '').replace(/[\u0002\u0003]/g, ' ');
+}
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A title or snippet from search() as HTML whose only markup is <mark>
+function highlightHtml(text) {
+    return escapeHtml(text).split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>');
+}
+
+// Visitor input -> FTS5 MATCH expression, or null if there's nothing to search for.
+// Every word is quoted (so FTS5 operators and column filters are just text) and
+// all must match; the last one is a prefix so results appear while typing.
+function toMatchQuery(input) {
+    const terms = (String(input || '').match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) return null;
+    return terms.map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`).join(' ');
+}
+
+module.exports = {
+    DOC_TYPES,
+    MATCH_START,
+    MATCH_END,
+    stripHtml,
+    indexText,
+    escapeHtml,
+    highlightHtml,
+    toMatchQuery
+};
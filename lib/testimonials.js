@@ -0,0 +1,224 @@
+// Testimonial submission windows and the review workflow
+//
+// Testimonies are collected during set hours each week, in the church's own
+// timezone regardless of where the server runs. lib/config reads and checks
+// the settings:
+//   TESTIMONIAL_TIMEZONE       IANA zone, e.g. America/Chicago - required in
+//                              production, UTC elsewhere when unset
+//   TESTIMONIAL_WINDOWS        comma-separated "<day> HH:MM-<day> HH:MM" ranges, end exclusive;
+//                              24:00 means the end of that day. Default: tue 12:00-fri 24:00
+//   TESTIMONIAL_BLACKOUT_DATES comma-separated YYYY-MM-DD dates or YYYY-MM-DD..YYYY-MM-DD
+//                              ranges (local dates) when submissions stay closed all day
+
+const { LIMITS, plainText } = require('./sanitize');
+const { config } = require('./config');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next opening - blackouts can close a lot of weeks
+const LOOKAHEAD_DAYS = 400;
+
+// Windows are { start, end } minutes of the week, blackouts [from, to] local dates
+const settings = {
+    timezone: config.testimonials.timezone,
+    windows: config.testimonials.windows,
+    blackouts: config.testimonials.blackouts
+};
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+// Wall-clock date and time in the church's timezone
+function localParts(ms) {
+    const parts = Object.fromEntries(partsFormat.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    return {
+        year,
+        month,
+        day,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// Milliseconds the zone is ahead of UTC at that instant
+function zoneOffset(ms) {
+    const p = localParts(ms);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Local date (UTC midnight of it, as ms) plus minutes into the day -> instant
+function localToInstant(dateMs, minutes) {
+    const wallClock = dateMs + minutes * 60 * 1000;
+    const guess = wallClock - zoneOffset(wallClock);
+    return wallClock - zoneOffset(guess);
+}
+
+function inWeeklyWindow(minuteOfWeek) {
+    return settings.windows.some(({ start, end }) =>
+        start <= end ? minuteOfWeek >= start && minuteOfWeek < end : minuteOfWeek >= start || minuteOfWeek < end
+    );
+}
+
+function isBlackedOut(date) {
+    return settings.blackouts.some(([from, to]) => date >= from && date <= to);
+}
+
+function isOpenAt(ms) {
+    const p = localParts(ms);
+    return !isBlackedOut(p.date) && inWeeklyWindow(p.weekday * MINUTES_PER_DAY + p.hour * 60 + p.minute);
+}
+
+// Every instant where the open/closed state could change: window edges and
+// local midnights (blackouts), from a week back to LOOKAHEAD_DAYS ahead
+function boundaries(now) {
+    const today = localParts(now);
+    const todayMs = Date.UTC(today.year, today.month - 1, today.day);
+    const instants = [];
+
+    for (let offset = -7; offset <= LOOKAHEAD_DAYS; offset++) {
+        const dateMs = todayMs + offset * DAY_MS;
+        const weekday = new Date(dateMs).getUTCDay();
+        const minutes = new Set([0]);
+        for (const { start, end } of settings.windows) {
+            for (const edge of [start, end % MINUTES_PER_WEEK]) {
+                if (Math.floor(edge / MINUTES_PER_DAY) === weekday) minutes.add(edge % MINUTES_PER_DAY);
+            }
+        }
+        for (const minute of minutes) instants.push(localToInstant(dateMs, minute));
+    }
+    return instants.sort((a, b) => a - b);
+}
+
+// { open, opensAt, closesAt } for the window we're in, or the next one when
+// closed. Times are ISO strings; null when nothing opens within the lookahead.
+function submissionWindow(now = Date.now()) {
+    const nowMs = new Date(now).getTime();
+    const edges = boundaries(nowMs);
+    const open = isOpenAt(nowMs);
+    const changesAt = (from, wantOpen) => edges.find(ms => ms > from && isOpenAt(ms) === wantOpen);
+    const iso = ms => (ms === undefined ? null : new Date(ms).toISOString());
+
+    if (open) {
+        const opensAt = [...edges].reverse().find(ms => ms <= nowMs && isOpenAt(ms) && !isOpenAt(ms - 1));
+        return { open, opensAt: iso(opensAt), closesAt: iso(changesAt(nowMs, false)) };
+    }
+
+    const opensAt = changesAt(nowMs, true);
+    return {
+        open,
+        opensAt: iso(opensAt),
+        closesAt: opensAt === undefined ? null : iso(changesAt(opensAt, false))
+    };
+}
+
+function isSubmissionOpen(now = Date.now()) {
+    return isOpenAt(new Date(now).getTime());
+}
+
+function formatMinuteOfWeek(minuteOfWeek) {
+    const day = Math.floor(minuteOfWeek / MINUTES_PER_DAY) % 7;
+    const minutes = minuteOfWeek % MINUTES_PER_DAY;
+    const time = new Date(Date.UTC(2000, 0, 1, 0, minutes)).toLocaleTimeString('en-US', {
+        timeZone: 'UTC', hour: 'numeric', minute: '2-digit'
+    });
+    return `${DAY_NAMES[day]} ${time}`;
+}
+
+// "Tuesday 12:00 PM - Saturday 12:00 AM" for each configured window
+function describeWindows() {
+    return settings.windows.map(({ start, end }) => `${formatMinuteOfWeek(start)} - ${formatMinuteOfWeek(end)}`);
+}
+
+// "Tuesday, October 21 at 12:00 PM CDT" in the church's timezone
+function formatLocalTime(iso) {
+    const date = new Date(iso);
+    const day = date.toLocaleDateString('en-US', { timeZone: settings.timezone, weekday: 'long', month: 'long', day: 'numeric' });
+    const time = date.toLocaleTimeString('en-US', { timeZone: settings.timezone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+    return `${day} at ${time}`;
+}
+
+// "open until ..." / "closed, the next window opens ..." for the status endpoint and the 403
+function statusMessage({ open, opensAt, closesAt }) {
+    if (open) {
+        return closesAt
+            ? `Testimonial submission is open until ${formatLocalTime(closesAt)}.`
+            : 'Testimonial submission is open.';
+    }
+    if (!opensAt) return 'Testimonial submission is currently closed.';
+    return `Testimonial submission is currently closed. The next window opens ${formatLocalTime(opensAt)}` +
+        (closesAt ? ` and closes ${formatLocalTime(closesAt)}.` : '.');
+}
+
+// ----- Review workflow -----
+
+const MAX_TESTIMONY_LENGTH = LIMITS.testimony;
+const REVIEW_STATUSES = ['pending', 'approved', 'changes_requested', 'rejected'];
+
+// URL action -> the statuses it may be taken from, where it leads and whether
+// the pastor has to say why (the note is shown to the submitter)
+const REVIEW_ACTIONS = {
+    approve: { from: ['pending', 'changes_requested', 'rejected'], to: 'approved', noteRequired: false },
+    reject: { from: ['pending', 'changes_requested', 'approved'], to: 'rejected', noteRequired: true },
+    'request-changes': { from: ['pending', 'approved'], to: 'changes_requested', noteRequired: true },
+    unapprove: { from: ['approved'], to: 'pending', noteRequired: false }
+};
+
+// Returns an error message or null
+function validateTestimony({ testimony, name, anonymous }) {
+    if (typeof testimony !== 'string' || plainText(testimony) === '') return 'Testimony content required';
+    if (testimony.length > MAX_TESTIMONY_LENGTH) return `Testimony must be less than ${MAX_TESTIMONY_LENGTH} characters`;
+    if (!anonymous && (typeof name !== 'string' || plainText(name) === '')) return 'Name required when not submitting anonymously';
+    if (typeof name === 'string' && name.length > LIMITS.name) return `Name must be less than ${LIMITS.name} characters`;
+    return null;
+}
+
+// The pastor's note to the submitter; returns an error message or null
+function validateReviewNote(note) {
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > LIMITS.note)) {
+        return `Note must be less than ${LIMITS.note} characters`;
+    }
+    return null;
+}
+
+// Service dates are YYYY-MM-DD Sundays; returns an error message or null.
+// A calendar date has the same weekday in every zone, so it's read as UTC;
+// the round trip turns away dates like 2026-02-30 that Date rolls over.
+function validateServiceDate(date) {
+    const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+    if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) {
+        return 'Service date must be a YYYY-MM-DD date';
+    }
+    if (day.getUTCDay() !== 0) return 'Service date must be a Sunday';
+    return null;
+}
+
+module.exports = {
+    MAX_TESTIMONY_LENGTH,
+    REVIEW_STATUSES,
+    REVIEW_ACTIONS,
+    validateTestimony,
+    validateReviewNote,
+    validateServiceDate,
+    settings,
+    isSubmissionOpen,
+    submissionWindow,
+    describeWindows,
+    formatLocalTime,
+    statusMessage
+};
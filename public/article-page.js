@@ -0,0 +1,332 @@
+// Likes, views, comments and sharing for the hand-built article pages
+// (ministry-teams-post.html, prayer-leadership-post.html). What differs
+// between them is on <body>: data-post-id, data-share-title, data-share-text,
+// data-tweet, data-empty-comments and data-progress-color.
+
+(function () {
+    // API Configuration - served by the API as /config.js
+    const API_BASE_URL = (window.AWC_CONFIG && window.AWC_CONFIG.apiBaseUrl) || '/api';
+    const PAGE = document.body.dataset;
+    const POST_ID = PAGE.postId;
+
+    // Load comments when page loads
+    document.addEventListener('DOMContentLoaded', function() {
+        loadComments();
+        loadEngagement();
+    });
+
+    // Random per-browser ID so likes and views are counted once per visitor, not per IP
+    function visitorHeaders() {
+        let id = localStorage.getItem('visitorId');
+        if (!id) {
+            id = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('visitorId', id);
+        }
+        return { 'X-Visitor-Id': id };
+    }
+
+    // Record this view, then show the real like count
+    async function loadEngagement() {
+        try {
+            await fetch(`${API_BASE_URL}/posts/${POST_ID}/view`, { method: 'POST', headers: visitorHeaders() });
+            const response = await fetch(`${API_BASE_URL}/posts/${POST_ID}/engagement`, { headers: visitorHeaders() });
+            if (response.ok) renderLikes(await response.json());
+        } catch (error) {
+            console.log('API not available, like count not shown');
+        }
+    }
+
+    function renderLikes({ liked, likes }) {
+        const button = document.getElementById('likeButton');
+        const heartIcon = button.querySelector('.fa-heart');
+        heartIcon.classList.toggle('fas', liked);
+        heartIcon.classList.toggle('far', !liked);
+        button.classList.toggle('text-red-400', liked);
+        button.classList.toggle('text-gray-400', !liked);
+        button.dataset.liked = liked;
+        document.getElementById('likeCount').textContent = `${likes} Like${likes === 1 ? '' : 's'}`;
+    }
+
+    // Load comments from API
+    async function loadComments() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${POST_ID}/comments`);
+            if (response.ok) {
+                const data = await response.json();
+                renderComments(flattenThread(data.comments));
+            } else {
+                console.log('No comments found or API not available, using static comments');
+            }
+        } catch (error) {
+            console.log('API not available, using static comments');
+        }
+    }
+
+    // Flatten threaded comments into display order, noting each reply's depth
+    function flattenThread(comments, depth = 0) {
+        return comments.flatMap(comment => [{ ...comment, depth }, ...flattenThread(comment.replies || [], depth + 1)]);
+    }
+
+    // Comments are stored as plain text; escape them so they show as typed
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // API timestamps are ISO; locally stored fallback comments say "Just now"
+    function formatCommentDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    // Render comments
+    function renderComments(comments) {
+        const container = document.getElementById('commentsContainer');
+        const header = document.getElementById('commentsHeader');
+        
+        if (comments.length === 0) {
+            container.innerHTML = `<div class="text-gray-400 mb-4">${escapeHtml(PAGE.emptyComments)}</div>`;
+            header.textContent = 'Comments (0)';
+            return;
+        }
+
+        let html = '';
+        comments.forEach(comment => {
+            const initials = comment.author_name.split(' ').map(n => n[0]).join('').toUpperCase();
+            const colors = ['from-green-400 to-teal-500', 'from-purple-400 to-pink-500', 'from-blue-400 to-indigo-500', 'from-amber-400 to-orange-500', 'from-red-400 to-pink-500'];
+            const colorClass = colors[Math.floor(Math.random() * colors.length)];
+            
+            html += `
+                <div class="comment-item" style="margin-left: ${Math.min(comment.depth || 0, 3) * 2}rem">
+                    <div class="flex items-start space-x-4">
+                        <div class="w-10 h-10 bg-gradient-to-br ${colorClass} rounded-full flex items-center justify-center">
+                            <span class="text-white font-semibold text-sm">${escapeHtml(initials)}</span>
+                        </div>
+                        <div class="flex-1">
+                            <div class="flex items-center space-x-2 mb-2">
+                                <span class="font-semibold text-white">${escapeHtml(comment.author_name)}</span>
+                                <span class="text-gray-400 text-sm">${formatCommentDate(comment.created_at)}</span>
+                            </div>
+                            <p class="text-gray-300">${escapeHtml(comment.content)}</p>
+                        </div>
+                    </div>
+                </div>
+            `;
+        });
+        
+        container.innerHTML = html;
+        header.textContent = `Comments (${comments.length})`;
+    }
+
+    // Handle comment form submission
+    document.getElementById('commentForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const name = document.getElementById('commentName').value.trim();
+        const email = document.getElementById('commentEmail').value.trim();
+        const text = document.getElementById('commentText').value.trim();
+        
+        if (!name || !email || !text) {
+            alert('Please fill in all fields.');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${POST_ID}/comments`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    author_name: name,
+                    author_email: email,
+                    content: text,
+                    website: document.getElementById('commentWebsite').value
+                })
+            });
+            
+            if (response.ok) {
+                const saved = await response.json();
+
+                // Reset form
+                this.reset();
+                
+                // Reload comments
+                loadComments();
+                
+                // Show success message
+                const successMsg = document.createElement('div');
+                successMsg.className = 'text-green-400 text-sm mt-2';
+                successMsg.textContent = saved.comment.status === 'pending'
+                    ? 'Thanks! Your comment will appear once it has been reviewed.'
+                    : 'Comment posted successfully!';
+                this.appendChild(successMsg);
+                
+                setTimeout(() => successMsg.remove(), 3000);
+            } else {
+                const error = await response.json();
+                alert('Error posting comment: ' + error.error);
+            }
+        } catch (error) {
+            // Fallback to local storage if API not available
+            const comments = JSON.parse(localStorage.getItem(`comments_${POST_ID}`) || '[]');
+            const newComment = {
+                author_name: name,
+                content: text,
+                created_at: 'Just now'
+            };
+            comments.unshift(newComment);
+            localStorage.setItem(`comments_${POST_ID}`, JSON.stringify(comments));
+            
+            // Render updated comments
+            renderComments(comments);
+            
+            // Reset form
+            this.reset();
+            
+            // Show success message
+            const successMsg = document.createElement('div');
+            successMsg.className = 'text-green-400 text-sm mt-2';
+            successMsg.textContent = 'Comment posted successfully!';
+            this.appendChild(successMsg);
+            
+            setTimeout(() => successMsg.remove(), 3000);
+        }
+    });
+
+    // Like button functionality
+    document.getElementById('likeButton').addEventListener('click', async function() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${POST_ID}/like`, {
+                method: this.dataset.liked === 'true' ? 'DELETE' : 'POST',
+                headers: visitorHeaders()
+            });
+            if (response.ok) renderLikes(await response.json());
+        } catch (error) {
+            console.log('API not available, like not saved');
+        }
+    });
+
+    // Share functionality
+    const shareButton = document.querySelector('.fa-share')?.closest('button');
+    if (shareButton) {
+        shareButton.addEventListener('click', function() {
+            if (navigator.share) {
+                navigator.share({
+                    title: PAGE.shareTitle,
+                    text: PAGE.shareText,
+                    url: window.location.href
+                });
+            } else {
+                // Fallback: copy URL to clipboard
+                navigator.clipboard.writeText(window.location.href).then(() => {
+                    alert('Link copied to clipboard!');
+                });
+            }
+        });
+    }
+
+    // Bookmark functionality
+    const bookmarkButton = document.querySelector('.fa-bookmark')?.closest('button');
+    if (bookmarkButton) {
+        bookmarkButton.addEventListener('click', function() {
+            const bookmarkIcon = this.querySelector('.fa-bookmark');
+            const bookmarkText = this.querySelector('span');
+            
+            if (bookmarkIcon && bookmarkText) {
+                if (bookmarkIcon.classList.contains('fas')) {
+                    bookmarkIcon.classList.remove('fas');
+                    bookmarkIcon.classList.add('far');
+                    this.classList.remove('text-yellow-400');
+                    this.classList.add('text-gray-400');
+                    bookmarkText.textContent = 'Save';
+                } else {
+                    bookmarkIcon.classList.remove('far');
+                    bookmarkIcon.classList.add('fas');
+                    this.classList.remove('text-gray-400');
+                    this.classList.add('text-yellow-400');
+                    bookmarkText.textContent = 'Saved';
+                }
+            }
+        });
+    }
+
+    // Social media share buttons
+    const facebookButton = document.querySelector('.fab.fa-facebook-f');
+    if (facebookButton) {
+        facebookButton.addEventListener('click', function() {
+            const url = encodeURIComponent(window.location.href);
+            window.open(`https://www.facebook.com/sharer/sharer.php?u=${url}`, '_blank', 'width=600,height=400');
+        });
+    }
+
+    const twitterButton = document.querySelector('.fab.fa-twitter');
+    if (twitterButton) {
+        twitterButton.addEventListener('click', function() {
+            const url = encodeURIComponent(window.location.href);
+            const text = encodeURIComponent(PAGE.tweet);
+            window.open(`https://twitter.com/intent/tweet?text=${text}&url=${url}`, '_blank', 'width=600,height=400');
+        });
+    }
+
+    const instagramButton = document.querySelector('.fab.fa-instagram');
+    if (instagramButton) {
+        instagramButton.addEventListener('click', function() {
+            // Instagram doesn't support direct sharing, so copy URL
+            navigator.clipboard.writeText(window.location.href).then(() => {
+                alert('Link copied to clipboard! You can now paste it in your Instagram post or story.');
+            });
+        });
+    }
+
+    // Reading progress indicator
+    window.addEventListener('scroll', function() {
+        const article = document.querySelector('article');
+        const articleHeight = article.offsetHeight;
+        const articleTop = article.offsetTop;
+        const windowHeight = window.innerHeight;
+        const scrollTop = window.pageYOffset;
+        
+        const progress = Math.min(100, Math.max(0, 
+            ((scrollTop - articleTop + windowHeight) / articleHeight) * 100
+        ));
+        
+        // Create progress bar if it doesn't exist
+        let progressBar = document.querySelector('.reading-progress');
+        if (!progressBar) {
+            progressBar = document.createElement('div');
+            progressBar.className = 'reading-progress';
+            progressBar.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 0%;
+                height: 4px;
+                background: ${PAGE.progressColor};
+                z-index: 9999;
+                transition: width 0.1s ease;
+            `;
+            document.body.appendChild(progressBar);
+        }
+        
+        progressBar.style.width = progress + '%';
+    });
+
+    // Smooth scrolling for internal links
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', function (e) {
+            e.preventDefault();
+            const target = document.querySelector(this.getAttribute('href'));
+            if (target) {
+                target.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+            }
+        });
+    });
+})();
@@ -0,0 +1,472 @@
+// The blog listing page (awc-blog.html): posts, filters and pagination,
+// search, the quick-view modal with its comments, and the newsletter form.
+// Buttons say what they do with data-action (and data-filter, data-post-id or
+// data-page); one click listener below dispatches them.
+
+(function () {
+    // Global variables
+    let currentFilter = 'all';
+    let allPosts = [];
+    let currentPage = 1;
+    const postsPerPage = 5;
+    // API address and feature toggles from the server (see /config.js)
+    const SITE_CONFIG = window.AWC_CONFIG || { apiBaseUrl: '/api', features: {} };
+    const API_BASE_URL = SITE_CONFIG.apiBaseUrl;
+    const POSTS_API_URL = `${API_BASE_URL}/posts`;
+
+    // Random per-browser ID so likes and views are counted once per visitor, not per IP
+    function visitorHeaders() {
+        let id = localStorage.getItem('visitorId');
+        if (!id) {
+            id = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('visitorId', id);
+        }
+        return { 'X-Visitor-Id': id };
+    }
+
+    // Which posts this browser has liked, so the heart shows filled; the server has the real count
+    function likedPosts() {
+        return JSON.parse(localStorage.getItem('likedPosts') || '[]');
+    }
+
+    async function toggleLike(button, postId) {
+        const liked = likedPosts().includes(postId);
+        try {
+            const response = await fetch(`${POSTS_API_URL}/${encodeURIComponent(postId)}/like`, {
+                method: liked ? 'DELETE' : 'POST',
+                headers: visitorHeaders()
+            });
+            if (!response.ok) throw new Error('Failed to update like');
+            const result = await response.json();
+            const others = likedPosts().filter(id => id !== postId);
+            localStorage.setItem('likedPosts', JSON.stringify(result.liked ? [...others, postId] : others));
+            renderLikeButton(button, result.liked, result.likes);
+        } catch (e) {
+            console.log('Could not update like:', e.message);
+        }
+    }
+
+    function renderLikeButton(button, liked, likes) {
+        button.classList.toggle('text-red-400', liked);
+        button.classList.toggle('text-gray-400', !liked);
+        button.querySelector('.like-count').textContent = likes;
+    }
+
+    // Titles, names and comments are plain text; escape them so they show as typed
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Posts carry ISO publish dates; show them the way posts.json used to ("June 18, 2025")
+    function formatPostDate(post) {
+        if (!post.published_at) return '';
+        return new Date(post.published_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Search functionality
+    function openSearch() {
+        document.getElementById('searchOverlay').classList.add('active');
+        document.getElementById('searchInput').focus();
+    }
+
+    function closeSearch() {
+        document.getElementById('searchOverlay').classList.remove('active');
+    }
+
+    const SEARCH_API_URL = `${API_BASE_URL}/search`;
+    const SEARCH_TYPE_LABELS = { post: 'Article', testimonial: 'Testimony', prayer: 'Prayer Request' };
+    let searchTimer = null;
+    let latestSearch = 0;
+
+    // Titles and snippets arrive HTML-escaped with matches in <mark>, so they're inserted as-is
+    async function runSearch() {
+        const query = document.getElementById('searchInput').value.trim();
+        const container = document.getElementById('searchResults');
+        if (!query) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const searchId = ++latestSearch;
+        try {
+            const response = await fetch(`${SEARCH_API_URL}?q=${encodeURIComponent(query)}&limit=10`);
+            if (!response.ok) throw new Error('Search failed');
+            const { results } = await response.json();
+            if (searchId !== latestSearch) return; // a newer search is already on its way
+
+            if (results.length === 0) {
+                container.innerHTML = '<p class="text-gray-400 text-center">No results found.</p>';
+                return;
+            }
+            container.innerHTML = results.map(result => `
+                <div class="p-4 rounded-xl bg-white/5 ${result.type === 'post' ? 'cursor-pointer hover:bg-white/10' : ''}"
+                     ${result.type === 'post' ? `data-action="open-post" data-post-id="${escapeHtml(result.id)}"` : ''}>
+                    <div class="text-xs text-amber-400 mb-1">${SEARCH_TYPE_LABELS[result.type]}</div>
+                    <div class="font-semibold text-white">${result.title}</div>
+                    <div class="text-sm text-gray-300 mt-1">${result.snippet}</div>
+                </div>
+            `).join('');
+        } catch (e) {
+            if (searchId === latestSearch) {
+                container.innerHTML = '<p class="text-red-400 text-center">Search is unavailable right now.</p>';
+            }
+        }
+    }
+
+    async function subscribeNewsletter(event) {
+        event.preventDefault();
+        const input = document.getElementById('newsletterEmail');
+        const message = document.getElementById('newsletterMessage');
+        try {
+            const response = await fetch(`${API_BASE_URL}/newsletter/subscribe`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: input.value })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+            message.textContent = result.message;
+            message.className = 'text-sm text-green-400';
+            input.value = '';
+        } catch (e) {
+            message.textContent = e.message || 'Could not subscribe right now.';
+            message.className = 'text-sm text-red-400';
+        }
+    }
+
+    function runPopularSearch(button) {
+        document.getElementById('searchInput').value = button.textContent;
+        runSearch();
+    }
+
+    // Search as the visitor types, once they pause
+    document.getElementById('searchInput').addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, 250);
+    });
+
+    document.getElementById('newsletterForm').addEventListener('submit', subscribeNewsletter);
+
+    // Close search with Escape key
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            closeSearch();
+        }
+    });
+
+    // Blog post filtering
+    function filterPosts(category) {
+        currentFilter = category;
+        
+        // Update filter buttons
+        document.querySelectorAll('.category-filter').forEach(btn => {
+            btn.classList.remove('active', 'text-amber-400', 'border-amber-400', 'bg-amber-400/10');
+            btn.classList.add('text-gray-300', 'border-gray-600', 'hover:border-amber-400', 'hover:text-amber-400');
+            if (btn.dataset.filter === category) {
+                btn.classList.add('active', 'text-amber-400', 'border-amber-400', 'bg-amber-400/10');
+            }
+        });
+        
+        displayPage(1); // Reset to page 1 for the new filter
+    }
+
+    // Modal logic
+    function openPost(postId, useModal) {
+        if (useModal) {
+            showPostModal(postId);
+        } else {
+            window.location.href = `/posts/${encodeURIComponent(postId)}`;
+        }
+    }
+    async function showPostModal(postId) {
+        try {
+            const response = await fetch(`${POSTS_API_URL}/${encodeURIComponent(postId)}`);
+            if (response.status === 404) throw new Error('Post not found');
+            if (!response.ok) throw new Error('Failed to load post');
+            const { post } = await response.json();
+            fetch(`${POSTS_API_URL}/${encodeURIComponent(post.id)}/view`, { method: 'POST', headers: visitorHeaders() }).catch(() => {});
+            let html = '';
+            if (post.image) {
+                html += `<img src='${escapeHtml(post.image)}' alt='${escapeHtml(post.title)}' class='w-full object-cover rounded-xl mb-6' style='max-height:20rem; background:#222;' loading='lazy'>`;
+            }
+            html += `<h2 class='text-3xl font-bold mb-2 text-amber-400'>${escapeHtml(post.title)}</h2>`;
+            html += `<div class='mb-4 text-gray-400 text-sm'>${formatPostDate(post)} &bull; <span class='category-${post.category} px-2 py-1 rounded'>${escapeHtml(post.categoryLabel || post.category)}</span></div>`;
+            html += `<div class='mb-6 text-lg text-white'>${escapeHtml(post.excerpt)}</div>`;
+            if (post.content) {
+                html += `<div class='blog-content mb-6'>${post.content}</div>`;
+            }
+            html += `<div class='mt-8'><h3 class='text-xl font-bold mb-2 text-amber-400'>Comments</h3><div id='modalComments'></div><form id='modalCommentForm' class='mt-4'><input type='text' id='modalCommentName' placeholder='Your name' class='px-3 py-2 rounded bg-white/10 border border-white/20 text-white placeholder-gray-400 mb-2 w-full'><textarea id='modalCommentText' placeholder='Your comment' class='px-3 py-2 rounded bg-white/10 border border-white/20 text-white placeholder-gray-400 mb-2 w-full'></textarea><div class='hidden' aria-hidden='true'><input type='text' id='modalCommentWebsite' name='website' tabindex='-1' autocomplete='off'></div><div id='modalCommentMessage' class='text-sm'></div><button type='submit' class='neon-btn !py-2 !text-sm mt-2'>Add Comment</button></form></div>`;
+            document.getElementById('postModalBody').innerHTML = html;
+            renderModalComments(post.id);
+            document.getElementById('modalCommentForm').addEventListener('submit', function(e) {
+                e.preventDefault();
+                addModalComment(post.id);
+            });
+            document.getElementById('postModal').style.display = 'block';
+            document.body.style.overflow = 'hidden';
+        } catch (err) {
+            document.getElementById('postModalBody').innerHTML = `<div class='text-red-400 p-6'>${err.message}</div>`;
+            document.getElementById('postModal').style.display = 'block';
+        }
+    }
+    function closePostModal() {
+        document.getElementById('postModal').style.display = 'none';
+        document.body.style.overflow = '';
+    }
+    // Close modal on overlay click or Escape
+    document.getElementById('postModal').addEventListener('click', function(e) {
+        if (e.target === this) closePostModal();
+    });
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && document.getElementById('postModal').style.display === 'block') {
+            closePostModal();
+        }
+    });
+
+    // Threaded comments from the API, replies indented under their parent
+    function modalCommentHtml(comment, depth) {
+        const replies = (comment.replies || []).map(reply => modalCommentHtml(reply, depth + 1)).join('');
+        return `<div class='mb-3 p-3 rounded bg-white/10 border border-white/10' style='margin-left:${Math.min(depth, 3) * 1.5}rem'><div class='font-bold text-amber-300 mb-1'>${escapeHtml(comment.author_name)}</div><div class='text-gray-200'>${escapeHtml(comment.content)}</div></div>${replies}`;
+    }
+    async function renderModalComments(postId) {
+        const container = document.getElementById('modalComments');
+        try {
+            const response = await fetch(`${POSTS_API_URL}/${encodeURIComponent(postId)}/comments`);
+            if (!response.ok) throw new Error('Failed to load comments');
+            const { comments } = await response.json();
+            container.innerHTML = comments.length === 0
+                ? '<div class="text-gray-400 mb-2">No comments yet.</div>'
+                : comments.map(comment => modalCommentHtml(comment, 0)).join('');
+        } catch (e) {
+            container.innerHTML = '<div class="text-gray-400 mb-2">Comments are unavailable right now.</div>';
+        }
+    }
+    async function addModalComment(postId) {
+        const form = document.getElementById('modalCommentForm');
+        const message = document.getElementById('modalCommentMessage');
+        const name = document.getElementById('modalCommentName').value.trim();
+        const text = document.getElementById('modalCommentText').value.trim();
+        if (!name || !text) return;
+        try {
+            const response = await fetch(`${POSTS_API_URL}/${encodeURIComponent(postId)}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...visitorHeaders() },
+                body: JSON.stringify({
+                    author_name: name,
+                    content: text,
+                    website: document.getElementById('modalCommentWebsite').value
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                message.className = 'text-red-400 text-sm mb-2';
+                message.textContent = data.error || 'Could not post your comment.';
+                return;
+            }
+            form.reset();
+            message.className = 'text-green-400 text-sm mb-2';
+            message.textContent = data.comment.status === 'pending'
+                ? 'Thanks! Your comment will appear once it has been reviewed.'
+                : 'Comment posted!';
+            renderModalComments(postId);
+        } catch (e) {
+            message.className = 'text-red-400 text-sm mb-2';
+            message.textContent = 'Could not post your comment right now. Please try again later.';
+        }
+    }
+
+    // Fetch and render blog posts from the posts API
+    function loadBlogPosts() {
+        displayPage(1); // Initial display of page 1
+    }
+
+    // The API does the category filtering and pagination
+    async function displayPage(page) {
+        currentPage = page;
+        try {
+            const params = new URLSearchParams({ page, limit: postsPerPage });
+            if (currentFilter !== 'all') params.set('category', currentFilter);
+
+            const response = await fetch(`${POSTS_API_URL}?${params}`);
+            if (!response.ok) throw new Error('Failed to load posts');
+            const data = await response.json();
+            allPosts = data.posts;
+
+            renderBlogPosts(data.posts);
+            renderPagination(data.total);
+        } catch (err) {
+            document.getElementById('blogPosts').innerHTML = `<div class='text-red-400 p-6'>Error loading blog posts: ${err.message}</div>`;
+        }
+    }
+
+    function renderBlogPosts(posts) {
+        const blogPostsDiv = document.getElementById('blogPosts');
+        if (!Array.isArray(posts) || posts.length === 0) {
+            blogPostsDiv.innerHTML = '<div class="text-gray-400 p-6">No blog posts found.</div>';
+            return;
+        }
+        let html = '';
+        posts.forEach(post => {
+            html += `
+            <article class="glass-card rounded-2xl p-4 md:p-6 hover-lift blog-post" data-category="${post.category}">
+              <div class="flex blog-row items-center">
+                <div class="flex-1 blog-content-col pr-0 md:pr-8">
+                    <div class="flex items-center justify-between mb-2 md:mb-4">
+                        <span class="category-${post.category} text-white px-3 py-1 rounded-full text-sm font-semibold">${escapeHtml(post.categoryLabel || post.category)}</span>
+                        <span class="text-gray-400 text-xs md:text-sm">${formatPostDate(post)}</span>
+                    </div>
+                    <h3 class="text-xl md:text-2xl font-bold mb-2 md:mb-3 text-white hover:text-amber-400 transition-colors cursor-pointer" data-action="open-post" data-post-id="${escapeHtml(post.id)}">
+                        ${escapeHtml(post.title)}
+                    </h3>
+                    <p class="text-gray-300 mb-3 md:mb-4 leading-relaxed">
+                        ${escapeHtml(post.excerpt)}
+                    </p>
+                    <div class="flex flex-wrap gap-2 mb-3">
+                        <button data-action="open-post" data-post-id="${escapeHtml(post.id)}" class="neon-btn !py-2 !px-4 !text-xs md:!text-sm">Quick View</button>
+                        <a href="/posts/${encodeURIComponent(post.slug || post.id)}" class="neon-btn !py-2 !px-4 !text-xs md:!text-sm bg-blue-500 hover:bg-blue-600" style="background:linear-gradient(45deg,#3b82f6,#1d4ed8);color:white;" target="_blank">Read Full Post</a>
+                    </div>
+                    <div class="flex items-center justify-between mt-2">
+                        <div class="flex items-center">
+                            <div class="w-8 h-8 bg-gradient-to-br from-amber-400 to-orange-500 rounded-full flex items-center justify-center mr-3">
+                                <i class="fas fa-user text-white text-xs"></i>
+                            </div>
+                            <div>
+                                <div class="text-amber-400 text-sm font-semibold">${escapeHtml(post.author)}</div>
+                                <div class="text-gray-400 text-xs">${escapeHtml(post.readTime)} • ${post.comments} comment${post.comments === 1 ? '' : 's'} • ${post.views} view${post.views === 1 ? '' : 's'}</div>
+                            </div>
+                        </div>
+                        <div class="flex items-center space-x-3">
+                            <button data-action="toggle-like" data-post-id="${escapeHtml(post.id)}" class="${likedPosts().includes(post.id) ? 'text-red-400' : 'text-gray-400'} hover:text-red-400 transition-colors">
+                                <i class="fas fa-heart mr-1"></i><span class="like-count">${post.likes}</span>
+                            </button>
+                            <button class="text-gray-400 hover:text-blue-400 transition-colors">
+                                <i class="fas fa-share mr-1"></i>Share
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                ${post.image ? `<img src="${escapeHtml(post.image)}" alt="${escapeHtml(post.title)}" class="blog-image w-full md:w-auto object-cover rounded-xl ml-0 md:ml-8 mt-4 md:mt-0" style="max-height:10rem; min-height:6rem; background:#222;" loading="lazy">` : ''}
+              </div>
+            </article>
+            `;
+        });
+        blogPostsDiv.innerHTML = html;
+    }
+
+    function renderPagination(totalItems) {
+        const paginationContainer = document.getElementById('paginationContainer');
+        paginationContainer.innerHTML = '';
+        const totalPages = Math.ceil(totalItems / postsPerPage);
+
+        if (totalPages <= 1) return;
+
+        let paginationHTML = '<div class="flex items-center space-x-2">';
+
+        paginationHTML += `
+            <button 
+                data-action="page" data-page="${currentPage - 1}" 
+                class="pagination-btn glass-card px-4 py-2 rounded-lg text-gray-400 hover:text-amber-400 transition-all ${currentPage === 1 ? 'opacity-50 cursor-not-allowed' : ''}"
+                ${currentPage === 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left mr-2"></i>Previous
+            </button>`;
+
+        for (let i = 1; i <= totalPages; i++) {
+            paginationHTML += `
+                <button 
+                    data-action="page" data-page="${i}" 
+                    class="pagination-btn glass-card px-4 py-2 rounded-lg font-semibold ${currentPage === i ? 'active' : 'text-gray-400 hover:text-amber-400 transition-all'}">
+                    ${i}
+                </button>`;
+        }
+
+        paginationHTML += `
+            <button 
+                data-action="page" data-page="${currentPage + 1}" 
+                class="pagination-btn glass-card px-4 py-2 rounded-lg text-gray-400 hover:text-amber-400 transition-all ${currentPage === totalPages ? 'opacity-50 cursor-not-allowed' : ''}"
+                ${currentPage === totalPages ? 'disabled' : ''}>
+                Next<i class="fas fa-chevron-right ml-2"></i>
+            </button>`;
+
+        paginationHTML += '</div>';
+        paginationContainer.innerHTML = paginationHTML;
+    }
+
+    // Initialize page on DOMContentLoaded
+    document.addEventListener('DOMContentLoaded', function() {
+        loadBlogPosts();
+        // The initial filter selection is handled by the `active` class in the HTML
+    });
+
+    // Links from newsletter emails: ?newsletter=<result> after confirming or
+    // unsubscribing, ?post=<slug> from older weekly digests (newer ones link to /posts/<slug>)
+    const NEWSLETTER_RESULTS = {
+        confirmed: { text: 'Your subscription is confirmed - welcome!', className: 'text-green-400' },
+        unsubscribed: { text: 'You have been unsubscribed.', className: 'text-green-400' },
+        invalid: { text: 'That link is invalid or has expired. Please subscribe again.', className: 'text-red-400' }
+    };
+    if (SITE_CONFIG.features.newsletter === false) {
+        document.getElementById('newsletterForm').closest('.glass-card').style.display = 'none';
+    }
+    const pageParams = new URLSearchParams(window.location.search);
+    const newsletterResult = NEWSLETTER_RESULTS[pageParams.get('newsletter')];
+    if (newsletterResult) {
+        const message = document.getElementById('newsletterMessage');
+        message.textContent = newsletterResult.text;
+        message.className = `text-sm ${newsletterResult.className}`;
+        document.getElementById('newsletterForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    if (pageParams.get('post')) {
+        openPost(pageParams.get('post'), true);
+    }
+
+    // Hamburger menu logic
+    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
+    const mobileMenu = document.getElementById('mobileMenu');
+    const closeMobileMenuBtn = document.getElementById('closeMobileMenu');
+    function openMobileMenu() {
+        mobileMenu.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+    function closeMobileMenu() {
+        mobileMenu.style.display = 'none';
+        document.body.style.overflow = '';
+    }
+    mobileMenuBtn.addEventListener('click', openMobileMenu);
+    closeMobileMenuBtn.addEventListener('click', closeMobileMenu);
+    // Close menu on Escape
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && mobileMenu.style.display === 'block') {
+            closeMobileMenu();
+        }
+    });
+
+    // What each data-action button does, given the button
+    const ACTIONS = {
+        'open-search': () => {
+            closeMobileMenu();
+            openSearch();
+        },
+        'close-search': closeSearch,
+        'run-search': runSearch,
+        'popular-search': runPopularSearch,
+        'filter': button => filterPosts(button.dataset.filter),
+        'page': button => displayPage(Number(button.dataset.page)),
+        'open-post': button => {
+            closeSearch();
+            openPost(button.dataset.postId, true);
+        },
+        'close-post-modal': closePostModal,
+        'toggle-like': button => toggleLike(button, button.dataset.postId)
+    };
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-action]');
+        if (button && ACTIONS[button.dataset.action]) {
+            ACTIONS[button.dataset.action](button);
+        }
+    });
+})();
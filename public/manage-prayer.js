@@ -0,0 +1,102 @@
+// The submitter's private page for a prayer request (manage-prayer.html),
+// reached from the link returned when it was posted:
+// /manage-prayer.html?id=<prayer id>&token=<manage token>
+
+(function () {
+    const API_BASE_URL = (window.AWC_CONFIG && window.AWC_CONFIG.apiBaseUrl) || '/api';
+    const params = new URLSearchParams(window.location.search);
+    const PRAYER_ID = params.get('id') || '';
+    const TOKEN = params.get('token') || '';
+    const MANAGE_URL = `${API_BASE_URL}/prayers/${encodeURIComponent(PRAYER_ID)}/manage?token=${encodeURIComponent(TOKEN)}`;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        document.getElementById('manageForm').addEventListener('submit', saveChanges);
+        document.getElementById('archiveButton').addEventListener('click', archivePrayer);
+        document.getElementById('deleteButton').addEventListener('click', deletePrayer);
+        loadPrayer();
+    });
+
+    function showMessage(text, className) {
+        const message = document.getElementById('manageMessage');
+        message.className = `mb-6 text-sm ${className}`;
+        message.textContent = text;
+    }
+
+    function formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    function renderPrayer(prayer) {
+        document.getElementById('managePanel').classList.remove('hidden');
+        document.getElementById('prayerRequest').textContent = prayer.request;
+        document.getElementById('prayerMeta').textContent = `Posted by ${prayer.name} on ${formatDate(prayer.created_at)}` +
+            (prayer.archived_at ? ` - off the wall since ${formatDate(prayer.archived_at)}` : '');
+        document.getElementById('prayerVisibility').value = prayer.visibility;
+        document.getElementById('prayerNotify').checked = prayer.notify_comments;
+        document.getElementById('prayerEmail').textContent = prayer.email || '';
+        document.getElementById('notifyRow').classList.toggle('hidden', !prayer.email);
+        document.getElementById('archiveRow').classList.toggle('hidden', Boolean(prayer.archived_at));
+    }
+
+    // Resolves with the response body, or throws with the API's error message
+    async function request(method, body) {
+        const response = await fetch(MANAGE_URL, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Something went wrong');
+        return data;
+    }
+
+    async function loadPrayer() {
+        if (!PRAYER_ID || !TOKEN) {
+            showMessage('This link is incomplete. Use the full link you were given when you posted your prayer.', 'text-red-400');
+            return;
+        }
+        try {
+            renderPrayer((await request('GET')).prayer);
+        } catch (error) {
+            showMessage(error.message === 'Prayer not found'
+                ? 'This link is invalid, or the prayer has been deleted.'
+                : 'Could not load your prayer right now. Please try again later.', 'text-red-400');
+        }
+    }
+
+    async function saveChanges(e) {
+        e.preventDefault();
+        try {
+            const { prayer } = await request('PUT', {
+                visibility: document.getElementById('prayerVisibility').value,
+                notify_comments: document.getElementById('prayerNotify').checked
+            });
+            renderPrayer(prayer);
+            showMessage('Your changes are saved.', 'text-green-400');
+        } catch (error) {
+            showMessage(error.message, 'text-red-400');
+        }
+    }
+
+    async function archivePrayer() {
+        if (!confirm('Take this prayer off the wall? It can\'t be put back.')) return;
+        try {
+            renderPrayer((await request('PUT', { archived: true })).prayer);
+            showMessage('Your prayer is off the wall.', 'text-green-400');
+        } catch (error) {
+            showMessage(error.message, 'text-red-400');
+        }
+    }
+
+    async function deletePrayer() {
+        if (!confirm('Delete this prayer and its comments? This can\'t be undone.')) return;
+        try {
+            await request('DELETE');
+            document.getElementById('managePanel').classList.add('hidden');
+            showMessage('Your prayer has been deleted.', 'text-green-400');
+        } catch (error) {
+            showMessage(error.message, 'text-red-400');
+        }
+    }
+})();
@@ -0,0 +1,178 @@
+// Likes, views, comments and sharing for the server-rendered /posts/:slug
+// pages (views/post.html). The post's ID is on <body data-post-id>.
+
+(function () {
+    const API_BASE_URL = (window.AWC_CONFIG && window.AWC_CONFIG.apiBaseUrl) || '/api';
+    const POST_ID = document.body.dataset.postId;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        loadComments();
+        loadEngagement();
+    });
+
+    // Random per-browser ID so likes and views are counted once per visitor, not per IP
+    function visitorHeaders() {
+        let id = localStorage.getItem('visitorId');
+        if (!id) {
+            id = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('visitorId', id);
+        }
+        return { 'X-Visitor-Id': id };
+    }
+
+    // Record this view, then show the real like count
+    async function loadEngagement() {
+        try {
+            await fetch(`${API_BASE_URL}/posts/${encodeURIComponent(POST_ID)}/view`, { method: 'POST', headers: visitorHeaders() });
+            const response = await fetch(`${API_BASE_URL}/posts/${encodeURIComponent(POST_ID)}/engagement`, { headers: visitorHeaders() });
+            if (response.ok) renderLikes(await response.json());
+        } catch (error) {
+            console.log('API not available, like count not shown');
+        }
+    }
+
+    function renderLikes({ liked, likes }) {
+        const button = document.getElementById('likeButton');
+        const heartIcon = button.querySelector('.fa-heart');
+        heartIcon.classList.toggle('fas', liked);
+        heartIcon.classList.toggle('far', !liked);
+        button.classList.toggle('text-red-400', liked);
+        button.classList.toggle('text-gray-400', !liked);
+        button.dataset.liked = liked;
+        document.getElementById('likeCount').textContent = `${likes} Like${likes === 1 ? '' : 's'}`;
+    }
+
+    async function loadComments() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${encodeURIComponent(POST_ID)}/comments`);
+            if (response.ok) {
+                const data = await response.json();
+                renderComments(flattenThread(data.comments));
+            }
+        } catch (error) {
+            console.log('API not available, comments not shown');
+        }
+    }
+
+    // Flatten threaded comments into display order, noting each reply's depth
+    function flattenThread(comments, depth = 0) {
+        return comments.flatMap(comment => [{ ...comment, depth }, ...flattenThread(comment.replies || [], depth + 1)]);
+    }
+
+    // Comments are stored as plain text; escape them so they show as typed
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function formatCommentDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    function renderComments(comments) {
+        const container = document.getElementById('commentsContainer');
+        const header = document.getElementById('commentsHeader');
+        header.textContent = `Comments (${comments.length})`;
+
+        if (comments.length === 0) {
+            container.innerHTML = '<div class="text-gray-400 mb-4">No comments yet. Be the first to share your thoughts!</div>';
+            return;
+        }
+
+        const colors = ['from-green-400 to-teal-500', 'from-purple-400 to-pink-500', 'from-blue-400 to-indigo-500', 'from-amber-400 to-orange-500', 'from-red-400 to-pink-500'];
+        container.innerHTML = comments.map((comment, index) => {
+            const initials = comment.author_name.split(' ').map(n => n[0]).join('').toUpperCase();
+            return `
+                <div class="comment-item" style="margin-left: ${Math.min(comment.depth || 0, 3) * 2}rem">
+                    <div class="flex items-start space-x-4">
+                        <div class="w-10 h-10 bg-gradient-to-br ${colors[index % colors.length]} rounded-full flex items-center justify-center">
+                            <span class="text-white font-semibold text-sm">${escapeHtml(initials)}</span>
+                        </div>
+                        <div class="flex-1">
+                            <div class="flex items-center space-x-2 mb-2">
+                                <span class="font-semibold text-white">${escapeHtml(comment.author_name)}</span>
+                                <span class="text-gray-400 text-sm">${escapeHtml(formatCommentDate(comment.created_at))}</span>
+                            </div>
+                            <p class="text-gray-300">${escapeHtml(comment.content)}</p>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function showMessage(form, text) {
+        const message = document.createElement('div');
+        message.className = 'text-green-400 text-sm mt-2';
+        message.textContent = text;
+        form.appendChild(message);
+        setTimeout(() => message.remove(), 3000);
+    }
+
+    document.getElementById('commentForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const name = document.getElementById('commentName').value.trim();
+        const email = document.getElementById('commentEmail').value.trim();
+        const text = document.getElementById('commentText').value.trim();
+
+        if (!name || !email || !text) {
+            alert('Please fill in all fields.');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${encodeURIComponent(POST_ID)}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...visitorHeaders() },
+                body: JSON.stringify({
+                    author_name: name,
+                    author_email: email,
+                    content: text,
+                    website: document.getElementById('commentWebsite').value
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert('Error posting comment: ' + data.error);
+                return;
+            }
+
+            this.reset();
+            loadComments();
+            showMessage(this, data.comment.status === 'pending'
+                ? 'Thanks! Your comment will appear once it has been reviewed.'
+                : 'Comment posted successfully!');
+        } catch (error) {
+            alert('Could not post your comment right now. Please try again later.');
+        }
+    });
+
+    document.getElementById('likeButton').addEventListener('click', async function() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${encodeURIComponent(POST_ID)}/like`, {
+                method: this.dataset.liked === 'true' ? 'DELETE' : 'POST',
+                headers: visitorHeaders()
+            });
+            if (response.ok) renderLikes(await response.json());
+        } catch (error) {
+            console.log('API not available, like not saved');
+        }
+    });
+
+    // The canonical link is the address to share
+    document.getElementById('shareButton').addEventListener('click', function() {
+        const url = document.querySelector('link[rel="canonical"]').href;
+        if (navigator.share) {
+            navigator.share({ title: document.title, url });
+        } else {
+            navigator.clipboard.writeText(url).then(() => alert('Link copied to clipboard!'));
+        }
+    });
+})();
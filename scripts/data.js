@@ -0,0 +1,94 @@
+// Export, import and back up the database at DB_PATH from the command line -
+// the same rules as the /api/admin/export, /import and /backups endpoints:
+//
+//   npm run export -- [--format csv --type prayers] [--from 2026-01-01] [--to 2026-12-31] [--out file]
+//   npm run import -- awc-export-2026-10-14.json [--dry-run]
+//   npm run backup
+//
+// Run import against a copy (or with --dry-run) first: it adds to whatever
+// the database already holds.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { openStorage } = require('../db');
+const archiveHelpers = require('../lib/archive');
+const backups = require('../lib/backups');
+const { config } = require('../lib/config');
+const { logger } = require('../lib/logger');
+
+const COMMANDS = {
+    async export(storage, { values }) {
+        const query = archiveHelpers.parseExportQuery({
+            format: values.format,
+            type: values.type,
+            from: values.from,
+            to: values.to
+        });
+        if (query.error) throw new Error(query.error);
+
+        const now = storage.clock.now();
+        const rows = await storage.archive.dump(query.collections, query);
+        const out = values.out || `awc-${values.type || 'export'}-${now.toISOString().slice(0, 10)}.${query.format}`;
+        fs.writeFileSync(out, query.format === 'csv'
+            ? archiveHelpers.toCsv(values.type, rows[values.type])
+            : JSON.stringify(archiveHelpers.buildExport(rows, now), null, 2));
+
+        const counts = Object.entries(rows).map(([collection, list]) => `${list.length} ${collection}`);
+        logger.info(`📦 Exported ${counts.join(', ')} to ${out}`);
+    },
+
+    async import(storage, { values, positionals }) {
+        const file = positionals[0];
+        if (!file) throw new Error('Which file? npm run import -- <export.json> [--dry-run]');
+
+        const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const dryRun = Boolean(values['dry-run']);
+        const { valid, counts, idMap, errors } = await archiveHelpers.importDocument(storage, document, { dryRun });
+
+        for (const error of errors) logger.error(`❌ ${error.collection || 'file'} ${error.id ?? ''}: ${error.error}`);
+        if (!valid) throw new Error(`${errors.length} problems - nothing was imported`);
+
+        const summary = Object.entries(counts).map(([collection, count]) => `${count} ${collection}`).join(', ');
+        logger.info(dryRun ? `🔍 ${file} is valid: would import ${summary}` : `📦 Imported ${summary} from ${file}`, { idMap });
+    },
+
+    async backup(storage) {
+        const { backup, removed } = await backups.createBackup(storage.db, storage.clock.now());
+        logger.info(`💾 Backup ${backup.file} taken in ${backups.settings.dir} (${removed.length} rotated out)`);
+    }
+};
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    if (!COMMANDS[command]) {
+        throw new Error(`Usage: node scripts/data.js <${Object.keys(COMMANDS).join('|')}> [options]`);
+    }
+    const args = parseArgs({
+        args: rest,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            type: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            out: { type: 'string' },
+            'dry-run': { type: 'boolean' }
+        }
+    });
+
+    const storage = await openStorage(config.paths.db);
+    try {
+        await COMMANDS[command](storage, args);
+    } finally {
+        await storage.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        logger.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
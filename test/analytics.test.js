@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_NOW, createTestApp } = require('./helpers');
+const { weekOf } = require('../lib/analytics');
+
+describe('analytics', () => {
+    let t;
+    let pastor;
+    const today = DEFAULT_NOW.slice(0, 10);
+    const thisWeek = weekOf(today);
+    before(async () => {
+        t = await createTestApp();
+        pastor = await t.signIn('pastor');
+
+        const visitor = { headers: { 'X-Visitor-Id': 'visitor-analytics-1' } };
+        const editor = await t.signIn('editor');
+        const post = await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Counting Blessings', author: 'Pastor John', category: 'teaching', status: 'published', content: '<p>One by one</p>' }
+        });
+        await t.post(`/api/posts/${post.body.post.id}/like`, visitor);
+        await t.post(`/api/posts/${post.body.post.id}/view`, visitor);
+
+        const prayer = await t.post('/api/prayers', { body: { name: 'Joel', request: 'Pray for rain on the farm' } });
+        await t.post(`/api/prayers/${prayer.body.prayer.id}/heart`, visitor);
+
+        const testimony = await t.post('/api/testimonials', { body: { name: 'Anna', testimony: 'Forty years of faithfulness.' } });
+        t.clock.advance(3 * 60 * 60 * 1000);
+        await t.post(`/api/testimonials/${testimony.body.testimonial.id}/approve`, { token: pastor.token });
+    });
+    after(() => t.close());
+
+    it('summarizes every metric by week', async () => {
+        const res = await t.get('/api/admin/analytics', { token: pastor.token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.range.to, today);
+        assert.equal(res.body.prayers.length, 12);
+        assert.equal(res.body.prayers.at(-1).week, thisWeek);
+        assert.ok(res.body.prayers.at(-1).prayers >= 1);
+        assert.ok(res.body.summary.testimonials_approved >= 1);
+        assert.ok(res.body.summary.hearts >= 1);
+        assert.equal(typeof res.body.summary.turnaround.median_hours, 'number');
+
+        const top = res.body.posts.find(row => row.title === 'Counting Blessings');
+        assert.equal(top.likes, 1);
+        assert.equal(top.views, 1);
+    });
+
+    it('serves one metric, as JSON or CSV', async () => {
+        const res = await t.get(`/api/admin/analytics/testimonials?from=${thisWeek}&to=${today}`, { token: pastor.token });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.rows.map(row => row.week), [thisWeek]);
+        assert.ok(res.body.rows[0].submitted >= 1);
+
+        const csv = await t.get(`/api/admin/analytics/hearts?from=${thisWeek}&to=${today}&format=csv`, { token: pastor.token });
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), new RegExp(`hearts-${thisWeek}-to-${today}\\.csv`));
+        assert.equal(csv.body.split(/\r?\n/)[0], 'week,hearts,cumulative');
+    });
+
+    it('rejects bad ranges and metrics', async () => {
+        const get = (url) => t.get(url, { token: pastor.token });
+        assert.equal((await get('/api/admin/analytics?from=last-week')).status, 400);
+        assert.equal((await get('/api/admin/analytics?from=2026-02-30')).status, 400);
+        assert.equal((await get('/api/admin/analytics?from=2026-10-10&to=2026-10-01')).status, 400);
+        assert.match((await get('/api/admin/analytics?from=2020-01-01&to=2026-01-01')).body.error, /at most/);
+        assert.equal((await get('/api/admin/analytics/sermons')).status, 404);
+    });
+
+    it('is for the pastor and moderators', async () => {
+        const moderator = await t.signIn('moderator');
+        assert.equal((await t.get('/api/admin/analytics', { token: moderator.token })).status, 200);
+        const editor = await t.signIn('editor');
+        assert.equal((await t.get('/api/admin/analytics', { token: editor.token })).status, 403);
+    });
+});
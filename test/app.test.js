@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+const { DEFAULT_RATE_LIMITS, loadConfig } = require('../lib/config');
+
+describe('health, config and CORS', () => {
+    let t;
+    before(async () => { t = await createTestApp(); });
+    after(() => t.close());
+
+    it('GET /api/health reports the API is up', async () => {
+        const res = await t.get('/api/health');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'OK');
+    });
+
+    it('GET /api/config returns only the public settings', async () => {
+        const res = await t.get('/api/config');
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(res.body.config).sort(), ['apiBaseUrl', 'features', 'siteUrl']);
+        assert.equal(res.body.config.apiBaseUrl, '/api');
+        assert.equal(res.body.config.siteUrl, 'http://awc.test');
+    });
+
+    it('GET /config.js sets window.AWC_CONFIG', async () => {
+        const res = await t.get('/config.js');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /javascript/);
+        assert.match(res.body, /^window\.AWC_CONFIG = \{.*"apiBaseUrl":"\/api"/);
+    });
+
+    it('allows the site origin and requests without one', async () => {
+        const res = await t.get('/api/health', { headers: { Origin: 'http://awc.test' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('access-control-allow-origin'), 'http://awc.test');
+        assert.equal((await t.get('/api/health')).status, 200);
+    });
+
+    it('rejects origins that only contain an allowed host', async () => {
+        for (const origin of ['http://awc.test.evil.net', 'http://evil-awc.test', 'https://claudeusercontent.com']) {
+            const res = await t.get('/api/health', { headers: { Origin: origin } });
+            assert.equal(res.status, 403, origin);
+            assert.equal(res.body.error, 'Origin not allowed');
+        }
+    });
+
+    it('answers oversized bodies with a JSON 413', async () => {
+        const res = await t.post('/api/prayers', { body: { request: 'x'.repeat(30 * 1024) } });
+        assert.equal(res.status, 413);
+        assert.equal(res.body.success, false);
+    });
+});
+
+describe('configuration', () => {
+    it('reads the session, mail, queue and rate limit settings', () => {
+        const config = loadConfig({
+            SESSION_TTL_HOURS: '8',
+            PRAYER_ARCHIVE_DAYS: '0',
+            COMMENT_EDIT_WINDOW_MINUTES: '30',
+            SMTP_HOST: 'smtp.example.com',
+            SMTP_PORT: '465',
+            SMTP_SECURE: 'true',
+            MAIL_MAX_ATTEMPTS: '3',
+            NEWSLETTER_CONFIRM_HOURS: '24',
+            LIVE_EVENT_BUFFER: '100',
+            RATE_LIMIT_PRAYER: '10/600'
+        });
+        assert.deepEqual(config.problems, []);
+        assert.equal(config.sessionTtlHours, 8);
+        assert.equal(config.prayers.archiveDays, 0);
+        assert.equal(config.comments.editWindowMinutes, 30);
+        assert.equal(config.mail.transport, 'smtp');
+        assert.deepEqual(config.mail.smtp, { url: null, host: 'smtp.example.com', port: 465, secure: true, user: null, pass: null });
+        assert.equal(config.mail.maxAttempts, 3);
+        assert.equal(config.mail.queueIntervalSeconds, 30);
+        assert.equal(config.newsletter.confirmHours, 24);
+        assert.equal(config.liveEvents.bufferSize, 100);
+        assert.deepEqual(config.rateLimits.prayer, { max: 10, windowSeconds: 600 });
+        assert.deepEqual(config.rateLimits.login, DEFAULT_RATE_LIMITS.login);
+    });
+
+    it('reports bad values and falls back to the defaults', () => {
+        const config = loadConfig({
+            SESSION_TTL_HOURS: 'forever',
+            PRAYER_ARCHIVE_DAYS: 'abc',
+            COMMENT_EDIT_WINDOW_MINUTES: '0',
+            MAIL_TRANSPORT: 'pigeon',
+            MAIL_MAX_ATTEMPTS: '2.5',
+            MAIL_QUEUE_INTERVAL_SECONDS: '-1',
+            NEWSLETTER_CONFIRM_HOURS: 'two days',
+            LIVE_EVENT_BUFFER: 'lots',
+            RATE_LIMIT_PRAYER: '10 per minute',
+            RATE_LIMIT_PRAYERS: '10/600'
+        });
+        for (const name of [
+            'SESSION_TTL_HOURS', 'PRAYER_ARCHIVE_DAYS', 'COMMENT_EDIT_WINDOW_MINUTES', 'MAIL_TRANSPORT', 'MAIL_MAX_ATTEMPTS',
+            'MAIL_QUEUE_INTERVAL_SECONDS', 'NEWSLETTER_CONFIRM_HOURS', 'LIVE_EVENT_BUFFER', 'RATE_LIMIT_PRAYER', 'RATE_LIMIT_PRAYERS'
+        ]) {
+            assert.ok(config.problems.some(problem => problem.startsWith(`${name} `)), name);
+        }
+        assert.equal(config.sessionTtlHours, 12);
+        assert.equal(config.prayers.archiveDays, 30);
+        assert.equal(config.mail.transport, 'outbox');
+        assert.deepEqual(config.rateLimits.prayer, DEFAULT_RATE_LIMITS.prayer);
+
+        assert.ok(loadConfig({ MAIL_TRANSPORT: 'smtp' }).problems.some(problem => /SMTP_URL or SMTP_HOST/.test(problem)));
+    });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createTestApp } = require('./helpers');
+const backups = require('../lib/backups');
+
+describe('data export and import', () => {
+    let source;
+    let pastor;
+    let prayer;
+    let exported;
+    before(async () => {
+        source = await createTestApp();
+        pastor = await source.signIn('pastor');
+        const editor = await source.signIn('editor');
+
+        const post = await source.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Harvest Sunday', author: 'Pastor John', content: '<p>Bring the first fruits</p>', category: 'community', status: 'published' }
+        });
+        assert.equal(post.status, 201, JSON.stringify(post.body));
+        prayer = (await source.post('/api/prayers', {
+            body: { name: 'Hannah', request: 'For a quiet heart', email: 'hannah@example.com' }
+        })).body.prayer;
+
+        const top = await source.post('/api/posts/harvest-sunday/comments', { body: { author_name: 'Ruth', content: 'Amen' } });
+        await source.post('/api/posts/harvest-sunday/comments', {
+            body: { author_name: 'Boaz', content: 'See you there', parent_id: top.body.comment.id }
+        });
+        await source.post(`/api/prayers/${prayer.id}/comments`, { body: { author_name: 'Naomi', content: 'Praying' } });
+        await source.post('/api/testimonials', { body: { name: 'Eli', testimony: 'The Lord provided a job' } });
+
+        exported = (await source.get('/api/admin/export', { token: pastor.token })).body;
+    });
+    after(() => source.close());
+
+    it('is for pastors only', async () => {
+        const editor = await source.signIn('editor');
+        assert.equal((await source.get('/api/admin/export', { token: editor.token })).status, 403);
+        assert.equal((await source.get('/api/admin/export')).status, 401);
+        assert.equal((await source.post('/api/admin/import', { token: editor.token, body: exported })).status, 403);
+    });
+
+    it('exports every collection as one JSON file, without tokens', async () => {
+        const res = await source.get('/api/admin/export', { token: pastor.token });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="awc-export-2026-10-14\.json"/);
+        assert.equal(exported.format, 'awc-export');
+        assert.equal(exported.version, 1);
+        assert.ok(exported.posts.some(post => post.id === 'harvest-sunday'));
+        assert.equal(exported.prayers.find(row => String(row.id) === prayer.id).author_email, 'hannah@example.com');
+        assert.equal(exported.comments.length, 3);
+        assert.ok(exported.testimonials.some(row => row.name === 'Eli'));
+
+        const text = JSON.stringify(exported);
+        assert.doesNotMatch(text, /manage_token_hash|edit_token_hash|fingerprint/);
+    });
+
+    it('exports one collection as CSV and limits by creation date', async () => {
+        const csv = await source.get('/api/admin/export?format=csv&type=prayers', { token: pastor.token });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.body, /^id,name,request,hearts,anonymous,visibility,author_email,notify_comments,archived_at,created_at\r\n/);
+        assert.match(csv.body, /Hannah,For a quiet heart/);
+
+        const none = await source.get('/api/admin/export?type=comments&from=2020-01-01&to=2020-12-31', { token: pastor.token });
+        assert.deepEqual(none.body.comments, []);
+        assert.equal(none.body.posts, undefined);
+
+        for (const query of ['format=csv', 'format=xml', 'type=users', 'from=2026-13-01', 'from=2026-02-01&to=2026-01-01']) {
+            const res = await source.get(`/api/admin/export?${query}`, { token: pastor.token });
+            assert.equal(res.status, 400, query);
+        }
+    });
+
+    describe('importing into another site', () => {
+        let target;
+        let targetPastor;
+        before(async () => {
+            target = await createTestApp();
+            targetPastor = await target.signIn('pastor');
+            // Already has a post with the same slug, and a prayer with the same id
+            const editor = await target.signIn('editor');
+            await target.post('/api/posts', {
+                token: editor.token,
+                body: { title: 'Harvest Sunday', author: 'Pastor Ann', content: '<p>Ours</p>', status: 'published' }
+            });
+            await target.post('/api/prayers', { body: { request: 'Already here' } });
+        });
+        after(() => target.close());
+
+        it('checks a dry run without writing anything', async () => {
+            const before = await target.storage.archive.dump();
+            const res = await target.post('/api/admin/import?dry_run=true', { token: targetPastor.token, body: exported });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.dry_run, true);
+            assert.equal(res.body.valid, true);
+            assert.deepEqual(res.body.errors, []);
+            assert.equal(res.body.counts.comments, 3);
+            assert.equal(res.body.id_map.posts['harvest-sunday'], 'harvest-sunday-2');
+            assert.deepEqual(await target.storage.archive.dump(), before);
+        });
+
+        it('adds everything under new ids, re-pointing comments at them', async () => {
+            const res = await target.post('/api/admin/import', { token: targetPastor.token, body: exported });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            const { id_map: idMap } = res.body;
+            assert.equal(idMap.posts['harvest-sunday'], 'harvest-sunday-2');
+            assert.notEqual(String(idMap.prayers[prayer.id]), prayer.id);
+
+            const ours = await target.get('/api/posts/harvest-sunday');
+            assert.equal(ours.body.post.author, 'Pastor Ann');
+            const theirs = await target.get('/api/posts/harvest-sunday-2/comments');
+            assert.equal(theirs.body.comments.length, 1);
+            assert.equal(theirs.body.comments[0].replies[0].author_name, 'Boaz');
+
+            const prayerComments = await target.get(`/api/prayers/${idMap.prayers[prayer.id]}/comments`);
+            assert.equal(prayerComments.body.comments[0].author_name, 'Naomi');
+
+            // Imported content is searchable straight away
+            const search = await target.get('/api/search?q=fruits');
+            assert.equal(search.body.results[0].id, 'harvest-sunday-2');
+        });
+
+        it("won't attach a comment to a local row that happens to share its target's id", async () => {
+            // A comments-only export: the prayer it's on was left out, and this site has a prayer with that id
+            const onlyComments = { ...exported, posts: [], prayers: [], testimonials: [], comments: exported.comments.filter(row => row.target_type === 'prayer') };
+            assert.ok(await target.storage.prayers.findById(onlyComments.comments[0].target_id));
+
+            const res = await target.post('/api/admin/import', { token: targetPastor.token, body: onlyComments });
+            assert.equal(res.status, 400);
+            assert.match(res.body.errors[0].error, new RegExp(`Comment on prayer ${prayer.id}, which isn't in the import`));
+        });
+
+        it('rejects a file with bad rows and imports none of it', async () => {
+            const before = await target.storage.archive.dump();
+            const broken = {
+                ...exported,
+                prayers: [{ id: 1, request: '' }],
+                comments: [
+                    { id: 1, target_type: 'post', target_id: 'nowhere', author_name: 'Ruth', content: 'Hello' },
+                    { id: 2, target_type: 'post', target_id: 'nowhere', author_name: 'Ruth', content: 'Hi', parent_id: 9 }
+                ]
+            };
+            const res = await target.post('/api/admin/import', { token: targetPastor.token, body: broken });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map(error => [error.collection, error.id]), [
+                ['prayers', 1],
+                ['comments', 2],
+                ['comments', 1]
+            ]);
+            assert.match(res.body.errors[0].error, /Prayer request required/);
+            assert.match(res.body.errors[2].error, /isn't in the import/);
+            assert.deepEqual(await target.storage.archive.dump(), before);
+
+            const badId = await target.post('/api/admin/import?dry_run=true', {
+                token: targetPastor.token,
+                body: { ...exported, posts: [{ ...exported.posts[0], id: "x', true);alert(1);//", slug: null }], comments: [] }
+            });
+            assert.equal(badId.body.valid, false);
+            assert.match(badId.body.errors[0].error, /Post id must be a slug/);
+
+            const notExport = await target.post('/api/admin/import?dry_run=true', { token: targetPastor.token, body: { posts: [] } });
+            assert.equal(notExport.body.valid, false);
+            assert.match(notExport.body.errors[0].error, /Not an export file/);
+        });
+    });
+});
+
+describe('backups', () => {
+    let t;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        pastor = await t.signIn('pastor');
+    });
+    after(() => t.close());
+
+    it('takes a backup on request and lists it', async () => {
+        const res = await t.post('/api/admin/backups', { token: pastor.token });
+        assert.equal(res.status, 201);
+        assert.match(res.body.backup.file, /^awc-backup-.*\.db$/);
+        assert.ok(res.body.backup.size > 0);
+
+        const list = await t.get('/api/admin/backups', { token: pastor.token });
+        assert.equal(list.body.backups[0].file, res.body.backup.file);
+        assert.equal((await t.get('/api/admin/backups', { token: (await t.signIn('moderator')).token })).status, 403);
+    });
+
+    it('keeps only the newest BACKUP_KEEP', async () => {
+        const keep = backups.settings.keep;
+        backups.settings.keep = 2;
+        try {
+            for (const day of ['2026-10-01', '2026-10-02', '2026-10-03']) {
+                await backups.createBackup(t.storage.db, new Date(`${day}T03:00:00Z`));
+            }
+            const { removed } = await backups.createBackup(t.storage.db, new Date('2026-10-04T03:00:00Z'));
+            assert.ok(removed.includes('awc-backup-2026-10-03T03-00-00-000Z.db'));
+            const files = backups.listBackups().map(backup => backup.file);
+            assert.equal(files.length, 2);
+            assert.ok(files.includes('awc-backup-2026-10-04T03-00-00-000Z.db'));
+            assert.deepEqual(fs.readdirSync(backups.settings.dir).sort(), [...files].sort());
+        } finally {
+            backups.settings.keep = keep;
+        }
+    });
+});
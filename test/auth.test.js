@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+describe('auth and staff accounts', () => {
+    let t;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        pastor = await t.signIn('pastor', { email: 'pastor@awc.test', password: 'secret-password' });
+    });
+    after(() => t.close());
+
+    describe('POST /api/auth/login', () => {
+        it('exchanges valid credentials for a token', async () => {
+            const res = await t.post('/api/auth/login', { body: { email: 'pastor@awc.test', password: 'secret-password' } });
+            assert.equal(res.status, 200);
+            assert.match(res.body.token, /^[0-9a-f]{64}$/);
+            assert.equal(res.body.user.role, 'pastor');
+            assert.equal(res.body.user.password_hash, undefined);
+
+            const me = await t.get('/api/auth/me', { token: res.body.token });
+            assert.equal(me.body.user.email, 'pastor@awc.test');
+        });
+
+        it('requires an email and password', async () => {
+            const res = await t.post('/api/auth/login', { body: { email: 'pastor@awc.test' } });
+            assert.equal(res.status, 400);
+        });
+
+        it('gives the same answer for a wrong password and an unknown email', async () => {
+            const wrong = await t.post('/api/auth/login', { body: { email: 'pastor@awc.test', password: 'nope-nope' } });
+            const unknown = await t.post('/api/auth/login', { body: { email: 'nobody@awc.test', password: 'nope-nope' } });
+            assert.equal(wrong.status, 401);
+            assert.deepEqual(unknown.body, wrong.body);
+        });
+    });
+
+    describe('GET /api/auth/me', () => {
+        it('returns the signed-in user', async () => {
+            const res = await t.get('/api/auth/me', { token: pastor.token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.id, pastor.user.id);
+        });
+
+        it('401s without a token or with a bad one', async () => {
+            assert.equal((await t.get('/api/auth/me')).status, 401);
+            const res = await t.get('/api/auth/me', { token: 'f'.repeat(64) });
+            assert.equal(res.status, 401);
+            assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+        });
+    });
+
+    describe('POST /api/auth/logout', () => {
+        it('revokes the token', async () => {
+            const { token } = await t.signIn('editor');
+            assert.equal((await t.post('/api/auth/logout', { token })).status, 200);
+            assert.equal((await t.get('/api/auth/me', { token })).status, 401);
+        });
+
+        it('401s without a token', async () => {
+            assert.equal((await t.post('/api/auth/logout')).status, 401);
+        });
+    });
+
+    describe('/api/admin/users', () => {
+        it('lets the pastor list accounts and roles', async () => {
+            const res = await t.get('/api/admin/users', { token: pastor.token });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.users.some(user => user.email === 'pastor@awc.test'));
+            assert.ok(res.body.roles.includes('moderator'));
+        });
+
+        it('is pastor only', async () => {
+            const { token } = await t.signIn('moderator');
+            assert.equal((await t.get('/api/admin/users', { token })).status, 403);
+            assert.equal((await t.post('/api/admin/users', { token, body: {} })).status, 403);
+            assert.equal((await t.get('/api/admin/users')).status, 401);
+        });
+
+        it('creates an account that can log in', async () => {
+            const account = { email: 'new-editor@awc.test', name: 'New Editor', password: 'password123', role: 'editor' };
+            const res = await t.post('/api/admin/users', { token: pastor.token, body: account });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.user.role, 'editor');
+
+            const login = await t.post('/api/auth/login', { body: { email: account.email, password: account.password } });
+            assert.equal(login.status, 200);
+        });
+
+        it('validates new accounts', async () => {
+            const base = { email: 'x@awc.test', name: 'X', password: 'password123', role: 'editor' };
+            for (const [change, error] of [
+                [{ email: 'not-an-email' }, /email/i],
+                [{ name: ' ' }, /name/i],
+                [{ password: 'short' }, /password/i],
+                [{ role: 'bishop' }, /role/i]
+            ]) {
+                const res = await t.post('/api/admin/users', { token: pastor.token, body: { ...base, ...change } });
+                assert.equal(res.status, 400);
+                assert.match(res.body.error, error);
+            }
+        });
+
+        it('409s on a duplicate email', async () => {
+            const res = await t.post('/api/admin/users', {
+                token: pastor.token,
+                body: { email: 'pastor@awc.test', name: 'Again', password: 'password123', role: 'editor' }
+            });
+            assert.equal(res.status, 409);
+        });
+
+        it('deletes another account, but not your own or a missing one', async () => {
+            const { user } = await t.signIn('member');
+            assert.equal((await t.delete(`/api/admin/users/${user.id}`, { token: pastor.token })).status, 200);
+            assert.equal((await t.delete(`/api/admin/users/${user.id}`, { token: pastor.token })).status, 404);
+            assert.equal((await t.delete(`/api/admin/users/${pastor.user.id}`, { token: pastor.token })).status, 400);
+            // However the id is written
+            for (const id of [`0${pastor.user.id}`, `${pastor.user.id}.0`, ` ${pastor.user.id}`]) {
+                assert.equal((await t.delete(`/api/admin/users/${encodeURIComponent(id)}`, { token: pastor.token })).status, 404, id);
+            }
+            assert.equal((await t.get('/api/auth/me', { token: pastor.token })).status, 200);
+        });
+    });
+});
+
+describe('expired sessions', () => {
+    let t;
+    before(async () => {
+        t = await createTestApp();
+    });
+    after(() => t.close());
+
+    it('are refused, then cleared out of the database', async () => {
+        const { token } = await t.signIn('editor');
+        t.clock.advance(13 * 60 * 60 * 1000);
+        const { token: fresh } = await t.signIn('editor');
+
+        assert.equal(await t.storage.users.removeExpiredSessions(), 1);
+        assert.equal((await t.get('/api/auth/me', { token })).status, 401);
+        assert.equal((await t.get('/api/auth/me', { token: fresh })).status, 200);
+    });
+});
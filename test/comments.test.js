@@ -0,0 +1,249 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+describe('comments and moderation', () => {
+    let t;
+    let moderator;
+    before(async () => {
+        t = await createTestApp();
+        moderator = await t.signIn('moderator');
+
+        const editor = await t.signIn('editor');
+        for (const title of ['Legacy Post', 'Edit Post', 'Queue Post', 'Delete Post']) {
+            await t.post('/api/posts', {
+                token: editor.token,
+                body: { title, author: 'Pastor John', content: '<p>Body</p>', status: 'published' }
+            });
+        }
+        await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Draft Post', author: 'Pastor John', content: '<p>Body</p>', status: 'draft' }
+        });
+    });
+    after(() => t.close());
+
+    let counter = 0;
+    const comment = async (url, fields = {}) => {
+        const res = await t.post(url, { body: { author_name: 'Ruth', content: `Amen, praying for you (${++counter})`, ...fields } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body;
+    };
+
+    describe('POST /api/:collection/:id/comments', () => {
+        it('adds an approved comment with a one-time edit token', async () => {
+            const res = await comment('/api/posts/ministry-teams-post/comments');
+            assert.equal(res.comment.status, 'approved');
+            assert.match(res.edit_token, /^[0-9a-f]{48}$/);
+            assert.equal(res.comment.author_email, undefined);
+        });
+
+        it('threads replies under their parent', async () => {
+            const parent = await comment('/api/posts/prayer-leadership-post/comments');
+            await comment('/api/posts/prayer-leadership-post/comments', { parent_id: parent.comment.id });
+
+            const res = await t.get('/api/posts/prayer-leadership-post/comments');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 2);
+            assert.equal(res.body.comments.length, 1);
+            assert.equal(res.body.comments[0].replies.length, 1);
+        });
+
+        it('rejects a reply to a comment elsewhere', async () => {
+            const other = await comment('/api/posts/ministry-teams-post/comments');
+            const res = await t.post('/api/posts/prayer-leadership-post/comments', { body: { content: 'Hi', parent_id: other.comment.id } });
+            assert.equal(res.status, 400);
+        });
+
+        it('validates content and email', async () => {
+            for (const body of [{}, { content: ' ' }, { content: 'x'.repeat(2001) }, { content: 'Hello', author_email: 'nope' }]) {
+                const res = await t.post('/api/posts/ministry-teams-post/comments', { body });
+                assert.equal(res.status, 400, JSON.stringify(body));
+            }
+        });
+
+        it('holds flagged comments for review', async () => {
+            const spam = await comment('/api/posts/ministry-teams-post/comments', { content: 'Cheap viagra here' });
+            assert.equal(spam.comment.status, 'pending');
+            assert.equal(spam.message, 'Comment submitted for review');
+
+            const bot = await comment('/api/posts/ministry-teams-post/comments', { website: 'http://spam.example' });
+            assert.equal(bot.comment.status, 'pending');
+
+            const links = await comment('/api/posts/ministry-teams-post/comments', {
+                content: 'see http://a.example http://b.example http://c.example'
+            });
+            assert.equal(links.comment.status, 'pending');
+
+            const list = await t.get('/api/posts/ministry-teams-post/comments');
+            assert.ok(!list.body.comments.some(item => item.id === spam.comment.id));
+        });
+
+        it('holds a comment sent through the hidden field on the comment forms', async () => {
+            for (const page of ['/ministry-teams-post.html', '/prayer-leadership-post.html']) {
+                const html = (await t.get(page)).body;
+                const field = /<div class="hidden" aria-hidden="true">\s*<input type="text" id="commentWebsite" name="([a-z]+)"/.exec(html);
+                assert.ok(field, page);
+
+                const bot = await comment('/api/posts/ministry-teams-post/comments', { [field[1]]: 'http://spam.example' });
+                assert.equal(bot.comment.status, 'pending');
+            }
+        });
+
+        it('comments on prayers the viewer can see, and emails the submitter', async () => {
+            const { body } = await t.post('/api/prayers', {
+                body: { name: 'Naomi', request: 'Healing for my mother', email: 'naomi@example.com' }
+            });
+            await comment(`/api/prayers/${body.prayer.id}/comments`, { content: 'Standing with you' });
+
+            await t.notifier.processQueue();
+            const mail = t.sent.find(message => message.to === 'naomi@example.com');
+            assert.ok(mail, 'submitter was emailed');
+            assert.match(mail.text, /Standing with you/);
+        });
+
+        it('404s on posts that do not exist or are not published', async () => {
+            for (const id of ['no-such-post', 'draft-post']) {
+                assert.equal((await t.get(`/api/posts/${id}/comments`)).status, 404, id);
+                const res = await t.post(`/api/posts/${id}/comments`, { body: { author_name: 'Ruth', content: 'Hello' } });
+                assert.equal(res.status, 404, id);
+                assert.equal(res.body.error, 'Post not found');
+            }
+        });
+
+        it('404s on prayers the viewer cannot see and unapproved testimonies', async () => {
+            const { body } = await t.post('/api/prayers', { body: { request: 'Private', visibility: 'prayer_team' } });
+            assert.equal((await t.get(`/api/prayers/${body.prayer.id}/comments`)).status, 404);
+            assert.equal((await t.post(`/api/prayers/${body.prayer.id}/comments`, { body: { content: 'Hi' } })).status, 404);
+            assert.equal((await t.get('/api/testimonials/99999/comments')).status, 404);
+        });
+    });
+
+    describe('older /api/comments/:postId paths', () => {
+        it('list and add post comments', async () => {
+            const res = await t.post('/api/comments/legacy-post', { body: { content: 'Old client comment' } });
+            assert.equal(res.status, 201);
+            const list = await t.get('/api/comments/legacy-post');
+            assert.equal(list.body.total, 1);
+        });
+    });
+
+    describe('PUT /api/comments/:id', () => {
+        it('edits with the edit token inside the window', async () => {
+            const { comment: created, edit_token: token } = await comment('/api/posts/edit-post/comments');
+            const res = await t.put(`/api/comments/${created.id}`, { body: { edit_token: token, content: 'Edited words' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.comment.content, 'Edited words');
+            assert.ok(res.body.comment.edited_at);
+        });
+
+        it('refuses a wrong token, an expired window and bad content', async () => {
+            const { comment: created, edit_token: token } = await comment('/api/posts/edit-post/comments');
+            assert.equal((await t.put(`/api/comments/${created.id}`, { body: { edit_token: 'wrong', content: 'x' } })).status, 403);
+            assert.equal((await t.put(`/api/comments/${created.id}`, { body: { edit_token: token, content: ' ' } })).status, 400);
+            assert.equal((await t.put('/api/comments/99999', { body: { edit_token: token, content: 'x' } })).status, 404);
+
+            t.clock.advance(16 * 60 * 1000);
+            const late = await t.put(`/api/comments/${created.id}`, { body: { edit_token: token, content: 'Too late' } });
+            assert.equal(late.status, 403);
+            assert.match(late.body.error, /within 15 minutes/);
+        });
+
+        it('sends edited content back through moderation', async () => {
+            const { comment: created, edit_token: token } = await comment('/api/posts/edit-post/comments');
+            const res = await t.put(`/api/comments/${created.id}`, { body: { edit_token: token, content: 'Visit my casino' } });
+            assert.equal(res.body.comment.status, 'pending');
+        });
+    });
+
+    describe('moderation queue', () => {
+        let pending;
+        before(async () => {
+            pending = (await comment('/api/posts/queue-post/comments', { content: 'Buy crypto giveaway now' })).comment;
+        });
+
+        it('lists pending comments with their flags and email', async () => {
+            const res = await t.get('/api/admin/moderation?type=post', { token: moderator.token });
+            assert.equal(res.status, 200);
+            const item = res.body.comments.find(entry => entry.id === pending.id);
+            assert.deepEqual(item.flags, ['blocked_word:crypto giveaway']);
+            assert.equal(res.body.mode, 'flagged');
+        });
+
+        it('validates the filters and needs a moderator', async () => {
+            assert.equal((await t.get('/api/admin/moderation?status=spam', { token: moderator.token })).status, 400);
+            assert.equal((await t.get('/api/admin/moderation?type=video', { token: moderator.token })).status, 400);
+            const editor = await t.signIn('editor');
+            assert.equal((await t.get('/api/admin/moderation', { token: editor.token })).status, 403);
+            assert.equal((await t.get('/api/admin/moderation/counts')).status, 401);
+        });
+
+        it('counts comments by status', async () => {
+            const res = await t.get('/api/admin/moderation/counts', { token: moderator.token });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.pending >= 1);
+            assert.equal(res.body.total, res.body.pending + res.body.approved + res.body.rejected);
+        });
+
+        it('approves a single comment onto the page', async () => {
+            const res = await t.post(`/api/admin/moderation/${pending.id}/approve`, { token: moderator.token });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.comment.status, 'approved');
+            const list = await t.get('/api/posts/queue-post/comments');
+            assert.ok(list.body.comments.some(item => item.id === pending.id));
+            assert.equal((await t.post('/api/admin/moderation/99999/reject', { token: moderator.token })).status, 404);
+        });
+
+        it('approves, rejects and deletes in bulk', async () => {
+            const a = (await comment('/api/posts/queue-post/comments', { content: 'porn link' })).comment;
+            const b = (await comment('/api/posts/queue-post/comments', { content: 'more porn' })).comment;
+
+            const res = await t.post('/api/admin/moderation/bulk', { token: moderator.token, body: { action: 'reject', ids: [a.id, b.id, '99999'] } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.updated, 2);
+            assert.equal(res.body.results[2].success, false);
+
+            const removed = await t.post('/api/admin/moderation/bulk', { token: moderator.token, body: { action: 'delete', ids: [a.id] } });
+            assert.equal(removed.body.updated, 1);
+        });
+
+        it('validates bulk requests', async () => {
+            assert.equal((await t.post('/api/admin/moderation/bulk', { token: moderator.token, body: { action: 'hide', ids: ['1'] } })).status, 400);
+            assert.equal((await t.post('/api/admin/moderation/bulk', { token: moderator.token, body: { action: 'approve', ids: [] } })).status, 400);
+            for (const bad of [{ id: 1 }, [1], true, null, '', ' ', 0, -3, 1.5]) {
+                const res = await t.post('/api/admin/moderation/bulk', { token: moderator.token, body: { action: 'approve', ids: ['1', bad] } });
+                assert.equal(res.status, 400, JSON.stringify(bad));
+            }
+        });
+    });
+
+    describe('admin comment routes', () => {
+        it('GET /api/admin/comments lists everything, optionally by type', async () => {
+            const res = await t.get('/api/admin/comments?type=prayer', { token: moderator.token });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.comments.every(item => item.target_type === 'prayer'));
+            assert.equal((await t.get('/api/admin/comments?type=video', { token: moderator.token })).status, 400);
+            assert.equal((await t.get('/api/admin/comments')).status, 401);
+        });
+
+        it('DELETE /api/comments/:id removes a comment and its replies', async () => {
+            const parent = (await comment('/api/posts/delete-post/comments')).comment;
+            await comment('/api/posts/delete-post/comments', { parent_id: parent.id });
+            assert.equal((await t.delete(`/api/comments/${parent.id}`, { token: moderator.token })).status, 200);
+            assert.equal((await t.get('/api/posts/delete-post/comments')).body.total, 0);
+            assert.equal((await t.delete(`/api/comments/${parent.id}`, { token: moderator.token })).status, 404);
+            assert.equal((await t.delete(`/api/comments/${parent.id}`)).status, 401);
+        });
+    });
+
+    describe('GET /api/stats', () => {
+        it('totals prayers, hearts and prayer comments', async () => {
+            const res = await t.get('/api/stats');
+            assert.equal(res.status, 200);
+            for (const key of ['totalPrayers', 'totalHearts', 'totalComments']) {
+                assert.equal(typeof res.body.stats[key], 'number');
+            }
+            assert.ok(res.body.stats.totalComments >= 1);
+        });
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+const { createLogger, redact } = require('../lib/logger');
+const { loadConfig } = require('../lib/config');
+const mail = require('../lib/mail');
+
+// Runs fn with console.log/console.error collecting lines instead of printing them
+async function captureLogs(fn) {
+    const lines = [];
+    const { log, error } = console;
+    console.log = line => lines.push(line);
+    console.error = line => lines.push(line);
+    try {
+        await fn();
+        // The closing request line is written once the response has gone
+        await new Promise(resolve => setTimeout(resolve, 20));
+    } finally {
+        Object.assign(console, { log, error });
+    }
+    return lines.map(line => JSON.parse(line));
+}
+
+describe('structured logging', () => {
+    it('redacts personal fields at any depth', () => {
+        const cleaned = redact({
+            name: 'Ruth',
+            request: 'Please pray for my mother',
+            author_email: 'ruth@example.com',
+            visibility: 'public',
+            nested: { comments: [{ author_name: 'Boaz', content: 'Amen', id: 4 }] }
+        });
+        assert.deepEqual(cleaned, {
+            name: '[redacted]',
+            request: '[redacted]',
+            author_email: '[redacted]',
+            visibility: 'public',
+            nested: { comments: [{ author_name: '[redacted]', content: '[redacted]', id: 4 }] }
+        });
+    });
+
+    it('writes one JSON object per line at or above the level', async () => {
+        const lines = await captureLogs(() => {
+            const log = createLogger({ level: 'info' }).child({ requestId: 'abc' });
+            log.debug('hidden');
+            log.info('Prayer added', { id: 7, email: 'ruth@example.com' });
+            log.error('Broke', { error: new Error('boom') });
+        });
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].level, 'info');
+        assert.equal(lines[0].requestId, 'abc');
+        assert.equal(lines[0].email, '[redacted]');
+        assert.equal(lines[1].error.message, 'boom');
+        assert.ok(lines[1].error.stack);
+    });
+
+    it('keeps addresses, subjects and bodies out of the log mail transport', async () => {
+        const message = { to: 'ruth@example.com', subject: 'Ruth commented on your prayer request', text: 'Praying for your mother' };
+        const lines = await captureLogs(() => mail.transports.log(createLogger({ level: 'debug' })).send(message));
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].level, 'debug');
+        assert.equal(lines[0].to, '[redacted]');
+        assert.doesNotMatch(JSON.stringify(lines), /ruth|Ruth|mother/);
+
+        assert.deepEqual(await captureLogs(() => mail.transports.log(createLogger({ level: 'info' })).send(message)), []);
+    });
+
+    it('rejects an unknown LOG_LEVEL', () => {
+        const config = loadConfig({ LOG_LEVEL: 'verbose' });
+        assert.equal(config.logLevel, 'info');
+        assert.ok(config.problems.some(problem => /LOG_LEVEL/.test(problem)));
+        assert.equal(loadConfig({ LOG_LEVEL: 'DEBUG' }).logLevel, 'debug');
+    });
+});
+
+describe('request ids and error responses', () => {
+    let t;
+    before(async () => { t = await createTestApp(); });
+    after(() => t.close());
+
+    it('gives every response a request id, keeping a sensible incoming one', async () => {
+        const res = await t.get('/api/health');
+        assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const passed = await t.get('/api/health', { headers: { 'X-Request-Id': 'edge-123' } });
+        assert.equal(passed.headers.get('x-request-id'), 'edge-123');
+
+        const junk = await t.get('/api/health', { headers: { 'X-Request-Id': 'a b<c>' } });
+        assert.notEqual(junk.headers.get('x-request-id'), 'a b<c>');
+    });
+
+    it('logs each request with its status and latency but not its body', async () => {
+        let id;
+        const lines = await captureLogs(async () => {
+            const res = await t.post('/api/prayers', { body: { name: 'Naomi', request: 'Healing for my knee', email: 'naomi@example.com' } });
+            id = res.headers.get('x-request-id');
+        });
+        const finished = lines.find(line => line.msg === 'Request finished' && line.requestId === id);
+        assert.equal(finished.method, 'POST');
+        assert.equal(finished.path, '/api/prayers');
+        assert.equal(finished.status, 201);
+        assert.equal(typeof finished.durationMs, 'number');
+
+        const text = JSON.stringify(lines);
+        for (const secret of ['Naomi', 'Healing', 'naomi@example.com']) assert.ok(!text.includes(secret), secret);
+    });
+
+    it('adds a code to the errors handlers send', async () => {
+        const res = await t.get('/api/posts/no-such-post');
+        assert.equal(res.status, 404);
+        assert.deepEqual(res.body, { success: false, error: 'Post not found', code: 'not_found' });
+
+        const invalid = await t.post('/api/prayers', { body: { request: '' } });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'bad_request');
+    });
+
+    it('answers malformed JSON, CORS denials and unknown API routes in the same shape', async () => {
+        const malformed = await t.post('/api/prayers', { body: '{"request": ' });
+        assert.equal(malformed.status, 400);
+        assert.deepEqual(malformed.body, { success: false, error: 'Request body is not valid JSON', code: 'invalid_json' });
+
+        const cors = await t.get('/api/health', { headers: { Origin: 'https://evil.example' } });
+        assert.equal(cors.status, 403);
+        assert.deepEqual(cors.body, { success: false, error: 'Origin not allowed', code: 'origin_not_allowed' });
+
+        const tooLarge = await t.post('/api/prayers', { body: { request: 'x'.repeat(30 * 1024) } });
+        assert.equal(tooLarge.body.code, 'payload_too_large');
+
+        const unknown = await t.get('/api/nothing-here');
+        assert.equal(unknown.status, 404);
+        assert.deepEqual(unknown.body, { success: false, error: 'Not found', code: 'not_found' });
+    });
+
+    it('turns an unexpected failure into a logged, generic 500', async () => {
+        const list = t.storage.posts.list;
+        t.storage.posts.list = async () => { throw new Error('database is locked'); };
+        let res;
+        const lines = await captureLogs(async () => {
+            res = await t.get('/api/posts');
+        });
+        t.storage.posts.list = list;
+
+        assert.equal(res.status, 500);
+        assert.deepEqual(res.body, { success: false, error: 'Something went wrong - please try again', code: 'internal_error' });
+        const logged = lines.find(line => line.msg === 'Unhandled error');
+        assert.equal(logged.requestId, res.headers.get('x-request-id'));
+        assert.equal(logged.error.message, 'database is locked');
+    });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+// An open event stream: `next()` resolves with the next { id, event, data } frame
+async function openStream(base, url, { headers = {}, token } = {}) {
+    const controller = new AbortController();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(base + url, { headers, signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+
+    return {
+        response,
+        async next() {
+            for (;;) {
+                const end = buffered.indexOf('\n\n');
+                if (end !== -1) {
+                    const frame = buffered.slice(0, end);
+                    buffered = buffered.slice(end + 2);
+                    const fields = Object.fromEntries(frame.split('\n').map(line => {
+                        const colon = line.indexOf(': ');
+                        return [line.slice(0, colon), line.slice(colon + 2)];
+                    }));
+                    if (!fields.event) continue;
+                    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+                }
+                const { value, done } = await reader.read();
+                if (done) throw new Error('Stream ended');
+                buffered += value;
+            }
+        },
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+describe('live events', () => {
+    let t;
+    let streams;
+    before(async () => {
+        t = await createTestApp();
+    });
+    after(() => t.close());
+
+    const open = async (url, options) => {
+        const stream = await openStream(t.base, url, options);
+        streams.push(stream);
+        return stream;
+    };
+    const withStreams = (test) => async () => {
+        streams = [];
+        try {
+            await test();
+        } finally {
+            streams.forEach(stream => stream.close());
+        }
+    };
+
+    it('streams new prayers and hearts', withStreams(async () => {
+        const stream = await open('/api/events');
+        assert.equal(stream.response.status, 200);
+        assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+
+        const created = await t.post('/api/prayers', { body: { name: 'Silas', request: 'Pray for my new job' } });
+        const { id } = created.body.prayer;
+        const event = await stream.next();
+        assert.equal(event.event, 'prayer.created');
+        assert.equal(event.data.prayer.id, id);
+
+        await t.post(`/api/prayers/${id}/heart`, { headers: { 'X-Visitor-Id': 'visitor-events-1' } });
+        const heart = await stream.next();
+        assert.equal(heart.event, 'prayer.hearted');
+        assert.equal(heart.data.id, id);
+    }));
+
+    it('only sends prayer team prayers to the prayer team', withStreams(async () => {
+        const member = await t.signIn('prayer_team');
+        const team = await open('/api/events?types=prayer.created', { token: member.token });
+        const visitor = await open('/api/events?types=prayer.created');
+
+        await t.post('/api/prayers', { body: { name: 'Lois', request: 'A private family matter', visibility: 'prayer_team' } });
+        await t.post('/api/prayers', { body: { name: 'Eunice', request: 'Safe travels to Ohio' } });
+
+        assert.equal((await team.next()).data.prayer.name, 'Lois');
+        assert.equal((await team.next()).data.prayer.name, 'Eunice');
+        assert.equal((await visitor.next()).data.prayer.name, 'Eunice');
+    }));
+
+    it('takes a prayer down only from walls that lose sight of it', withStreams(async () => {
+        const member = await t.signIn('prayer_team');
+        const team = await open('/api/events?types=prayer.deleted', { token: member.token });
+        const visitor = await open('/api/events?types=prayer.deleted');
+
+        const narrowed = (await t.post('/api/prayers', { body: { name: 'Phoebe', request: 'Pray for my sister' } })).body;
+        const res = await t.put(`/api/prayers/${narrowed.prayer.id}/manage?token=${narrowed.manage_token}`, { body: { visibility: 'prayer_team' } });
+        assert.equal(res.status, 200);
+
+        const removed = await visitor.next();
+        assert.equal(removed.data.id, narrowed.prayer.id);
+
+        // The team still sees it, so the first removal it hears about is the next deletion
+        const deleted = (await t.post('/api/prayers', { body: { name: 'Tabitha', request: 'Healing for my hands' } })).body;
+        await t.delete(`/api/prayers/${deleted.prayer.id}/manage?token=${deleted.manage_token}`);
+        assert.equal((await team.next()).data.id, deleted.prayer.id);
+        assert.equal((await visitor.next()).data.id, deleted.prayer.id);
+    }));
+
+    it('replays what a reconnecting client missed', withStreams(async () => {
+        const first = await open('/api/events?types=prayer.created');
+        await t.post('/api/prayers', { body: { name: 'Priscilla', request: 'Pray for our church plant' } });
+        const seen = await first.next();
+        first.close();
+
+        await t.post('/api/prayers', { body: { name: 'Aquila', request: 'Pray for the tent business' } });
+
+        const again = await open('/api/events?types=prayer.created', { headers: { 'Last-Event-ID': seen.id } });
+        const missed = await again.next();
+        assert.equal(missed.data.prayer.name, 'Aquila');
+
+        const reset = await open(`/api/events?lastEventId=${encodeURIComponent('0000-1')}`);
+        assert.equal((await reset.next()).event, 'reset');
+    }));
+
+    it('announces approved testimonies', withStreams(async () => {
+        const pastor = await t.signIn('pastor');
+        const stream = await open('/api/events?types=testimonial.approved');
+        const submitted = await t.post('/api/testimonials', { body: { name: 'Dorcas', testimony: 'The Lord restored my sight.' } });
+        await t.post(`/api/testimonials/${submitted.body.testimonial.id}/approve`, { token: pastor.token });
+
+        const event = await stream.next();
+        assert.equal(event.event, 'testimonial.approved');
+        assert.equal(event.data.testimonial.id, submitted.body.testimonial.id);
+    }));
+
+    it('stamps events with the app clock', async () => {
+        const events = [];
+        const unsubscribe = t.liveEvents.subscribe(event => events.push(event));
+        try {
+            await t.post('/api/prayers', { body: { name: 'Phoebe', request: 'Pray for the deacons' } });
+        } finally {
+            unsubscribe();
+        }
+        assert.equal(events[0].at, t.clock.now().toISOString());
+    });
+
+    it('rejects unknown event types', async () => {
+        const res = await t.get('/api/events?types=prayer.created,sermon.posted');
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /sermon\.posted/);
+    });
+});
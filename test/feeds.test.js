@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+describe('feeds', () => {
+    let t;
+    let editor;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+        pastor = await t.signIn('pastor');
+
+        const posts = [
+            { title: 'Grace Upon Grace', category: 'teaching', content: '<p>See <img src="/uploads/grace.png"></p>' },
+            { title: 'Fall Picnic', category: 'community', content: '<p>Bring a dish & a friend</p>' },
+            { title: 'Not Yet', category: 'teaching', content: '<p>Draft</p>', status: 'draft' }
+        ];
+        for (const post of posts) {
+            const res = await t.post('/api/posts', {
+                token: editor.token,
+                body: { author: 'Pastor John', status: 'published', ...post }
+            });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+        }
+    });
+    after(() => t.close());
+
+    it('serves published posts as RSS', async () => {
+        const res = await t.get('/feed.xml');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^application\/rss\+xml/);
+        assert.match(res.body, /<title>Grace Upon Grace<\/title>/);
+        assert.match(res.body, /<title>Fall Picnic<\/title>/);
+        assert.doesNotMatch(res.body, /Not Yet/);
+        assert.match(res.body, /Bring a dish &amp;amp; a friend&lt;\/p&gt;/);
+        assert.match(res.body, /src=&quot;http:\/\/awc\.test\/uploads\/grace\.png&quot;/);
+        assert.match(res.body, /<link>http:\/\/awc\.test\/posts\/grace-upon-grace<\/link>/);
+    });
+
+    it('serves Atom and JSON Feed', async () => {
+        const atom = await t.get('/atom.xml');
+        assert.match(atom.headers.get('content-type'), /^application\/atom\+xml/);
+        assert.match(atom.body, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+
+        const json = await t.get('/feed.json');
+        assert.match(json.headers.get('content-type'), /^application\/feed\+json/);
+        const feed = json.body;
+        assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+        assert.equal(feed.feed_url, 'http://awc.test/feed.json');
+        assert.ok(feed.items.some(item => item.title === 'Grace Upon Grace'));
+    });
+
+    it('filters by category', async () => {
+        const res = await t.get('/feed.json?category=community');
+        const feed = res.body;
+        assert.equal(feed.feed_url, 'http://awc.test/feed.json?category=community');
+        assert.deepEqual(feed.items.map(item => item.tags[0]), feed.items.map(() => 'Community'));
+        assert.ok(feed.items.some(item => item.title === 'Fall Picnic'));
+
+        const unknown = await t.get('/feed.xml?category=gossip');
+        assert.equal(unknown.status, 404);
+        assert.match(unknown.body.error, /expected one of/);
+    });
+
+    it('answers a conditional GET with 304', async () => {
+        const first = await t.get('/feed.xml');
+        const etag = first.headers.get('etag');
+        assert.ok(etag);
+        assert.ok(first.headers.get('last-modified'));
+
+        // fetch() adds Cache-Control: no-cache to conditional requests unless told otherwise
+        const headers = { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' };
+        const again = await t.get('/feed.xml', { headers });
+        assert.equal(again.status, 304);
+        assert.equal(again.body, '');
+    });
+
+    it('serves approved testimonies', async () => {
+        const submitted = await t.post('/api/testimonials', {
+            body: { name: 'Ruth', testimony: 'Healed after surgery.\n\nThank you for praying <3' }
+        });
+        const { id } = submitted.body.testimonial;
+
+        let feed = (await t.get('/testimonials/feed.json')).body;
+        assert.ok(!feed.items.some(item => item.author === 'Ruth'));
+
+        await t.post(`/api/testimonials/${id}/approve`, { token: pastor.token });
+        feed = (await t.get('/testimonials/feed.json')).body;
+        const item = feed.items.find(entry => entry.id === `http://awc.test/api/testimonials/${id}`);
+        assert.equal(item.title, 'Testimony from Ruth');
+        assert.equal(item.content_html, '<p>Healed after surgery.</p>\n<p>Thank you for praying &lt;3</p>');
+
+        const rss = await t.get('/testimonials/feed.xml');
+        assert.equal(rss.status, 200);
+        assert.match(rss.body, /http:\/\/awc\.test\/testimonials\/feed\.xml/);
+    });
+});
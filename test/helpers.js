@@ -0,0 +1,135 @@
+// Shared setup for the API tests: every test app gets its own in-memory
+// database, a clock the test controls (the app and the stores both read it),
+// a mail transport that just collects messages and a fetch wrapper bound to
+// its port.
+//
+// Settings read from the environment at load time are pinned here, before
+// any app module is required.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'awc-test-'));
+// Each test file runs in its own process, so this is once per file
+process.on('exit', () => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+// A test file can set any of these itself before requiring this one
+const TEST_ENV = {
+    SITE_URL: 'http://awc.test',
+    UPLOAD_DIR: path.join(TMP_DIR, 'uploads'),
+    MAIL_OUTBOX_DIR: path.join(TMP_DIR, 'outbox'),
+    BACKUP_DIR: path.join(TMP_DIR, 'backups'),
+    TESTIMONIAL_TIMEZONE: 'UTC',
+    TESTIMONIAL_WINDOWS: 'tue 12:00-fri 24:00',
+    TESTIMONIAL_BLACKOUT_DATES: ''
+};
+// Generous rate limits so suites don't trip them
+for (const name of ['prayer', 'heart', 'comment', 'testimonial', 'login', 'newsletter', 'like', 'view', 'visitors']) {
+    TEST_ENV[`RATE_LIMIT_${name.toUpperCase()}`] = '1000/60';
+}
+
+process.env.NODE_ENV = 'test';
+for (const [name, value] of Object.entries(TEST_ENV)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+}
+
+// The routes log every request; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+const { openStorage } = require('../db');
+const auth = require('../auth');
+const { createNotifier } = require('../lib/notifications');
+const { createEventHub } = require('../lib/liveEvents');
+const { createApp } = require('../app');
+
+// A Wednesday afternoon, inside the default testimony window
+const DEFAULT_NOW = '2026-10-14T15:00:00.000Z';
+
+function createClock(iso = DEFAULT_NOW) {
+    let current = new Date(iso);
+    return {
+        now: () => new Date(current),
+        set(value) {
+            current = new Date(value);
+        },
+        advance(ms) {
+            current = new Date(current.getTime() + ms);
+        }
+    };
+}
+
+// { status, headers, body } - body is parsed JSON for JSON responses, text otherwise
+async function request(base, method, url, { body, token, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+        init.body = body;
+    } else if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const response = await fetch(base + url, init);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json') && text;
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+async function createTestApp({ now } = {}) {
+    const clock = createClock(now);
+    const storage = await openStorage(':memory:', { clock });
+    const sent = [];
+    const notifier = createNotifier(storage, {
+        transport: { name: 'test', send: async (message) => { sent.push(message); } }
+    });
+    const liveEvents = createEventHub({ clock });
+    const app = createApp({ storage, notifier, clock, liveEvents });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    let users = 0;
+    const call = (method) => (url, options) => request(base, method, url, options);
+
+    return {
+        app,
+        storage,
+        notifier,
+        clock,
+        liveEvents,
+        sent,
+        base,
+        get: call('GET'),
+        post: call('POST'),
+        put: call('PUT'),
+        delete: call('DELETE'),
+
+        // A staff account with the given role and a live session token
+        async signIn(role, { email = `${role}${++users}@awc.test`, password = 'password123' } = {}) {
+            const user = await storage.users.create({
+                email,
+                name: `Test ${role}`,
+                passwordHash: await auth.hashPassword(password),
+                role
+            });
+            const { token } = await auth.createSession(storage, user);
+            return { user, token, email, password };
+        },
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await storage.close();
+        }
+    };
+}
+
+module.exports = {
+    TMP_DIR,
+    DEFAULT_NOW,
+    createClock,
+    createTestApp
+};
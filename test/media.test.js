@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createTestApp } = require('./helpers');
+
+function imageForm(buffer, name = 'photo.png', type = 'image/png') {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type }), name);
+    return form;
+}
+
+describe('media uploads', () => {
+    let t;
+    let editor;
+    let png;
+    let stored;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+        png = await sharp({ create: { width: 900, height: 600, channels: 3, background: '#c8a040' } }).png().toBuffer();
+    });
+    after(() => t.close());
+
+    describe('POST /api/media', () => {
+        it('stores an image with thumbnails and serves it under /media', async () => {
+            const res = await t.post('/api/media', { token: editor.token, body: imageForm(png) });
+            assert.equal(res.status, 201);
+            stored = res.body.media;
+            assert.equal(stored.width, 900);
+            assert.equal(stored.original_name, 'photo.png');
+            assert.deepEqual(stored.thumbnail_widths, [320, 800]);
+
+            const file = await fetch(t.base + stored.url);
+            assert.equal(file.status, 200);
+            assert.equal((await fetch(t.base + stored.thumbnails[320])).status, 200);
+        });
+
+        it('returns the existing image for a duplicate upload', async () => {
+            const res = await t.post('/api/media', { token: editor.token, body: imageForm(png, 'copy.png') });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.media.id, stored.id);
+        });
+
+        it('rejects files that are not images', async () => {
+            const res = await t.post('/api/media', { token: editor.token, body: imageForm(Buffer.from('<?php echo 1; ?>'), 'x.png') });
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /Image must be one of/);
+        });
+
+        it('needs a file in the "file" field', async () => {
+            assert.equal((await t.post('/api/media', { token: editor.token, body: new FormData() })).status, 400);
+
+            const form = new FormData();
+            form.append('image', new Blob([png], { type: 'image/png' }), 'photo.png');
+            assert.equal((await t.post('/api/media', { token: editor.token, body: form })).status, 400);
+        });
+
+        it('is for editors and the pastor only', async () => {
+            const { token } = await t.signIn('moderator');
+            assert.equal((await t.post('/api/media', { token, body: imageForm(png) })).status, 403);
+            assert.equal((await t.post('/api/media', { body: imageForm(png) })).status, 401);
+        });
+    });
+
+    describe('GET /api/media', () => {
+        it('lists uploads for editors', async () => {
+            const res = await t.get('/api/media', { token: editor.token });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.media.some(item => item.id === stored.id));
+            assert.equal((await t.get('/api/media')).status, 401);
+        });
+    });
+
+    describe('DELETE /api/media/:id', () => {
+        it('removes the record and the files', async () => {
+            assert.equal((await t.delete(`/api/media/${stored.id}`, { token: editor.token })).status, 200);
+            assert.equal((await fetch(t.base + stored.url)).status, 404);
+            assert.equal((await t.delete(`/api/media/${stored.id}`, { token: editor.token })).status, 404);
+        });
+    });
+});
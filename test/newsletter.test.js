@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_NOW, createTestApp } = require('./helpers');
+
+// The confirm link's token, from the last confirmation email sent to this address
+function confirmToken(sent, email) {
+    const message = sent.filter(item => item.to === email && /confirm your subscription/.test(item.subject)).pop();
+    return /confirm\?token=([0-9a-f]+)/.exec(message.text)[1];
+}
+
+describe('newsletter', () => {
+    let t;
+    let editor;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+    });
+    after(() => t.close());
+
+    const subscribe = async (email) => {
+        const res = await t.post('/api/newsletter/subscribe', { body: { email } });
+        assert.equal(res.status, 202);
+        await t.notifier.processQueue();
+        return confirmToken(t.sent, email);
+    };
+
+    it('confirms a subscription from the emailed link', async () => {
+        const token = await subscribe('lydia@example.com');
+
+        const res = await t.get(`/api/newsletter/confirm?token=${token}`);
+        assert.equal(res.status, 303);
+        assert.equal(res.headers.get('location'), '/awc-blog.html?newsletter=confirmed');
+
+        const again = await t.get(`/api/newsletter/confirm?token=${token}`);
+        assert.equal(again.headers.get('location'), '/awc-blog.html?newsletter=invalid');
+
+        const list = await t.get('/api/admin/newsletter/subscribers?status=confirmed', { token: editor.token });
+        assert.deepEqual(list.body.subscribers.map(subscriber => subscriber.email), ['lydia@example.com']);
+    });
+
+    it('gives the same reply for an address already on the list', async () => {
+        const res = await t.post('/api/newsletter/subscribe', { body: { email: 'lydia@example.com' } });
+        assert.equal(res.status, 202);
+        assert.equal((await t.post('/api/newsletter/subscribe', { body: { email: 'not-an-email' } })).status, 400);
+    });
+
+    it('expires confirmation links', async () => {
+        const token = await subscribe('late@example.com');
+        t.clock.advance(49 * 60 * 60 * 1000);
+        try {
+            const res = await t.get(`/api/newsletter/confirm?token=${token}`);
+            assert.equal(res.headers.get('location'), '/awc-blog.html?newsletter=invalid');
+        } finally {
+            t.clock.set(DEFAULT_NOW);
+        }
+    });
+
+    it('exports subscribers as CSV', async () => {
+        const res = await t.get('/api/admin/newsletter/subscribers?format=csv&status=confirmed', { token: editor.token });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /newsletter-subscribers-confirmed\.csv/);
+        const [header, row] = res.body.trim().split(/\r?\n/);
+        assert.equal(header, 'id,email,status,created_at,confirmed_at,unsubscribed_at');
+        assert.match(row, /lydia@example\.com,confirmed/);
+
+        assert.equal((await t.get('/api/admin/newsletter/subscribers?status=lost', { token: editor.token })).status, 400);
+        const moderator = await t.signIn('moderator');
+        assert.equal((await t.get('/api/admin/newsletter/subscribers', { token: moderator.token })).status, 403);
+    });
+
+    it('sends the weekly digest once, with an unsubscribe link each', async () => {
+        const empty = await t.post('/api/admin/newsletter/digest/send', { token: editor.token, body: { week_of: '2020-01-06' } });
+        assert.equal(empty.status, 400);
+        const badWeek = await t.get('/api/admin/newsletter/digest?week_of=monday', { token: editor.token });
+        assert.equal(badWeek.status, 400);
+
+        await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Harvest Sunday', author: 'Pastor John', category: 'community', status: 'published', content: '<p>Join us</p>' }
+        });
+
+        const preview = await t.get('/api/admin/newsletter/digest', { token: editor.token });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.posts, 1);
+        assert.equal(preview.body.sent, null);
+        assert.match(preview.body.text, /Harvest Sunday/);
+
+        const sent = await t.post('/api/admin/newsletter/digest/send', { token: editor.token, body: {} });
+        assert.equal(sent.status, 202);
+        assert.equal(sent.body.digest.recipients, 1);
+        await t.notifier.processQueue();
+
+        const digest = t.sent.find(message => message.to === 'lydia@example.com' && message.subject === preview.body.subject);
+        const unsubscribe = /unsubscribe\?token=([0-9a-f]+)/.exec(digest.text)[1];
+
+        assert.equal((await t.post('/api/admin/newsletter/digest/send', { token: editor.token, body: {} })).status, 409);
+
+        const res = await t.get(`/api/newsletter/unsubscribe?token=${unsubscribe}`);
+        assert.equal(res.status, 303);
+        assert.equal(res.headers.get('location'), '/awc-blog.html?newsletter=unsubscribed');
+        // Opening the link twice is harmless
+        assert.equal((await t.post('/api/newsletter/unsubscribe', { body: { token: unsubscribe } })).status, 200);
+        assert.equal((await t.storage.newsletter.recipients()).length, 0);
+    });
+
+    it('leaves posts scheduled for later in the week out of the digest', async () => {
+        await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Friday Vigil', author: 'Pastor John', status: 'published', published_at: '2026-10-16T19:00:00.000Z', content: '<p>All night</p>' }
+        });
+
+        const preview = await t.get('/api/admin/newsletter/digest', { token: editor.token });
+        assert.doesNotMatch(preview.body.text, /Friday Vigil/);
+
+        t.clock.set('2026-10-17T09:00:00.000Z');
+        try {
+            const { token } = await t.signIn('editor');
+            const later = await t.get('/api/admin/newsletter/digest', { token });
+            assert.match(later.body.text, /Friday Vigil/);
+        } finally {
+            t.clock.set(DEFAULT_NOW);
+        }
+    });
+
+    it('unsubscribes with a POST', async () => {
+        const token = await subscribe('phoebe@example.com');
+        await t.get(`/api/newsletter/confirm?token=${token}`);
+        const [subscriber] = await t.storage.newsletter.recipients();
+
+        const res = await t.post('/api/newsletter/unsubscribe', { body: { token: subscriber.unsubscribe_token } });
+        assert.equal(res.status, 200);
+        assert.equal((await t.post('/api/newsletter/unsubscribe', { body: {} })).status, 404);
+        assert.equal((await t.post('/api/newsletter/unsubscribe', { body: { token: 'nope' } })).status, 404);
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+const TESTIMONY = { name: 'Hannah', testimony: 'Our son came home safe.' };
+
+describe('notifications', () => {
+    let t;
+    let pastor;
+    let moderator;
+    before(async () => {
+        t = await createTestApp();
+        pastor = await t.signIn('pastor');
+        moderator = await t.signIn('moderator');
+    });
+    after(() => t.close());
+
+    const recipientsOf = (event) => t.sent
+        .filter(message => message.subject.includes(event))
+        .map(message => message.to)
+        .sort();
+
+    it('shows the events a role can subscribe to', async () => {
+        const res = await t.get('/api/notifications/preferences', { token: moderator.token });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.preferences, [{
+            event: 'testimonial.submitted',
+            description: 'A new testimony is waiting for review',
+            enabled: false
+        }]);
+        assert.equal((await t.get('/api/notifications/preferences')).status, 401);
+    });
+
+    it('emails new testimonies to whoever is subscribed', async () => {
+        await t.post('/api/testimonials', { body: TESTIMONY });
+        await t.notifier.processQueue();
+        assert.deepEqual(recipientsOf('Hannah'), [pastor.email]);
+
+        const optIn = await t.put('/api/notifications/preferences', {
+            token: moderator.token,
+            body: { 'testimonial.submitted': true }
+        });
+        assert.equal(optIn.status, 200);
+        assert.equal(optIn.body.preferences[0].enabled, true);
+        await t.put('/api/notifications/preferences', { token: pastor.token, body: { 'testimonial.submitted': false } });
+
+        t.sent.length = 0;
+        await t.post('/api/testimonials', { body: TESTIMONY });
+        await t.notifier.processQueue();
+        assert.deepEqual(recipientsOf('Hannah'), [moderator.email]);
+    });
+
+    it('validates preference changes', async () => {
+        const unknown = await t.put('/api/notifications/preferences', {
+            token: moderator.token,
+            body: { 'newsletter.signup': true }
+        });
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.error, /expected one of: testimonial\.submitted/);
+
+        const notBoolean = await t.put('/api/notifications/preferences', {
+            token: moderator.token,
+            body: { 'testimonial.submitted': 'yes' }
+        });
+        assert.equal(notBoolean.status, 400);
+    });
+
+    it('shows the pastor the outbox and retries failed messages', async () => {
+        const id = await t.storage.notifications.enqueue({
+            event: 'newsletter.signup',
+            recipient: pastor.email,
+            subject: 'Will fail',
+            text: 'x',
+            html: '<p>x</p>'
+        });
+        await t.storage.notifications.markFailed(id, 'Mailbox unavailable', null);
+
+        const failed = await t.get('/api/admin/notifications?status=failed', { token: pastor.token });
+        assert.equal(failed.status, 200);
+        assert.equal(failed.body.transport, 'test');
+        assert.deepEqual(failed.body.notifications.map(message => String(message.id)), [String(id)]);
+        assert.equal(failed.body.notifications[0].last_error, 'Mailbox unavailable');
+        assert.equal(failed.body.counts.failed, 1);
+
+        const retried = await t.post(`/api/admin/notifications/${id}/retry`, { token: pastor.token });
+        assert.equal(retried.status, 200);
+        assert.ok(t.sent.some(message => message.subject === 'Will fail'));
+        assert.equal((await t.post(`/api/admin/notifications/${id}/retry`, { token: pastor.token })).status, 404);
+    });
+
+    it('keeps the outbox to the pastor', async () => {
+        assert.equal((await t.get('/api/admin/notifications', { token: moderator.token })).status, 403);
+        assert.equal((await t.get('/api/admin/notifications?status=lost', { token: pastor.token })).status, 400);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, DEFAULT_NOW } = require('./helpers');
+
+describe('post pages and sitemap', () => {
+    let t;
+    let editor;
+    let grace;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+
+        const posts = [
+            {
+                title: 'Grace Upon Grace',
+                category: 'teaching',
+                image: '/media/grace.jpg',
+                content: '<p>Grace &amp; truth, <strong>freely</strong> given.</p><p>Second paragraph.</p>'
+            },
+            { title: 'Fall Picnic', category: 'community', excerpt: 'Bring a dish </script><b>& a friend</b>', content: '<p>Details</p>' },
+            { title: 'Mustache', category: 'teaching', excerpt: 'About {{url}}', content: '<p>Write {{title}} and {{{jsonLd}}} here.</p>' },
+            { title: 'Not Yet', category: 'teaching', content: '<p>Draft</p>', status: 'draft' },
+            { title: 'Coming Soon', category: 'teaching', content: '<p>Later</p>', published_at: '2026-12-01T00:00:00.000Z' }
+        ];
+        for (const post of posts) {
+            const res = await t.post('/api/posts', {
+                token: editor.token,
+                body: { author: 'Pastor John', status: 'published', ...post }
+            });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            if (post.title === 'Grace Upon Grace') grace = res.body.post;
+        }
+    });
+    after(() => t.close());
+
+    it('renders a published post with its content and the page policy', async () => {
+        const res = await t.get('/posts/grace-upon-grace');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/html/);
+        assert.ok(res.headers.get('content-security-policy'));
+        assert.match(res.body, /<title>Grace Upon Grace - AWC Blog<\/title>/);
+        assert.match(res.body, /<p>Grace &amp; truth, <strong>freely<\/strong> given\.<\/p>/);
+        assert.match(res.body, new RegExp(`data-post-id="${grace.id}"`));
+        assert.match(res.body, /<script src="\/post-page\.js"><\/script>/);
+        // The comment form's honeypot (see the comment moderation tests)
+        assert.match(res.body, /<input type="text" id="commentWebsite" name="website" tabindex="-1" autocomplete="off">/);
+    });
+
+    it('includes canonical, Open Graph and Twitter card tags', async () => {
+        const { body } = await t.get('/posts/grace-upon-grace');
+        assert.match(body, /<link rel="canonical" href="http:\/\/awc\.test\/posts\/grace-upon-grace">/);
+        assert.match(body, /<meta property="og:url" content="http:\/\/awc\.test\/posts\/grace-upon-grace">/);
+        assert.match(body, /<meta property="og:image" content="http:\/\/awc\.test\/media\/grace\.jpg">/);
+        assert.match(body, /<meta name="twitter:card" content="summary_large_image">/);
+        // No excerpt, so the description is the post's text with the entities decoded once
+        assert.match(body, /<meta name="description" content="Grace &amp; truth, freely given\. Second paragraph\.">/);
+    });
+
+    it('describes the post as a BlogPosting in JSON-LD', async () => {
+        const { body } = await t.get('/posts/grace-upon-grace');
+        const json = /<script type="application\/ld\+json">(.*?)<\/script>/s.exec(body)[1];
+        const data = JSON.parse(json);
+        assert.equal(data['@type'], 'BlogPosting');
+        assert.equal(data.headline, 'Grace Upon Grace');
+        assert.equal(data.author.name, 'Pastor John');
+        assert.equal(data.mainEntityOfPage['@id'], 'http://awc.test/posts/grace-upon-grace');
+        assert.deepEqual(data.image, ['http://awc.test/media/grace.jpg']);
+        assert.equal(data.datePublished, grace.published_at);
+    });
+
+    it('escapes post text in tags and JSON-LD', async () => {
+        const { body } = await t.get('/posts/fall-picnic');
+        assert.match(body, /<meta name="twitter:card" content="summary">/);
+        assert.doesNotMatch(body, /og:image/);
+        // The excerpt is stored as plain text, so only its words reach the page
+        assert.match(body, /<meta name="description" content="Bring a dish &amp; a friend">/);
+        assert.equal(body.split('</script>').length, body.split('<script').length);
+    });
+
+    it('leaves placeholder-like text in a post as written', async () => {
+        const { body } = await t.get('/posts/mustache');
+        assert.match(body, /<p>Write \{\{title\}\} and \{\{\{jsonLd\}\}\} here\.<\/p>/);
+        assert.match(body, /<meta name="description" content="About \{\{url\}\}">/);
+    });
+
+    it('redirects an id to the slug address and a hand-built article to its file', async () => {
+        // Posts imported from posts.json kept their numeric ids
+        await t.storage.posts.create({
+            id: '7', slug: 'old-favourite', title: 'Old Favourite', author: 'Pastor John', content: '<p>Hi</p>',
+            category: 'teaching', status: 'published', published_at: '2025-01-05T00:00:00.000Z'
+        });
+        const byId = await t.get('/posts/7');
+        assert.equal(byId.status, 301);
+        assert.equal(byId.headers.get('location'), '/posts/old-favourite');
+
+        const standalone = await t.get('/posts/ministry-teams-post');
+        assert.equal(standalone.status, 301);
+        assert.equal(standalone.headers.get('location'), '/ministry-teams-post.html');
+    });
+
+    it('404s drafts, scheduled and unknown posts', async () => {
+        for (const slug of ['not-yet', 'coming-soon', 'no-such-post']) {
+            const res = await t.get(`/posts/${slug}`);
+            assert.equal(res.status, 404, slug);
+            assert.match(res.body, /Post not found/);
+        }
+    });
+
+    it('shows a scheduled post once its time comes', async () => {
+        t.clock.set('2026-12-02T00:00:00.000Z');
+        try {
+            assert.equal((await t.get('/posts/coming-soon')).status, 200);
+            assert.match((await t.get('/sitemap.xml')).body, /\/posts\/coming-soon</);
+        } finally {
+            t.clock.set(DEFAULT_NOW);
+        }
+    });
+
+    it('lists the blog and published posts in the sitemap', async () => {
+        const res = await t.get('/sitemap.xml');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^application\/xml/);
+        assert.match(res.body, /<urlset xmlns="http:\/\/www\.sitemaps\.org\/schemas\/sitemap\/0\.9">/);
+        assert.match(res.body, /<loc>http:\/\/awc\.test\/awc-blog\.html<\/loc>/);
+        assert.match(res.body, /<loc>http:\/\/awc\.test\/ministry-teams-post\.html<\/loc>/);
+        assert.match(res.body, /<loc>http:\/\/awc\.test\/posts\/grace-upon-grace<\/loc>\n {4}<lastmod>/);
+        assert.doesNotMatch(res.body, /not-yet|coming-soon/);
+    });
+
+    it('serves robots.txt pointing at the sitemap', async () => {
+        const res = await t.get('/robots.txt');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        assert.match(res.body, /^User-agent: \*$/m);
+        assert.match(res.body, /^Disallow: \/api\/$/m);
+        assert.match(res.body, /^Sitemap: http:\/\/awc\.test\/sitemap\.xml$/m);
+    });
+});
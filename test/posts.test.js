@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+const POST = {
+    title: 'Walking in Faith',
+    author: 'Pastor John',
+    content: '<p>Faith is the substance of things hoped for.</p>',
+    excerpt: 'On faith',
+    category: 'teaching',
+    status: 'published'
+};
+
+describe('blog posts', () => {
+    let t;
+    let editor;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+    });
+    after(() => t.close());
+
+    const createPost = async (fields = {}) => {
+        const res = await t.post('/api/posts', { token: editor.token, body: { ...POST, ...fields } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body.post;
+    };
+
+    describe('POST /api/posts', () => {
+        it('creates a post with a slug from its title', async () => {
+            const post = await createPost();
+            assert.equal(post.slug, 'walking-in-faith');
+            assert.equal(post.categoryLabel, 'Bible Teaching');
+            assert.equal(post.published_at, t.clock.now().toISOString());
+        });
+
+        it('numbers the slug when the title is taken', async () => {
+            const post = await createPost();
+            assert.equal(post.slug, 'walking-in-faith-2');
+        });
+
+        it('409s on an explicit slug that is taken', async () => {
+            const res = await t.post('/api/posts', { token: editor.token, body: { ...POST, slug: 'walking-in-faith' } });
+            assert.equal(res.status, 409);
+        });
+
+        it('validates the post', async () => {
+            for (const change of [{ title: '' }, { author: undefined }, { category: 'gossip' }, { status: 'live' }, { published_at: 'soon' }, { slug: '!!!' }]) {
+                const res = await t.post('/api/posts', { token: editor.token, body: { ...POST, ...change } });
+                assert.equal(res.status, 400, JSON.stringify(change));
+            }
+        });
+
+        it('is for editors and the pastor only', async () => {
+            const { token } = await t.signIn('moderator');
+            assert.equal((await t.post('/api/posts', { token, body: POST })).status, 403);
+            assert.equal((await t.post('/api/posts', { body: POST })).status, 401);
+        });
+    });
+
+    describe('GET /api/posts', () => {
+        let draft;
+        let scheduled;
+        before(async () => {
+            draft = await createPost({ title: 'Draft thoughts', status: 'draft' });
+            scheduled = await createPost({ title: 'Christmas service', category: 'community', published_at: '2099-12-25T10:00:00.000Z' });
+        });
+
+        it('lists published posts with engagement counts', async () => {
+            const res = await t.get('/api/posts');
+            assert.equal(res.status, 200);
+            const ids = res.body.posts.map(post => post.id);
+            assert.ok(ids.includes('walking-in-faith'));
+            assert.ok(!ids.includes(draft.id));
+            assert.ok(!ids.includes(scheduled.id));
+            const [first] = res.body.posts;
+            assert.equal(typeof first.likes, 'number');
+            assert.equal(typeof first.views, 'number');
+            assert.equal(typeof first.comments, 'number');
+        });
+
+        it('filters by category and paginates', async () => {
+            const res = await t.get('/api/posts?category=teaching&limit=1&page=2');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.posts.length, 1);
+            assert.equal(res.body.page, 2);
+            assert.equal(res.body.totalPages, res.body.total);
+            assert.ok(res.body.posts.every(post => post.category === 'teaching'));
+        });
+
+        it('rejects an unknown category or status', async () => {
+            assert.equal((await t.get('/api/posts?category=gossip')).status, 400);
+            assert.equal((await t.get('/api/posts?status=deleted', { token: editor.token })).status, 400);
+        });
+
+        it('shows drafts and scheduled posts to editors only', async () => {
+            const drafts = await t.get('/api/posts?status=draft', { token: editor.token });
+            assert.deepEqual(drafts.body.posts.map(post => post.id), [draft.id]);
+            const upcoming = await t.get('/api/posts?status=scheduled', { token: editor.token });
+            assert.deepEqual(upcoming.body.posts.map(post => post.id), [scheduled.id]);
+
+            assert.equal((await t.get('/api/posts?status=draft')).status, 401);
+            const member = await t.signIn('member');
+            assert.equal((await t.get('/api/posts?status=all', { token: member.token })).status, 403);
+        });
+    });
+
+    describe('GET /api/posts/:idOrSlug', () => {
+        it('finds a published post by slug', async () => {
+            const res = await t.get('/api/posts/walking-in-faith');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.post.title, POST.title);
+        });
+
+        it('hides drafts from the public but not from editors', async () => {
+            assert.equal((await t.get('/api/posts/draft-thoughts')).status, 404);
+            assert.equal((await t.get('/api/posts/draft-thoughts', { token: editor.token })).status, 200);
+        });
+
+        it('404s for an unknown post', async () => {
+            assert.equal((await t.get('/api/posts/no-such-post')).status, 404);
+        });
+    });
+
+    describe('PUT /api/posts/:id', () => {
+        it('changes only the fields sent', async () => {
+            const post = await createPost({ title: 'Old title' });
+            const res = await t.put(`/api/posts/${post.id}`, { token: editor.token, body: { title: 'New title', slug: 'renamed' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.post.title, 'New title');
+            assert.equal(res.body.post.slug, 'renamed');
+            assert.equal(res.body.post.author, POST.author);
+        });
+
+        it('clears the category with null or an empty string', async () => {
+            for (const category of [null, '']) {
+                const post = await createPost({ title: `Uncategorized ${JSON.stringify(category)}` });
+                const res = await t.put(`/api/posts/${post.id}`, { token: editor.token, body: { category } });
+                assert.equal(res.status, 200, JSON.stringify(res.body));
+                assert.equal(res.body.post.category, null);
+                assert.equal(res.body.post.categoryLabel, null);
+            }
+        });
+
+        it('stamps the publish date when a draft is published', async () => {
+            const res = await t.put('/api/posts/draft-thoughts', { token: editor.token, body: { status: 'published' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.post.published_at, t.clock.now().toISOString());
+        });
+
+        it('validates, 409s on a taken slug and 404s on a missing post', async () => {
+            assert.equal((await t.put('/api/posts/walking-in-faith', { token: editor.token, body: { title: ' ' } })).status, 400);
+            assert.equal((await t.put('/api/posts/walking-in-faith', { token: editor.token, body: { slug: 'renamed' } })).status, 409);
+            assert.equal((await t.put('/api/posts/nope', { token: editor.token, body: { title: 'x' } })).status, 404);
+        });
+    });
+
+    describe('engagement', () => {
+        const visitor = (id) => ({ headers: { 'X-Visitor-Id': id } });
+
+        it('counts one like per visitor and lets it be taken back', async () => {
+            const first = await t.post('/api/posts/walking-in-faith/like', visitor('visitor-a'));
+            assert.equal(first.status, 200);
+            assert.equal(first.body.likes, 1);
+            assert.equal(first.body.alreadyLiked, false);
+
+            const again = await t.post('/api/posts/walking-in-faith/like', visitor('visitor-a'));
+            assert.equal(again.body.likes, 1);
+            assert.equal(again.body.alreadyLiked, true);
+
+            const summary = await t.get('/api/posts/walking-in-faith/engagement', visitor('visitor-a'));
+            assert.equal(summary.body.liked, true);
+
+            const unliked = await t.delete('/api/posts/walking-in-faith/like', visitor('visitor-a'));
+            assert.equal(unliked.body.likes, 0);
+            assert.equal(unliked.body.liked, false);
+        });
+
+        it('counts a view once per visitor per day', async () => {
+            const first = await t.post('/api/posts/walking-in-faith/view', visitor('visitor-b'));
+            assert.equal(first.body.counted, true);
+            const again = await t.post('/api/posts/walking-in-faith/view', visitor('visitor-b'));
+            assert.equal(again.body.counted, false);
+            assert.equal(again.body.views, 1);
+        });
+
+        it('works for the hand-built article pages', async () => {
+            const res = await t.post('/api/posts/ministry-teams-post/like', visitor('visitor-c'));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.likes, 1);
+        });
+
+        it('404s for drafts and unknown posts', async () => {
+            const draft = await createPost({ title: 'Still a draft', status: 'draft' });
+            for (const id of [draft.id, 'no-such-post']) {
+                assert.equal((await t.get(`/api/posts/${id}/engagement`)).status, 404);
+                assert.equal((await t.post(`/api/posts/${id}/like`)).status, 404);
+                assert.equal((await t.delete(`/api/posts/${id}/like`)).status, 404);
+                assert.equal((await t.post(`/api/posts/${id}/view`)).status, 404);
+            }
+        });
+    });
+
+    describe('DELETE /api/posts/:id', () => {
+        it('removes the post and its engagement', async () => {
+            const post = await createPost({ title: 'Short lived' });
+            await t.post(`/api/posts/${post.id}/like`);
+            assert.equal((await t.delete(`/api/posts/${post.id}`, { token: editor.token })).status, 200);
+            assert.equal((await t.get(`/api/posts/${post.id}`, { token: editor.token })).status, 404);
+            assert.deepEqual(await t.storage.engagement.statsFor([post.id]), { [post.id]: { likes: 0, views: 0 } });
+        });
+
+        it('404s for a missing post and needs an editor', async () => {
+            assert.equal((await t.delete('/api/posts/nope', { token: editor.token })).status, 404);
+            assert.equal((await t.delete('/api/posts/walking-in-faith')).status, 401);
+        });
+    });
+});
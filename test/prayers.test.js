@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+const { archiveExpiredPrayers } = require('../server');
+
+describe('prayer wall', () => {
+    let t;
+    let team;
+    let member;
+    before(async () => {
+        t = await createTestApp();
+        team = await t.signIn('prayer_team');
+        member = await t.signIn('member');
+    });
+    after(() => t.close());
+
+    const createPrayer = async (fields = {}) => {
+        const res = await t.post('/api/prayers', { body: { name: 'Grace', request: 'Pray for my family', ...fields } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body;
+    };
+    const wallIds = async (token) => (await t.get('/api/prayers', { token })).body.prayers.map(prayer => prayer.id);
+
+    describe('POST /api/prayers', () => {
+        it('posts a prayer and returns its manage link once', async () => {
+            const { prayer, manage_token: token, manage_url: url } = await createPrayer({ email: 'grace@example.com' });
+            assert.equal(prayer.name, 'Grace');
+            assert.equal(prayer.visibility, 'public');
+            assert.equal(prayer.email, undefined);
+            assert.equal(url, `/manage-prayer.html?id=${prayer.id}&token=${token}`);
+
+            // The link opens the manage page, which calls the manage API
+            const page = await t.get(url);
+            assert.equal(page.status, 200);
+            assert.match(page.body, /<script src="\/manage-prayer\.js"><\/script>/);
+            assert.match(page.body, /<meta name="referrer" content="no-referrer">/);
+            assert.match((await t.get('/manage-prayer.js')).body, /\/prayers\/\$\{encodeURIComponent\(PRAYER_ID\)\}\/manage\?token=/);
+        });
+
+        it('hides the name of anonymous prayers', async () => {
+            const { prayer } = await createPrayer({ anonymous: true });
+            assert.equal(prayer.name, 'Anonymous');
+        });
+
+        it('validates the request', async () => {
+            for (const body of [{}, { request: ' ' }, { request: 'x'.repeat(2001) }, { request: 'ok', visibility: 'everyone' }, { request: 'ok', email: 'nope' }]) {
+                const res = await t.post('/api/prayers', { body });
+                assert.equal(res.status, 400, JSON.stringify(body));
+            }
+        });
+    });
+
+    describe('GET /api/prayers', () => {
+        it('shows each viewer only the visibility levels they may see', async () => {
+            const { prayer: open } = await createPrayer();
+            const { prayer: members } = await createPrayer({ visibility: 'members' });
+            const { prayer: privateOne } = await createPrayer({ visibility: 'prayer_team' });
+
+            const anonymous = await wallIds();
+            assert.ok(anonymous.includes(open.id));
+            assert.ok(!anonymous.includes(members.id));
+
+            const signedIn = await wallIds(member.token);
+            assert.ok(signedIn.includes(members.id));
+            assert.ok(!signedIn.includes(privateOne.id));
+
+            assert.ok((await wallIds(team.token)).includes(privateOne.id));
+        });
+
+        it('lets only the prayer team see the archive', async () => {
+            assert.equal((await t.get('/api/prayers?archived=true')).status, 403);
+            assert.equal((await t.get('/api/prayers?archived=true', { token: member.token })).status, 403);
+            assert.equal((await t.get('/api/prayers?archived=true', { token: team.token })).status, 200);
+        });
+    });
+
+    describe('POST /api/prayers/:id/heart', () => {
+        it('counts one heart per visitor', async () => {
+            const { prayer } = await createPrayer();
+            const headers = { 'X-Visitor-Id': 'heart-visitor' };
+            const first = await t.post(`/api/prayers/${prayer.id}/heart`, { headers });
+            assert.equal(first.status, 200);
+            assert.equal(first.body.prayer.hearts, 1);
+            assert.equal(first.body.alreadyHearted, false);
+
+            const again = await t.post(`/api/prayers/${prayer.id}/heart`, { headers });
+            assert.equal(again.body.prayer.hearts, 1);
+            assert.equal(again.body.alreadyHearted, true);
+        });
+
+        it('404s for prayers the visitor cannot see', async () => {
+            const { prayer } = await createPrayer({ visibility: 'prayer_team' });
+            assert.equal((await t.post(`/api/prayers/${prayer.id}/heart`)).status, 404);
+            assert.equal((await t.post(`/api/prayers/${prayer.id}/heart`, { token: team.token })).status, 200);
+            assert.equal((await t.post('/api/prayers/99999/heart')).status, 404);
+        });
+    });
+
+    describe('/api/prayers/:id/manage', () => {
+        let prayer;
+        let token;
+        before(async () => {
+            ({ prayer, manage_token: token } = await createPrayer({ email: 'submitter@example.com' }));
+        });
+
+        it('shows the submitter their prayer with its email', async () => {
+            const res = await t.get(`/api/prayers/${prayer.id}/manage?token=${token}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.prayer.email, 'submitter@example.com');
+            assert.equal(res.body.prayer.notify_comments, true);
+        });
+
+        it('404s without the right token', async () => {
+            assert.equal((await t.get(`/api/prayers/${prayer.id}/manage`)).status, 404);
+            assert.equal((await t.get(`/api/prayers/${prayer.id}/manage?token=${'0'.repeat(token.length)}`)).status, 404);
+            assert.equal((await t.put(`/api/prayers/${prayer.id}/manage?token=wrong`, { body: { visibility: 'members' } })).status, 404);
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}/manage?token=wrong`)).status, 404);
+        });
+
+        it('changes visibility and comment emails', async () => {
+            const res = await t.put(`/api/prayers/${prayer.id}/manage`, {
+                body: { token, visibility: 'members', notify_comments: false }
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.prayer.visibility, 'members');
+            assert.equal(res.body.prayer.notify_comments, false);
+            assert.ok(!(await wallIds()).includes(prayer.id));
+        });
+
+        it('validates changes', async () => {
+            for (const body of [{ visibility: 'all' }, { archived: false }, { notify_comments: 'yes' }]) {
+                const res = await t.put(`/api/prayers/${prayer.id}/manage?token=${token}`, { body });
+                assert.equal(res.status, 400, JSON.stringify(body));
+            }
+        });
+
+        it('archives the prayer off the wall', async () => {
+            const res = await t.put(`/api/prayers/${prayer.id}/manage?token=${token}`, { body: { archived: true } });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.prayer.archived_at);
+            assert.ok(!(await wallIds(member.token)).includes(prayer.id));
+            const archive = await t.get('/api/prayers?archived=true', { token: team.token });
+            assert.ok(archive.body.prayers.some(item => item.id === prayer.id));
+        });
+
+        it('deletes the prayer', async () => {
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}/manage?token=${token}`)).status, 200);
+            assert.equal((await t.get(`/api/prayers/${prayer.id}/manage?token=${token}`)).status, 404);
+        });
+    });
+
+    describe('DELETE /api/prayers/:id', () => {
+        it('lets moderators remove a prayer', async () => {
+            const moderator = await t.signIn('moderator');
+            const { prayer } = await createPrayer();
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}`, { token: moderator.token })).status, 200);
+            assert.ok(!(await wallIds()).includes(prayer.id));
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}`, { token: moderator.token })).status, 404);
+        });
+
+        it('is for moderators and the pastor only', async () => {
+            const { prayer } = await createPrayer();
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}`, { token: team.token })).status, 403);
+            assert.equal((await t.delete(`/api/prayers/${prayer.id}`)).status, 401);
+        });
+    });
+
+    describe('storage transactions', () => {
+        it('keep other callers\' writes out of a transaction that rolls back', async () => {
+            const { db, prayers } = t.storage;
+            const count = async () => (await db.get('SELECT COUNT(*) AS total FROM prayers')).total;
+            const before = await count();
+
+            let opened;
+            const open = new Promise(resolve => { opened = resolve; });
+            const failing = db.transaction(async () => {
+                await prayers.create({ name: 'Tx', request: 'Rolled back' });
+                opened();
+                await new Promise(resolve => setTimeout(resolve, 20));
+                throw new Error('Rolled back on purpose');
+            });
+            // Other requests write while the transaction is open
+            await open;
+            const writes = [1, 2, 3].map(n => prayers.create({ name: 'Other', request: `Kept ${n}` }));
+            await assert.rejects(failing, /Rolled back on purpose/);
+            await Promise.all(writes);
+
+            assert.equal(await count(), before + 3);
+        });
+    });
+});
+
+describe('automatic prayer archiving', () => {
+    let t;
+    before(async () => { t = await createTestApp(); });
+    after(() => t.close());
+
+    it('takes prayers off the wall once they are PRAYER_ARCHIVE_DAYS old by the storage clock', async () => {
+        const { body } = await t.post('/api/prayers', { body: { name: 'Hannah', request: 'Pray for a child' } });
+        const onWall = async () => (await t.get('/api/prayers')).body.prayers.some(prayer => prayer.id === body.prayer.id);
+
+        t.clock.advance(29 * 24 * 60 * 60 * 1000);
+        await archiveExpiredPrayers(t.storage, t.liveEvents);
+        assert.ok(await onWall());
+
+        const events = [];
+        const unsubscribe = t.liveEvents.subscribe(event => events.push(event));
+        t.clock.advance(2 * 24 * 60 * 60 * 1000);
+        try {
+            await archiveExpiredPrayers(t.storage, t.liveEvents);
+        } finally {
+            unsubscribe();
+        }
+        assert.ok(!await onWall());
+        assert.deepEqual(events.map(event => [event.type, event.data.id]), [['prayer.archived', body.prayer.id]]);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Limits are read once at load, so set them before the app is built
+process.env.RATE_LIMIT_PRAYER = '2/60';
+process.env.RATE_LIMIT_LOGIN = '1/60';
+process.env.RATE_LIMIT_VISITORS = '3/3600';
+const { createTestApp } = require('./helpers');
+const { resetRateLimits } = require('../lib/rateLimit');
+
+describe('rate limits', () => {
+    let t;
+    before(async () => {
+        t = await createTestApp();
+    });
+    after(() => t.close());
+
+    const prayer = (headers) => t.post('/api/prayers', { headers, body: { name: 'Tabitha', request: 'Pray for my exams' } });
+
+    it('refuses requests over the limit with Retry-After', async () => {
+        resetRateLimits();
+        assert.equal((await prayer()).status, 201);
+        const second = await prayer();
+        assert.equal(second.status, 201);
+        assert.equal(second.headers.get('ratelimit-remaining'), '0');
+
+        const third = await prayer();
+        assert.equal(third.status, 429);
+        assert.equal(third.body.error, 'Too many requests, please try again later');
+        assert.ok(Number(third.headers.get('retry-after')) > 0);
+        assert.equal(third.body.retryAfter, Number(third.headers.get('retry-after')));
+    });
+
+    it('counts each visitor as well as each address', async () => {
+        resetRateLimits();
+        const visitor = { 'X-Visitor-Id': 'visitor-rate-1' };
+        await prayer(visitor);
+        await prayer(visitor);
+        assert.equal((await prayer(visitor)).status, 429);
+        // Another visitor behind the same address is still held back by the IP count
+        assert.equal((await prayer({ 'X-Visitor-Id': 'visitor-rate-2' })).status, 429);
+    });
+
+    it('counts an address that keeps changing its visitor id as one visitor', async () => {
+        resetRateLimits();
+        const created = await t.storage.prayers.create({ name: 'Dorcas', request: 'For the sewing circle', anonymous: false });
+        for (let n = 1; n <= 10; n++) {
+            const res = await t.post(`/api/prayers/${created.id}/heart`, { headers: { 'X-Visitor-Id': `rotating-visitor-${n}` } });
+            assert.equal(res.status, 200);
+        }
+        // Three visitor IDs are allowed, then the address itself counts once
+        assert.equal((await t.storage.prayers.findById(created.id)).hearts, 4);
+    });
+
+    it('starts a new window once the app clock has moved past it', async () => {
+        resetRateLimits();
+        await prayer();
+        await prayer();
+        assert.equal((await prayer()).status, 429);
+
+        t.clock.advance(61 * 1000);
+        assert.equal((await prayer()).status, 201);
+    });
+
+    it('keeps separate counts per limit', async () => {
+        resetRateLimits();
+        await prayer();
+        await prayer();
+        const login = await t.post('/api/auth/login', { body: { email: 'nobody@awc.test', password: 'wrong-password' } });
+        assert.equal(login.status, 401);
+        const again = await t.post('/api/auth/login', { body: { email: 'nobody@awc.test', password: 'wrong-password' } });
+        assert.equal(again.status, 429);
+    });
+});
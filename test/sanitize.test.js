@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+const { LIMITS, plainText, postHtml } = require('../lib/sanitize');
+
+describe('sanitization', () => {
+    let t;
+    let editor;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+        pastor = await t.signIn('pastor');
+    });
+    after(() => t.close());
+
+    describe('plainText', () => {
+        it('removes tags, comments and script contents', () => {
+            assert.equal(plainText('<b>Praise</b> God<script>alert(1)</script>'), 'Praise God');
+            assert.equal(plainText('a<!-- hidden -->b'), 'ab');
+            assert.equal(plainText('hi <img src=x onerror=alert(1)'), 'hi');
+        });
+
+        it('removes tags rebuilt from the pieces of others', () => {
+            assert.equal(plainText('<<b>script>alert(1)<</b>/script>'), '');
+            assert.doesNotMatch(plainText('<scr<i>ipt>alert(1)</script>'), /</);
+        });
+
+        it('keeps text that only looks like markup', () => {
+            assert.equal(plainText('I <3 Sundays & 2 < 3 > 1'), 'I <3 Sundays & 2 < 3 > 1');
+            assert.equal(plainText('Line one\r\nLine two\u0007 '), 'Line one\nLine two');
+        });
+    });
+
+    describe('postHtml', () => {
+        it('keeps the editor\'s formatting', () => {
+            const html = '<h2>Grace</h2><p class="ql-align-center"><strong>Bold</strong> <a href="https://example.com">link</a></p><ul><li>One</li></ul>';
+            assert.equal(postHtml(html), html);
+        });
+
+        it('drops scripts, handlers and dangerous URLs', () => {
+            const html = postHtml('<p onclick="x()">Hi<script>bad()</script><iframe src="https://evil.test"></iframe>' +
+                '<a href="javascript:alert(1)">x</a><img src="/media/a.png" onerror="x()"><img src="data:image/png;base64,AA"></p>');
+            assert.equal(html, '<p>Hi<a>x</a><img src="/media/a.png" /><img /></p>');
+        });
+
+        it('keeps only the editor\'s classes and makes new-tab links safe', () => {
+            assert.equal(postHtml('<p class="fixed inset-0 ql-indent-1">x</p>'), '<p class="ql-indent-1">x</p>');
+            assert.equal(
+                postHtml('<a href="https://example.com" target="_blank">x</a>'),
+                '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+            );
+        });
+    });
+
+    describe('community submissions', () => {
+        it('stores prayers as plain text', async () => {
+            const res = await t.post('/api/prayers', {
+                body: { name: '<i>Mary</i>', request: 'Healing for my <b>mother</b><img src=x onerror=alert(1)>' }
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.prayer.name, 'Mary');
+            assert.equal(res.body.prayer.request, 'Healing for my mother');
+        });
+
+        it('stores comments as plain text', async () => {
+            const res = await t.post('/api/comments/ministry-teams-post', {
+                body: { author_name: '<script>x()</script>Ben', content: 'Amen! <a href="https://x.test">me</a>' }
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.comment.author_name, 'Ben');
+            assert.equal(res.body.comment.content, 'Amen! me');
+        });
+
+        it('stores testimonies as plain text', async () => {
+            const res = await t.post('/api/testimonials', { body: { name: 'Ruth', testimony: '<p>God is good</p><style>*{}</style>' } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.testimonial.testimony, 'God is good');
+        });
+
+        it('refuses submissions that are nothing but markup', async () => {
+            assert.equal((await t.post('/api/prayers', { body: { request: '<img src=x>' } })).status, 400);
+            assert.equal((await t.post('/api/comments/ministry-teams-post', { body: { content: '<b></b>' } })).status, 400);
+            assert.equal((await t.post('/api/testimonials', { body: { name: '<i></i>', testimony: 'Thanks' } })).status, 400);
+        });
+    });
+
+    describe('posts', () => {
+        it('sanitizes post HTML and text fields on create and update', async () => {
+            const created = await t.post('/api/posts', {
+                token: editor.token,
+                body: {
+                    title: 'Safe <script>alert(1)</script>Post',
+                    author: 'Pastor John',
+                    excerpt: '<b>Short</b>',
+                    category: 'teaching',
+                    content: '<p>Hello<img src="/media/x.png" onerror="alert(1)"></p>'
+                }
+            });
+            assert.equal(created.status, 201);
+            const { post } = created.body;
+            assert.equal(post.title, 'Safe Post');
+            assert.equal(post.excerpt, 'Short');
+            assert.equal(post.content, '<p>Hello<img src="/media/x.png" /></p>');
+
+            const updated = await t.put(`/api/posts/${post.id}`, {
+                token: editor.token,
+                body: { content: '<p>New</p><script>alert(2)</script>', excerpt: null }
+            });
+            assert.equal(updated.body.post.content, '<p>New</p>');
+            assert.equal(updated.body.post.excerpt, null);
+        });
+
+        it('refuses unsafe images and empty content', async () => {
+            const base = { title: 'Images', author: 'Pastor John', content: '<p>x</p>' };
+            for (const image of ['javascript:alert(1)', '/x" onerror="alert(1)', '//evil.test/x.png']) {
+                const res = await t.post('/api/posts', { token: editor.token, body: { ...base, image } });
+                assert.equal(res.status, 400, image);
+            }
+            const ok = await t.post('/api/posts', { token: editor.token, body: { ...base, image: 'https://example.com/a%20b.png' } });
+            assert.equal(ok.status, 201);
+
+            const empty = await t.post('/api/posts', { token: editor.token, body: { ...base, content: '<script>x()</script>' } });
+            assert.equal(empty.status, 400);
+            assert.equal(empty.body.error, 'Post content required');
+        });
+    });
+
+    describe('length limits', () => {
+        const long = (max) => 'x'.repeat(max + 1);
+
+        it('applies the same limits on every write route', async () => {
+            const cases = [
+                ['/api/prayers', { request: 'Pray', name: long(LIMITS.name) }, /Name must be less than 100/],
+                ['/api/prayers', { request: long(LIMITS.request) }, /less than 2000/],
+                ['/api/comments/ministry-teams-post', { content: 'Amen', author_name: long(LIMITS.name) }, /Name must be less than 100/],
+                ['/api/comments/ministry-teams-post', { content: long(LIMITS.comment) }, /less than 2000/],
+                ['/api/testimonials', { name: long(LIMITS.name), testimony: 'Thanks' }, /Name must be less than 100/],
+                ['/api/testimonials', { name: 'Ruth', testimony: long(LIMITS.testimony) }, /less than 2000/],
+                ['/api/newsletter/subscribe', { email: `${long(LIMITS.email)}@example.com` }, /valid email/]
+            ];
+            for (const [url, body, error] of cases) {
+                const res = await t.post(url, { body });
+                assert.equal(res.status, 400, `${url} ${Object.keys(body)}`);
+                assert.match(res.body.error, error);
+            }
+        });
+
+        it('limits staff-written fields too', async () => {
+            const post = { title: long(LIMITS.title), author: 'Pastor John', content: '<p>x</p>' };
+            const res = await t.post('/api/posts', { token: editor.token, body: post });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Post title must be less than 200 characters');
+
+            const user = await t.post('/api/admin/users', {
+                token: pastor.token,
+                body: { email: 'long@awc.test', name: long(LIMITS.name), password: 'password123', role: 'editor' }
+            });
+            assert.equal(user.status, 400);
+
+            const { body } = await t.post('/api/testimonials', { body: { name: 'Ruth', testimony: 'Thanks' } });
+            const review = await t.post(`/api/testimonials/${body.testimonial.id}/reject`, {
+                token: pastor.token,
+                body: { reason: long(LIMITS.note) }
+            });
+            assert.equal(review.status, 400);
+            assert.match(review.body.error, /Note must be less than 1000/);
+        });
+    });
+
+    describe('Content-Security-Policy', () => {
+        it('is sent with the static pages', async () => {
+            const res = await t.get('/awc-blog.html');
+            assert.equal(res.status, 200);
+            const policy = res.headers.get('content-security-policy');
+            assert.match(policy, /default-src 'self'/);
+            assert.match(policy, /script-src 'self' https:\/\/cdn\.tailwindcss\.com;/);
+            assert.match(policy, /object-src 'none'/);
+            assert.match(policy, /frame-ancestors 'self'/);
+        });
+
+        it('holds for the pages: no inline scripts or event handler attributes', async () => {
+            for (const page of ['/awc-blog.html', '/ministry-teams-post.html', '/prayer-leadership-post.html', '/manage-prayer.html']) {
+                const { body } = await t.get(page);
+                assert.doesNotMatch(body, /<script(?![^>]*\bsrc=)[^>]*>/, page);
+                assert.doesNotMatch(body, /<[^>]+\son[a-z]+=/i, page);
+            }
+        });
+
+        it('is not needed on API responses', async () => {
+            const res = await t.get('/api/health');
+            assert.equal(res.headers.get('content-security-policy'), null);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers');
+
+describe('search', () => {
+    let t;
+    let editor;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        editor = await t.signIn('editor');
+        pastor = await t.signIn('pastor');
+
+        await t.post('/api/posts', {
+            token: editor.token,
+            body: {
+                title: 'Mustard Seed Faith',
+                author: 'Pastor John',
+                category: 'teaching',
+                status: 'published',
+                content: '<p>Faith as small as a <b>mustard</b> seed can move mountains.</p>'
+            }
+        });
+        await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Mustard Draft', author: 'Pastor John', category: 'teaching', status: 'draft', content: '<p>Unfinished</p>' }
+        });
+        await t.post('/api/prayers', { body: { name: 'Miriam', request: 'Pray for my mustard farm through the drought' } });
+        await t.post('/api/prayers', { body: { name: 'Tom & Jerry', request: 'Thankful for rain & sun <3 on the orchard' } });
+    });
+    after(() => t.close());
+
+    it('finds published posts and public prayers, highlighting matches', async () => {
+        const res = await t.get('/api/search?q=mustard');
+        assert.equal(res.status, 200);
+        const types = res.body.results.map(result => result.type).sort();
+        assert.deepEqual(types, ['post', 'prayer']);
+        const post = res.body.results.find(result => result.type === 'post');
+        assert.equal(post.title, '<mark>Mustard</mark> Seed Faith');
+        assert.doesNotMatch(post.snippet, /<b>/);
+    });
+
+    it('indexes plain text and escapes it once in highlights', async () => {
+        const res = await t.get('/api/search?q=orchard');
+        assert.equal(res.body.total, 1);
+        assert.equal(res.body.results[0].snippet, 'Thankful for rain &amp; sun &lt;3 on the <mark>orchard</mark>');
+        assert.equal(res.body.results[0].title, 'Prayer request from Tom &amp; Jerry');
+        assert.equal(res.body.results[0].author, 'Tom &amp; Jerry');
+
+        // Entity names aren't in the text, so they don't match
+        for (const q of ['amp', 'lt']) {
+            assert.equal((await t.get(`/api/search?q=${q}`)).body.total, 0, q);
+        }
+    });
+
+    it('escapes authors too', async () => {
+        const created = await t.post('/api/posts', {
+            token: editor.token,
+            body: { title: 'Psalm Night', author: 'Ruth & "Naomi" <3', category: 'teaching', status: 'published', content: '<p>Psalms</p>' }
+        });
+        assert.equal(created.status, 201);
+        const [result] = (await t.get('/api/search?q=psalm')).body.results;
+        assert.equal(result.author, 'Ruth &amp; &quot;Naomi&quot; &lt;3');
+    });
+
+    it('filters by type and category and pages the results', async () => {
+        const prayers = await t.get('/api/search?q=mustard&type=prayer');
+        assert.deepEqual(prayers.body.results.map(result => result.type), ['prayer']);
+
+        const community = await t.get('/api/search?q=mustard&category=community');
+        assert.equal(community.body.total, 0);
+
+        const paged = await t.get('/api/search?q=mustard&limit=1&page=2');
+        assert.equal(paged.body.results.length, 1);
+        assert.equal(paged.body.totalPages, 2);
+    });
+
+    it('validates the query', async () => {
+        assert.equal((await t.get('/api/search')).status, 400);
+        assert.equal((await t.get('/api/search?q=%22%22')).status, 400);
+        assert.equal((await t.get('/api/search?q=faith&type=sermon')).status, 400);
+        assert.equal((await t.get('/api/search?q=faith&category=gossip')).status, 400);
+    });
+
+    it('lets the pastor rebuild the index', async () => {
+        assert.equal((await t.post('/api/admin/search/reindex', { token: editor.token })).status, 403);
+
+        const res = await t.post('/api/admin/search/reindex', { token: pastor.token });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.indexed >= 2);
+        assert.equal((await t.get('/api/search?q=mustard')).body.total, 2);
+    });
+});
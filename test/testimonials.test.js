@@ -0,0 +1,250 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Christmas Eve 2026 is a Thursday, inside the usual Tuesday-Friday window
+process.env.TESTIMONIAL_BLACKOUT_DATES = '2026-12-24';
+const { createTestApp } = require('./helpers');
+const { loadConfig } = require('../lib/config');
+
+const TESTIMONY = { name: 'Esther', testimony: 'God provided a job when we had nothing left.' };
+
+describe('testimonials', () => {
+    let t;
+    let pastor;
+    before(async () => {
+        t = await createTestApp();
+        pastor = await t.signIn('pastor');
+    });
+    after(() => t.close());
+
+    const submit = async (fields = {}) => {
+        const res = await t.post('/api/testimonials', { body: { ...TESTIMONY, ...fields } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body;
+    };
+    const review = (id, action, body = {}) => t.post(`/api/testimonials/${id}/${action}`, { token: pastor.token, body });
+
+    describe('submission window (tue 12:00 - fri 24:00 UTC)', () => {
+        const cases = [
+            ['Monday morning', '2026-10-12T10:00:00Z', false, '2026-10-13T12:00:00.000Z'],
+            ['a minute before Tuesday noon', '2026-10-13T11:59:00Z', false, '2026-10-13T12:00:00.000Z'],
+            ['Tuesday noon', '2026-10-13T12:00:00Z', true, '2026-10-13T12:00:00.000Z'],
+            ['Thursday evening', '2026-10-15T21:30:00Z', true, '2026-10-13T12:00:00.000Z'],
+            ['the last minute of Friday', '2026-10-16T23:59:00Z', true, '2026-10-13T12:00:00.000Z'],
+            ['Saturday midnight', '2026-10-17T00:00:00Z', false, '2026-10-20T12:00:00.000Z'],
+            ['Sunday during service', '2026-10-18T10:00:00Z', false, '2026-10-20T12:00:00.000Z']
+        ];
+
+        for (const [label, now, open, opensAt] of cases) {
+            it(`is ${open ? 'open' : 'closed'} on ${label}`, async () => {
+                t.clock.set(now);
+                const res = await t.get('/api/testimonials/status');
+                assert.equal(res.status, 200);
+                assert.equal(res.body.submissionOpen, open);
+                assert.equal(res.body.opensAt, opensAt);
+                assert.equal(res.body.currentTime, new Date(now).toISOString());
+                assert.equal(res.body.timezone, 'UTC');
+            });
+        }
+
+        it('is closed on a blackout date and reopens after it', async () => {
+            t.clock.set('2026-12-24T15:00:00Z');
+            const res = await t.get('/api/testimonials/status');
+            assert.equal(res.body.submissionOpen, false);
+            assert.equal(res.body.opensAt, '2026-12-25T00:00:00.000Z');
+        });
+
+        it('refuses submissions while closed, saying when it opens', async () => {
+            t.clock.set('2026-10-18T10:00:00Z');
+            const res = await t.post('/api/testimonials', { body: TESTIMONY });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.opensAt, '2026-10-20T12:00:00.000Z');
+            assert.match(res.body.error, /next window opens Tuesday, October 20/);
+        });
+
+        it('reports the window on the public list', async () => {
+            t.clock.set('2026-10-18T10:00:00Z');
+            assert.equal((await t.get('/api/testimonials')).body.submissionWindowOpen, false);
+            t.clock.set('2026-10-14T15:00:00Z');
+            assert.equal((await t.get('/api/testimonials')).body.submissionWindowOpen, true);
+        });
+    });
+
+    describe('submission and review', () => {
+        before(() => t.clock.set('2026-10-14T15:00:00Z'));
+
+        it('queues a submission for review and tells the pastor', async () => {
+            const { testimonial, edit_token: token } = await submit();
+            assert.equal(testimonial.status, 'pending');
+            assert.ok(token);
+
+            const queued = await t.storage.notifications.list({});
+            assert.ok(queued.some(message => message.event === 'testimonial.submitted' && message.recipient === pastor.email));
+        });
+
+        it('validates submissions', async () => {
+            for (const body of [{ name: 'A' }, { testimony: 'Thanks be to God' }, { name: 'A', testimony: 'x'.repeat(5001) }]) {
+                const res = await t.post('/api/testimonials', { body });
+                assert.equal(res.status, 400, JSON.stringify(body).slice(0, 80));
+            }
+            const anonymous = await submit({ name: undefined, anonymous: true });
+            assert.equal(anonymous.testimonial.name, 'Anonymous');
+        });
+
+        it('keeps pending testimonies private, except to the submitter', async () => {
+            const { testimonial, edit_token: token } = await submit();
+            assert.equal((await t.get(`/api/testimonials/${testimonial.id}`)).status, 404);
+            assert.equal((await t.get(`/api/testimonials/${testimonial.id}?edit_token=wrong`)).status, 403);
+            const own = await t.get(`/api/testimonials/${testimonial.id}?edit_token=${token}`);
+            assert.equal(own.status, 200);
+            assert.equal(own.body.testimonial.status, 'pending');
+        });
+
+        it('runs the request-changes, revise, approve cycle', async () => {
+            const { testimonial, edit_token: token } = await submit();
+
+            const changes = await review(testimonial.id, 'request-changes', { note: 'Please add what happened next' });
+            assert.equal(changes.status, 200);
+            assert.equal(changes.body.testimonial.status, 'changes_requested');
+
+            const revised = await t.put(`/api/testimonials/${testimonial.id}`, {
+                body: { ...TESTIMONY, testimony: `${TESTIMONY.testimony} Now I lead the food pantry.`, edit_token: token }
+            });
+            assert.equal(revised.status, 200);
+            assert.equal(revised.body.testimonial.status, 'pending');
+
+            const approved = await review(testimonial.id, 'approve', { service_date: '2026-10-18' });
+            assert.equal(approved.status, 200);
+            assert.equal(approved.body.testimonial.service_date, '2026-10-18');
+
+            const publicView = await t.get(`/api/testimonials/${testimonial.id}`);
+            assert.equal(publicView.status, 200);
+            const sunday = await t.get('/api/testimonials?service_date=2026-10-18');
+            assert.deepEqual(sunday.body.testimonials.map(item => item.id), [testimonial.id]);
+
+            const history = await t.get(`/api/admin/testimonials/${testimonial.id}/history`, { token: pastor.token });
+            assert.equal(history.status, 200);
+            assert.deepEqual(history.body.history.map(entry => entry.action), ['submit', 'request-changes', 'resubmit', 'approve']);
+        });
+
+        it('refuses edits without the token or after approval', async () => {
+            const { testimonial, edit_token: token } = await submit();
+            const body = { ...TESTIMONY, edit_token: token };
+            assert.equal((await t.put(`/api/testimonials/${testimonial.id}`, { body: { ...body, edit_token: 'wrong' } })).status, 403);
+            assert.equal((await t.put(`/api/testimonials/${testimonial.id}`, { body: { ...body, testimony: '' } })).status, 400);
+            assert.equal((await t.put('/api/testimonials/99999', { body })).status, 404);
+
+            await review(testimonial.id, 'approve');
+            assert.equal((await t.put(`/api/testimonials/${testimonial.id}`, { body })).status, 409);
+        });
+
+        it('enforces the review rules', async () => {
+            const { testimonial } = await submit();
+            assert.equal((await review(testimonial.id, 'reject')).status, 400);
+            assert.equal((await review(testimonial.id, 'request-changes')).status, 400);
+            assert.equal((await review(testimonial.id, 'unapprove')).status, 400);
+            assert.equal((await review(testimonial.id, 'approve', { service_date: '2026-10-19' })).status, 400);
+            // There's no February 29th in 2026; Date would roll it over to Sunday, March 1st
+            const impossible = await review(testimonial.id, 'approve', { service_date: '2026-02-29' });
+            assert.equal(impossible.status, 400);
+            assert.equal(impossible.body.error, 'Service date must be a YYYY-MM-DD date');
+            assert.equal((await review('99999', 'approve')).status, 404);
+
+            assert.equal((await review(testimonial.id, 'reject', { reason: 'Not a testimony' })).status, 200);
+            assert.equal((await review(testimonial.id, 'approve')).status, 200);
+            assert.equal((await review(testimonial.id, 'unapprove')).status, 200);
+
+            const moderator = await t.signIn('moderator');
+            const res = await t.post(`/api/testimonials/${testimonial.id}/approve`, { token: moderator.token });
+            assert.equal(res.status, 403);
+        });
+
+        it('schedules approved testimonies for a Sunday', async () => {
+            const { testimonial } = await submit();
+            const url = `/api/testimonials/${testimonial.id}/service-date`;
+            assert.equal((await t.put(url, { token: pastor.token, body: { service_date: '2026-10-25' } })).status, 400);
+
+            await review(testimonial.id, 'approve');
+            assert.equal((await t.put(url, { token: pastor.token, body: { service_date: '2026-10-26' } })).status, 400);
+            const res = await t.put(url, { token: pastor.token, body: { service_date: '2026-10-25' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.testimonial.service_date, '2026-10-25');
+            const cleared = await t.put(url, { token: pastor.token, body: { service_date: null } });
+            assert.equal(cleared.body.testimonial.service_date, null);
+            assert.equal((await t.put('/api/testimonials/99999/service-date', { token: pastor.token, body: {} })).status, 404);
+        });
+
+        it('deletes a testimony', async () => {
+            const { testimonial } = await submit();
+            assert.equal((await t.delete(`/api/testimonials/${testimonial.id}`)).status, 401);
+            assert.equal((await t.delete(`/api/testimonials/${testimonial.id}`, { token: pastor.token })).status, 200);
+            assert.equal((await t.delete(`/api/testimonials/${testimonial.id}`, { token: pastor.token })).status, 404);
+        });
+    });
+
+    describe('admin views', () => {
+        it('lists testimonies by status and service date', async () => {
+            const res = await t.get('/api/admin/testimonials?status=pending', { token: pastor.token });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.testimonials.every(item => item.status === 'pending'));
+            assert.equal((await t.get('/api/admin/testimonials?status=lost', { token: pastor.token })).status, 400);
+            assert.equal((await t.get('/api/admin/testimonials?service_date=2026-10-19', { token: pastor.token })).status, 400);
+        });
+
+        it('counts testimonies by status', async () => {
+            const res = await t.get('/api/admin/testimonials/pending', { token: pastor.token });
+            assert.equal(res.status, 200);
+            assert.equal(typeof res.body.pending, 'number');
+            assert.equal(typeof res.body.approved, 'number');
+        });
+
+        it('is for the pastor and moderators', async () => {
+            const editor = await t.signIn('editor');
+            assert.equal((await t.get('/api/admin/testimonials', { token: editor.token })).status, 403);
+            assert.equal((await t.get('/api/admin/testimonials/pending')).status, 401);
+            assert.equal((await t.get('/api/admin/testimonials/99999/history', { token: pastor.token })).status, 404);
+        });
+
+        it('validates the public service_date filter', async () => {
+            assert.equal((await t.get('/api/testimonials?service_date=sunday')).status, 400);
+        });
+    });
+});
+
+describe('testimonial settings', () => {
+    it('reads the timezone, windows and blackout dates', () => {
+        const { testimonials, problems } = loadConfig({
+            TESTIMONIAL_TIMEZONE: 'America/Chicago',
+            TESTIMONIAL_WINDOWS: 'sun 08:00-sun 13:00, sat 22:00-mon 02:00',
+            TESTIMONIAL_BLACKOUT_DATES: '2026-12-24, 2026-12-31..2027-01-01'
+        });
+        assert.deepEqual(problems, []);
+        assert.equal(testimonials.timezone, 'America/Chicago');
+        assert.deepEqual(testimonials.windows, [{ start: 480, end: 780 }, { start: 9960, end: 1560 }]);
+        assert.deepEqual(testimonials.blackouts, [['2026-12-24', '2026-12-24'], ['2026-12-31', '2027-01-01']]);
+    });
+
+    it('reports bad values and falls back to the defaults', () => {
+        const { testimonials, problems } = loadConfig({
+            TESTIMONIAL_TIMEZONE: 'Mars/Olympus',
+            TESTIMONIAL_WINDOWS: 'tue noon-fri 24:00',
+            TESTIMONIAL_BLACKOUT_DATES: '24/12/2026'
+        });
+        assert.equal(problems.length, 3);
+        assert.match(problems[0], /TESTIMONIAL_TIMEZONE "Mars\/Olympus"/);
+        assert.match(problems[1], /TESTIMONIAL_WINDOWS entry "tue noon-fri 24:00"/);
+        assert.match(problems[2], /TESTIMONIAL_BLACKOUT_DATES entry "24\/12\/2026"/);
+        assert.deepEqual(loadConfig({ TESTIMONIAL_BLACKOUT_DATES: '2026-02-30' }).problems, [
+            'TESTIMONIAL_BLACKOUT_DATES entry "2026-02-30" must be YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD'
+        ]);
+        assert.equal(testimonials.timezone, 'UTC');
+        assert.deepEqual(testimonials.windows, [{ start: 2 * 1440 + 720, end: 6 * 1440 }]);
+        assert.deepEqual(testimonials.blackouts, []);
+    });
+
+    it('needs the timezone spelled out in production', () => {
+        const production = { NODE_ENV: 'production', SITE_URL: 'https://awc.test' };
+        assert.ok(loadConfig(production).problems.some(problem => /TESTIMONIAL_TIMEZONE is required/.test(problem)));
+        assert.deepEqual(loadConfig({ ...production, TESTIMONIAL_TIMEZONE: 'America/Chicago' }).problems, []);
+    });
+});